@@ -0,0 +1,415 @@
+/*
+ * ZeroByteBackends.js
+ *
+ * Copyright (c) 2023 Zero Byte LLC, All Rights Reserved
+ * Licensed under CC BY-ND 4.0 (https://creativecommons.org/licenses/by-nd/4.0/)
+ *
+ * HTTP and file storage backends used by the firmware utilities. The React Native backends, on top of fetch and
+ * rn-fetch-blob, are the default. See ZeroByteNodeBackends.js for the Node backends.
+ *
+ * SPDX-License-Identifier: CC-BY-ND-4.0
+ * SPDX-FileCopyrightText: Copyright (c) 2023 Zero Byte LLC (hello@zerobytellc.com) All Rights Reserved
+ *
+ * @author Timothy C Sweeney-Fanelli, Zero Byte LLC (tim@zerobytellc.com)
+ */
+
+/**
+ * The subset of a fetch() Response returned by {@link HttpClient}.fetch
+ *
+ * @typedef HttpResponse
+ * @property {number} status                    The HTTP status code
+ * @property {boolean} ok                       true if the status code is 2xx
+ * @property {function(string): string} headers.get  Returns the value of a response header, or null
+ * @property {function(): Promise<string>} text Reads the response body as text
+ * @property {function(): Promise<any>} json    Reads and parses the response body as JSON
+ */
+
+/**
+ * The HTTP operations needed by the firmware utilities.
+ *
+ * @typedef HttpClient
+ * @property {function(string, {signal: AbortSignal, headers: object}): Promise<HttpResponse>} fetch
+ *           GET a url. Rejects on network errors and when the signal is aborted, but not on HTTP error statuses.
+ * @property {function(string, {signal: AbortSignal, headers: object, path: string, appendExt: string, append: boolean, onProgress: function(number, number)}): Promise<{status: number, path: string}>} download
+ *           GET a url into a file. The file is written to `path`, or to a new temporary file with the extension
+ *           `appendExt` if no path is given. With `append`, the response body is appended to the file at `path`
+ *           instead of replacing it, to resume a download with a Range header. onProgress is invoked with
+ *           (bytesReceived, bytesTotal) as the download progresses, bytesTotal is -1 if the server did not send a
+ *           Content-Length.
+ */
+
+/**
+ * The file operations needed by the firmware utilities and the DFU handler.
+ *
+ * @typedef FileStore
+ * @property {function(string): Promise<{path: string, size: number, lastModified: number}>} stat  Stat a file
+ * @property {function(string, {bufferSize: number}): AsyncIterable<Uint8Array>} readStream        Read a file in chunks
+ * @property {function(string, string): Promise<string>} hash       Hash a file, e.g. hash(path, 'md5'). Resolves to the hex digest.
+ * @property {function(string): Promise<boolean>} exists           Whether the file exists
+ * @property {function(string): Promise<void>} unlink               Delete a file
+ * @property {function(string): Promise<string[]>} ls               List the names of the files in a directory
+ * @property {function(string): Promise<string>} tempPath           (optional) A new path for a temporary file with the
+ *           given extension, e.g. tempPath('gbl'). Downloads are only resumed if the file store provides it.
+ */
+
+/**
+ * A copy of a firmware index kept in an {@link IndexCache}.
+ *
+ * @typedef CachedIndex
+ * @property {string} text          The index as published
+ * @property {string} signature     The detached signature the index was verified with, if any
+ * @property {string} etag          The ETag response header, if any
+ * @property {string} lastModified  The Last-Modified response header, if any
+ */
+
+/**
+ * Stores the last good copy of each firmware index, keyed by its URL. Indices are requested conditionally against
+ * the cached copy, and the cached copy is used when the index is unavailable. Implement it on top of persistent
+ * storage, e.g. AsyncStorage, for the cache to outlive the app.
+ *
+ * @typedef IndexCache
+ * @property {function(string): Promise<CachedIndex>} get           The cached copy of an index, or undefined
+ * @property {function(string, CachedIndex): Promise<void>} set     Store a copy of an index
+ */
+
+/**
+ * Identifies a firmware bundle in a {@link FirmwareCache}.
+ *
+ * @typedef FirmwareCacheKey
+ * @property {string} client        The client name, e.g. 'hosemonster'
+ * @property {string} model         The model name, e.g. 'kraken'
+ * @property {string} version       The version of the firmware
+ * @property {string} hash          The sha256 sum of the bundle listed in the firmware index, or its md5 sum if no
+ *                                  sha256 sum is listed. Lower case.
+ */
+
+/**
+ * A firmware bundle kept in a {@link FirmwareCache}.
+ *
+ * @typedef CachedFirmware
+ * @extends FirmwareCacheKey
+ * @property {string} path          The local path of the bundle
+ * @property {number} size          The size of the bundle in bytes
+ * @property {InstallStep} info     The firmware index entry of the bundle, as it was downloaded
+ * @property {string[]} channels    The release channels the bundle was downloaded from
+ * @property {Object<string, FirmwareRelease>} releases The release of the model each channel listed when the bundle
+ *                                  was last downloaded from it, keyed by channel. Updates are resolved from the most
+ *                                  recent one while the firmware index is unavailable.
+ * @property {number} cachedAt      When the bundle was added to the cache, in milliseconds since the epoch
+ * @property {number} lastUsed      When the bundle was last downloaded or taken from the cache
+ */
+
+/**
+ * The release of a model listed by a firmware index, as it was when an update was resolved from it.
+ *
+ * @typedef FirmwareRelease
+ * @property {string} latest        The key of the model's latest firmware entry
+ * @property {RolloutStage[]} rollout The model's rollout stages, if any
+ * @property {boolean} verified     true if the signature of the index was verified against options.trustedKeys
+ * @property {number} recordedAt    When the release was stored in the firmware cache, in milliseconds since the epoch
+ */
+
+/**
+ * Keeps downloaded firmware bundles, so devices can be updated again without downloading them, and without a network
+ * connection. Bundles are checked against their hash whenever they are taken from the cache.
+ *
+ * @typedef FirmwareCache
+ * @property {function(FirmwareCacheKey): Promise<CachedFirmware>} get      The cached bundle, or undefined
+ * @property {function(CachedFirmware, string): Promise<CachedFirmware>} put
+ *           Store the bundle at the given path, moving it into the cache unless it is already there, along with the
+ *           rest of the entry. Resolves to the stored entry, with its path and size.
+ * @property {function(): Promise<CachedFirmware[]>} list           Every cached bundle
+ * @property {function(FirmwareCacheKey): Promise<void>} remove     Delete a cached bundle
+ */
+
+// How much of a file ReactNativeFileStore.readStream reads over the bridge at once
+const readWindowSize = 65536;
+
+// rn-fetch-blob is only loaded when a React Native backend is used, so the rest of the library runs without it.
+function _rn_fetch_blob() {
+    const module = require('rn-fetch-blob');
+    return module.default || module;
+}
+
+/**
+ * The default HTTP client, on top of the global fetch() for requests and rn-fetch-blob for downloads.
+ */
+class ReactNativeHttpClient {
+    fetch(url: string, options: Object = {}): Promise<Object> {
+        return fetch(url, {method: 'GET', headers: options.headers, signal: options.signal});
+    }
+
+    download(url: string, options: Object = {}): Promise<Object> {
+        const RNFetchBlob = _rn_fetch_blob();
+        let signal = options.signal;
+
+        // Having rn-fetch-blob store the response data as a file is much more performant.
+        let config = options.path !== undefined
+            ? {path: options.path, overwrite: !options.append}
+            : {fileCache: true, appendExt: options.appendExt};
+        let task = RNFetchBlob.config(config).fetch('GET', url, options.headers || {});
+
+        if ( options.onProgress )
+            task.progress((received, total) => options.onProgress(Number(received), Number(total)));
+
+        let onAbort = () => task.cancel();
+        if ( signal )
+            signal.addEventListener('abort', onAbort);
+
+        return task
+            .then((res) => ({status: res.respInfo.status, path: res.path()}))
+            .finally(() => {
+                if ( signal )
+                    signal.removeEventListener('abort', onAbort);
+            });
+    }
+}
+
+/**
+ * The default file store, on top of rn-fetch-blob.
+ */
+class ReactNativeFileStore {
+    get fs(): Object {
+        return _rn_fetch_blob().fs;
+    }
+
+    async stat(path: string): Promise<Object> {
+        let stats = await this.fs.stat(path);
+        return {path: stats.path, size: Number(stats.size), lastModified: Number(stats.lastModified)};
+    }
+
+    // rn-fetch-blob read streams push chunks as fast as the file is read, and can be neither paused nor closed. The file
+    // is read a window at a time instead, as the consumer asks for it, by slicing the window into a temporary file. Each
+    // window costs two round trips over the bridge, so it spans a whole number of chunks, at least readWindowSize bytes.
+    async* readStream(path: string, options: Object = {}) {
+        let bufferSize = options.bufferSize || 4096;
+        let windowSize = Math.ceil(readWindowSize / bufferSize) * bufferSize;
+        let size = (await this.stat(path)).size;
+        let windowPath = await this.tempPath('chunk');
+
+        try {
+            for ( let start = 0; start < size; start += windowSize ) {
+                await this.fs.slice(path, windowPath, start, Math.min(start + windowSize, size));
+                let window = Uint8Array.from(await this.fs.readFile(windowPath, 'ascii'));
+                for ( let offset = 0; offset < window.length; offset += bufferSize )
+                    yield window.subarray(offset, offset + bufferSize);
+            }
+        } finally {
+            // Also reached when the consumer stops early
+            if ( await this.fs.exists(windowPath) )
+                await this.fs.unlink(windowPath);
+        }
+    }
+
+    hash(path: string, algorithm: string): Promise<string> {
+        return this.fs.hash(path, algorithm);
+    }
+
+    exists(path: string): Promise<boolean> {
+        return this.fs.exists(path);
+    }
+
+    unlink(path: string): Promise<void> {
+        return this.fs.unlink(path);
+    }
+
+    ls(path: string): Promise<string[]> {
+        return this.fs.ls(path);
+    }
+
+    async tempPath(extension: string): Promise<string> {
+        let name = `zerobyte-fw-${Date.now()}-${Math.random().toString(16).slice(2)}`;
+        return `${this.fs.dirs.CacheDir}/${name}.${extension}`;
+    }
+}
+
+/**
+ * The default firmware cache, which keeps bundles as files in a directory, by default in the app's document directory,
+ * where they survive until the app is uninstalled. Each bundle is stored as
+ * `${dir}/${client}/${model}/${version}-${hash}.gbl`, next to a `.json` file holding the rest of its entry.
+ */
+class ReactNativeFirmwareCache {
+    dir: ?string;
+
+    constructor(dir: ?string = undefined) {
+        this.dir = dir;
+    }
+
+    get fs(): Object {
+        return _rn_fetch_blob().fs;
+    }
+
+    _dir(...names: string[]): string {
+        let root = this.dir !== undefined ? this.dir : `${this.fs.dirs.DocumentDir}/zerobyte-fw`;
+        return [root, ...names.map(encodeURIComponent)].join('/');
+    }
+
+    _file(key: Object): string {
+        return `${this._dir(key.client, key.model)}/${encodeURIComponent(key.version)}-${key.hash}`;
+    }
+
+    async _read(file: string): Promise<?Object> {
+        if ( !(await this.fs.exists(`${file}.json`)) || !(await this.fs.exists(`${file}.gbl`)) )
+            return undefined;
+
+        let entry = JSON.parse(await this.fs.readFile(`${file}.json`, 'utf8'));
+        let stats = await this.fs.stat(`${file}.gbl`);
+        return {...entry, path: `${file}.gbl`, size: Number(stats.size)};
+    }
+
+    get(key: Object): Promise<?Object> {
+        return this._read(this._file(key));
+    }
+
+    async put(entry: Object, path: string): Promise<Object> {
+        let file = this._file(entry);
+        if ( path !== `${file}.gbl` ) {
+            // rn-fetch-blob creates intermediate directories, but rejects if the directory exists
+            let dir = this._dir(entry.client, entry.model);
+            if ( !(await this.fs.exists(dir)) )
+                await this.fs.mkdir(dir);
+            if ( await this.fs.exists(`${file}.gbl`) )
+                await this.fs.unlink(`${file}.gbl`);
+            await this.fs.mv(path, `${file}.gbl`);
+        }
+
+        let stored = {...entry};
+        delete stored.path;
+        delete stored.size;
+        await this.fs.writeFile(`${file}.json`, JSON.stringify(stored), 'utf8');
+        return this._read(file);
+    }
+
+    async list(): Promise<Object[]> {
+        let entries = [];
+        if ( !(await this.fs.exists(this._dir())) )
+            return entries;
+
+        for ( let client of await this.fs.ls(this._dir()) ) {
+            for ( let model of await this.fs.ls(this._dir(decodeURIComponent(client))) ) {
+                let dir = this._dir(decodeURIComponent(client), decodeURIComponent(model));
+                for ( let name of await this.fs.ls(dir) ) {
+                    if ( !name.endsWith('.json') )
+                        continue;
+
+                    let entry = await this._read(`${dir}/${name.slice(0, -'.json'.length)}`);
+                    if ( entry !== undefined )
+                        entries.push(entry);
+                }
+            }
+        }
+
+        return entries;
+    }
+
+    async remove(key: Object): Promise<void> {
+        let file = this._file(key);
+        for ( let extension of ['json', 'gbl'] ) {
+            if ( await this.fs.exists(`${file}.${extension}`) )
+                await this.fs.unlink(`${file}.${extension}`);
+        }
+    }
+}
+
+/**
+ * The default index cache, which keeps indices in memory for the lifetime of the app.
+ */
+class MemoryIndexCache {
+    entries: Map<string, Object> = new Map();
+
+    async get(url: string): Promise<?Object> {
+        return this.entries.get(url);
+    }
+
+    async set(url: string, entry: Object): Promise<void> {
+        this.entries.set(url, entry);
+    }
+}
+
+let backends = {
+    httpClient: undefined,
+    fileStore: undefined,
+    indexCache: undefined,
+    firmwareCache: undefined,
+};
+
+/**
+ * Replaces the default HTTP client, file store, index cache and/or firmware cache used by the firmware utilities and
+ * the DFU handler. Backends passed in the options of an individual call take precedence over these.
+ *
+ * @param {{httpClient: HttpClient, fileStore: FileStore, indexCache: IndexCache, firmwareCache: FirmwareCache}} options
+ *        The backends to use. Omitted backends are unchanged, null restores the default. An indexCache or
+ *        firmwareCache of false disables that cache.
+ */
+function set_fw_backends(options = {}) {
+    if ( options.httpClient !== undefined )
+        backends.httpClient = options.httpClient || undefined;
+
+    if ( options.fileStore !== undefined )
+        backends.fileStore = options.fileStore || undefined;
+
+    if ( options.indexCache !== undefined )
+        backends.indexCache = options.indexCache === null ? undefined : options.indexCache;
+
+    if ( options.firmwareCache !== undefined )
+        backends.firmwareCache = options.firmwareCache === null ? undefined : options.firmwareCache;
+}
+
+/**
+ * @param {object} options  (optional) Call options, which may carry an httpClient
+ * @returns {HttpClient}    The HTTP client to use for a call
+ */
+function get_http_client(options = {}) {
+    if ( options.httpClient )
+        return options.httpClient;
+
+    if ( backends.httpClient === undefined )
+        backends.httpClient = new ReactNativeHttpClient();
+
+    return backends.httpClient;
+}
+
+/**
+ * @param {object} options  (optional) Call options, which may carry a fileStore
+ * @returns {FileStore}     The file store to use for a call
+ */
+function get_file_store(options = {}) {
+    if ( options.fileStore )
+        return options.fileStore;
+
+    if ( backends.fileStore === undefined )
+        backends.fileStore = new ReactNativeFileStore();
+
+    return backends.fileStore;
+}
+
+/**
+ * @param {object} options  (optional) Call options, which may carry an indexCache
+ * @returns {IndexCache}    The index cache to use for a call, or undefined if caching is disabled
+ */
+function get_index_cache(options = {}) {
+    if ( options.indexCache !== undefined )
+        return options.indexCache || undefined;
+
+    if ( backends.indexCache === undefined )
+        backends.indexCache = new MemoryIndexCache();
+
+    return backends.indexCache || undefined;
+}
+
+/**
+ * @param {object} options      (optional) Call options, which may carry a firmwareCache
+ * @returns {FirmwareCache}     The firmware cache to use for a call, or undefined if caching is disabled
+ */
+function get_firmware_cache(options = {}) {
+    if ( options.firmwareCache !== undefined )
+        return options.firmwareCache || undefined;
+
+    if ( backends.firmwareCache === undefined )
+        backends.firmwareCache = new ReactNativeFirmwareCache();
+
+    return backends.firmwareCache || undefined;
+}
+
+export { ReactNativeHttpClient, ReactNativeFileStore, ReactNativeFirmwareCache, MemoryIndexCache, set_fw_backends, get_http_client,
+    get_file_store, get_index_cache, get_firmware_cache };
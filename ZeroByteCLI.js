@@ -0,0 +1,875 @@
+/*
+ * ZeroByteCLI.js
+ *
+ * Copyright (c) 2023 Zero Byte LLC, All Rights Reserved
+ * Licensed under CC BY-ND 4.0 (https://creativecommons.org/licenses/by-nd/4.0/)
+ *
+ * The zerobyte-fw command-line tool: check for, download, inspect and flash firmware from Node. See bin/zerobyte-fw.js
+ *
+ * SPDX-License-Identifier: CC-BY-ND-4.0
+ * SPDX-FileCopyrightText: Copyright (c) 2023 Zero Byte LLC (hello@zerobytellc.com) All Rights Reserved
+ *
+ * @author Timothy C Sweeney-Fanelli, Zero Byte LLC (tim@zerobytellc.com)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import {parseArgs} from 'util';
+
+import {ZeroByteErrorCodes} from './ZeroByteErrorCodes';
+import {
+    get_update_plan, list_fw_versions, list_channels, download_fw, get_fw_release_notes,
+    prefetch_fw, list_cached_fw, prune_fw_cache,
+} from './ZeroByteFirmwareUtils';
+import {set_fw_backends} from './ZeroByteBackends';
+import {NodeHttpClient, NodeFileStore, NodeIndexCache, NodeFirmwareCache} from './ZeroByteNodeBackends';
+import {parse_gbl} from './ZeroByteGBL';
+import {MemoryTransport} from './ZeroByteTransport';
+import {publish_release, promote_fw_version, sign_published_index} from './ZeroBytePublisher';
+import {generate_signing_keys} from './ZeroByteSignatures';
+import {fw_index_devices, validate_fw_index} from './ZeroByteIndexSchema';
+import {
+    runDFU, setDFULoggers, DFU_WRITE_MODE, DFU_TIMING_PROFILE,
+    OTA_SUCCESS, OTA_FAILURE, OTA_NOUPDATE, OTA_CANCELLED, OTA_VERSION_MISMATCH, OTA_DEVICE_NOT_RETURNED,
+} from './ZeroByteDFU';
+
+const EXIT_OK = 0;
+const EXIT_USAGE = 1;
+const EXIT_UNEXPECTED = 2;
+const EXIT_UPDATE_FAILED = 40;
+const EXIT_DEVICE_NOT_RETURNED = 32;
+
+/*
+ * Exit codes for each ZeroByteErrorCodes value. The tens digit identifies the range of the error code:
+ *   1x Firmware index, 2x Firmware bundle, 3x Device, 4x Update, 99 Unknown, 130 Cancelled
+ */
+const EXIT_CODES = new Map([
+    [ZeroByteErrorCodes.FIRMWARE_INDEX_UNAVAILABLE,             10],
+    [ZeroByteErrorCodes.FIRMWARE_INDEX_MALFORMED,               11],
+    [ZeroByteErrorCodes.FIRMWARE_INDEX_DEVICE_UNKNOWN,          12],
+    [ZeroByteErrorCodes.FIRMWARE_INDEX_LATEST_VERSION_UNKNOWN,  13],
+    [ZeroByteErrorCodes.FIRMWARE_INDEX_VERSION_UNKNOWN,         14],
+    [ZeroByteErrorCodes.FIRMWARE_INDEX_DEPENDENCY_UNKNOWN,      15],
+    [ZeroByteErrorCodes.FIRMWARE_INDEX_DEPENDENCY_CYCLE,        16],
+    [ZeroByteErrorCodes.FIRMWARE_INDEX_SIGNATURE_INVALID,       17],
+    [ZeroByteErrorCodes.FIRMWARE_INDEX_HARDWARE_INCOMPATIBLE,   18],
+    [ZeroByteErrorCodes.FIRMWARE_BUNDLE_UNAVAILABLE,            20],
+    [ZeroByteErrorCodes.FIRMWARE_BUNDLE_CHECKSUM_MISMATCH,      21],
+    [ZeroByteErrorCodes.FIRMWARE_BUNDLE_MALFORMED,              22],
+    [ZeroByteErrorCodes.FIRMWARE_BUNDLE_CRC_MISMATCH,           23],
+    [ZeroByteErrorCodes.DEVICE_CONNECTION_FAILED,               30],
+    [ZeroByteErrorCodes.DEVICE_FIRMWARE_VERSION_MISMATCH,       31],
+    [ZeroByteErrorCodes.DEVICE_HARDWARE_INCOMPATIBLE,           33],
+    [ZeroByteErrorCodes.DEVICE_WRITE_FAILED,                    34],
+    [ZeroByteErrorCodes.DEVICE_FIRMWARE_VERSION_UNREADABLE,     35],
+    [ZeroByteErrorCodes.OPERATION_CANCELLED,                    130],
+    [ZeroByteErrorCodes.UNKNOWN_ERROR,                          99],
+]);
+
+const USAGE = `Usage: zerobyte-fw <command> [options]
+
+Commands:
+  check <client> <model>              List the firmware updates available for a model
+  channels <client>                   List the release channels of a client
+  versions <client> <model>           List the published firmware versions of a model, or with --current, what
+                                      changed since the device's version
+  download <client> <model>           Download the firmware updates available for a model
+  prefetch <client> <model>           Cache the latest firmware of a model in --cache-dir, to update devices offline
+  cache <list|prune>                  List the firmware cached in --cache-dir, or prune it by --max-age and --max-size
+  inspect <file.gbl>                  Show the metadata of a GBL firmware image
+  flash <file.gbl...|latest>          Flash local images, or the latest firmware, onto a device
+  publish <dir>                       Publish a release directory of GBL images into a firmware index
+  promote <model> <version>           Promote a published version from one channel to another
+  sign                                Sign the published firmware index of a client and channel
+  keygen                              Generate a key pair for signing firmware indices
+  validate <index.json>               Check a firmware index for problems before publishing it
+
+Options:
+  --channel <channel>                 Firmware release channel (default: prod). check, download, flash: a comma-separated
+                                      list, e.g. beta,prod, takes the newest update of any of them
+  --url-base <url>                    Base URL of the firmware indices
+  --mirror <url>                      A further base URL to try while the index is unavailable (repeatable)
+  --timeout <ms>                      How long to wait for each request (default: 10000), or for data while
+                                      downloading firmware (default: 30000)
+  --retries <n>                       How many times to retry a failed request or download (default: 2)
+  --cache-dir <dir>                   Keep firmware indices and bundles in dir, to skip unchanged indices and
+                                      downloads, and to work offline
+  --max-age <days>                    cache prune: remove firmware not used for this many days
+  --max-size <bytes>                  cache prune: remove the least recently used firmware beyond this size.
+                                      Without --max-age or --max-size, every cached bundle is removed
+  --current <version>                 The firmware version currently on the device
+  --version <version>                 Pin the update to this version instead of the latest. publish: the application version
+  --allow-downgrade                   Return updates older than --current
+  --hw-revision <revision>            Only return firmware compatible with this hardware revision or board ID
+  --device-id <id>                    The device's serial number or other stable ID, to place it in staged rollouts.
+                                      flash: defaults to --device
+  --out <dir>                         download: directory to save firmware into (default: .)
+  --device <id>                       flash: the BLE peripheral id of the device
+  --transport <module|memory>         flash: module exporting a BLE transport factory, or 'memory'
+  --client <client>                   flash latest: the client name. cache: only the firmware of this client
+  --model <model>                     flash latest: the model name. cache: only the firmware of this model
+  --target-version <version>          flash files: the version the final image installs, to verify the update
+  --in-ota                            flash: the device is already in DFU mode
+  --skip-verify                       flash: do not wait for the device to come back running the new firmware
+  --write-mode <mode>                 flash: 'unacknowledged' (default) writes firmware blocks without response,
+                                      'acknowledged' writes every block with response, for unreliable links
+  --ack-interval <n>                  flash: in unacknowledged mode, write every n-th block with response
+  --profile <profile>                 flash: the timing profile, conservative (default), balanced or fast. balanced
+                                      and fast request high connection priority, fast also requests the 2M PHY
+  --root <dir>                        publish, promote: the local directory published at --url-base
+  --version-from-gbl                  publish: read versions from the GBL application info tags
+  --schema <1|2>                      publish: the firmware index format, 2 converts a version 1 index (default: kept)
+  --metadata <file.json>              publish: release metadata for the application entry of a version 2 index
+  --rollout <percent>                 publish, promote: roll the version out to this share of devices instead of
+                                      making it the latest
+  --rollout-allow <id>                publish, promote: roll the version out to this device ID (repeatable)
+  --from <channel>                    promote: the source channel, e.g. beta
+  --to <channel>                      promote: the target channel, e.g. prod
+  --trusted-key <key>                 Require the firmware index to be signed by this base64 public key (repeatable)
+  --signing-key <file>                publish, promote, sign: sign the index with the secret key in file (repeatable)
+  --json                              Print machine-readable JSON
+  --verbose                           Print the library's log messages to stderr
+  -h, --help                          Show this help
+
+Exit codes:
+  0 success, 1 usage error, 2 unexpected error, 10-18 firmware index errors, 20-23 firmware bundle errors,
+  30-34 device errors, 40 update failed, 99 unknown error, 130 cancelled`;
+
+const OPTIONS = {
+    'channel':          {type: 'string'},
+    'url-base':         {type: 'string'},
+    'mirror':           {type: 'string', multiple: true},
+    'timeout':          {type: 'string'},
+    'retries':          {type: 'string'},
+    'cache-dir':        {type: 'string'},
+    'max-age':          {type: 'string'},
+    'max-size':         {type: 'string'},
+    'current':          {type: 'string'},
+    'version':          {type: 'string'},
+    'allow-downgrade':  {type: 'boolean'},
+    'hw-revision':      {type: 'string'},
+    'device-id':        {type: 'string'},
+    'out':              {type: 'string'},
+    'device':           {type: 'string'},
+    'transport':        {type: 'string'},
+    'client':           {type: 'string'},
+    'model':            {type: 'string'},
+    'target-version':   {type: 'string'},
+    'in-ota':           {type: 'boolean'},
+    'skip-verify':      {type: 'boolean'},
+    'write-mode':       {type: 'string'},
+    'ack-interval':     {type: 'string'},
+    'profile':          {type: 'string'},
+    'root':             {type: 'string'},
+    'version-from-gbl': {type: 'boolean'},
+    'schema':           {type: 'string'},
+    'metadata':         {type: 'string'},
+    'rollout':          {type: 'string'},
+    'rollout-allow':    {type: 'string', multiple: true},
+    'from':             {type: 'string'},
+    'to':               {type: 'string'},
+    'trusted-key':      {type: 'string', multiple: true},
+    'signing-key':      {type: 'string', multiple: true},
+    'json':             {type: 'boolean'},
+    'verbose':          {type: 'boolean'},
+    'help':             {type: 'boolean', short: 'h'},
+};
+
+class UsageError extends Error {}
+
+/**
+ * Maps an error to the exit code of the command.
+ *
+ * @param error a ZeroByteErrorCodes value, or any other error
+ * @returns {number}
+ */
+function exit_code(error: any): number {
+    if ( error instanceof UsageError )
+        return EXIT_USAGE;
+
+    return EXIT_CODES.has(error) ? EXIT_CODES.get(error) : EXIT_UNEXPECTED;
+}
+
+/**
+ * Describes an error for output. ZeroByteErrorCodes are reported by name.
+ */
+function describe_error(error: any): string {
+    let name = Object.keys(ZeroByteErrorCodes).find((key) => ZeroByteErrorCodes[key] === error);
+    if ( name !== undefined )
+        return name;
+
+    return (error && error.message) ? error.message : String(error);
+}
+
+function _report_problems(problems: Object[], out: Object) {
+    problems.forEach((problem) => out.status(`  ${problem.path} ${problem.message}`));
+}
+
+function _number_option(args: Object, name: string): ?number {
+    if ( args[name] === undefined )
+        return undefined;
+
+    let value = Number(args[name]);
+    if ( args[name].trim() === '' || !Number.isInteger(value) || value < 0 )
+        throw new UsageError(`Invalid --${name} ${args[name]}, expected a non-negative integer`);
+
+    return value;
+}
+
+function _update_options(args: Object, out: Object): Object {
+    return {
+        mirrors: args['mirror'],
+        timeoutMs: _number_option(args, 'timeout'),
+        retries: _number_option(args, 'retries'),
+        allowDowngrade: args['allow-downgrade'] || false,
+        version: args['version'],
+        trustedKeys: args['trusted-key'],
+        hwRevision: args['hw-revision'],
+        deviceId: args['device-id'],
+        onIndexProblems: (problems) => _report_problems(problems, out),
+    };
+}
+
+async function _signing_keys(args: Object): Promise<string[]> {
+    let files = args['signing-key'] || [];
+    return Promise.all(files.map(async (file) => (await fs.promises.readFile(file, 'utf8')).trim()));
+}
+
+function _channels(args: Object): string | string[] | void {
+    if ( args['channel'] === undefined )
+        return undefined;
+
+    let channels = args['channel'].split(',').map((channel) => channel.trim()).filter((channel) => channel !== '');
+    if ( channels.length === 0 )
+        throw new UsageError(`Invalid --channel ${args['channel']}`);
+
+    return channels.length === 1 ? channels[0] : channels;
+}
+
+function _require_positionals(positionals: string[], names: string[]) {
+    if ( positionals.length < names.length )
+        throw new UsageError(`Missing argument: <${names[positionals.length]}>`);
+}
+
+async function check(args: Object, positionals: string[], out: Object): Promise<number> {
+    _require_positionals(positionals, ['client', 'model']);
+    let [client, model] = positionals;
+
+    let plan = await get_update_plan(client, model, args['current'], _channels(args), args['url-base'], _update_options(args, out));
+    let infos = plan.steps.slice().reverse();
+    if ( args.json ) {
+        out.json({client: client, model: model, channel: plan.channel, updates: infos});
+        return EXIT_OK;
+    }
+
+    if ( infos.length === 0 ) {
+        out.line(`${model}: no update available`);
+        return EXIT_OK;
+    }
+
+    out.line(`${model}: update available in ${plan.channel}`);
+    let locale = Intl.DateTimeFormat().resolvedOptions().locale;
+    infos.forEach((info) => {
+        out.line(`  ${info.version}  ${info.component || 'application'}  ${info.name || ''}${info.critical ? '  (critical)' : ''}`.trimEnd());
+        out.line(`    ${info.url}`);
+        if ( info.released !== undefined )
+            out.line(`    released ${info.released}`);
+
+        let notes = get_fw_release_notes(info, locale);
+        if ( notes !== undefined )
+            notes.split('\n').forEach((line) => out.line(`    ${line}`));
+    });
+    return EXIT_OK;
+}
+
+async function versions(args: Object, positionals: string[], out: Object): Promise<number> {
+    _require_positionals(positionals, ['client', 'model']);
+    let [client, model] = positionals;
+    let channel = args['channel'] || 'prod';
+
+    let listed = await list_fw_versions(client, model, {
+        ..._update_options(args, out),
+        channel: channel,
+        url_base: args['url-base'],
+        since: args['current'],
+    });
+    if ( args.json ) {
+        out.json({client: client, model: model, channel: channel, versions: listed});
+        return EXIT_OK;
+    }
+
+    if ( listed.length === 0 ) {
+        out.line(args['current'] === undefined ? `${model}: no versions published` : `${model}: nothing new since ${args['current']}`);
+        return EXIT_OK;
+    }
+
+    out.line(args['current'] === undefined ? `${model} (${channel}):` : `${model} (${channel}), new since ${args['current']}:`);
+    let locale = Intl.DateTimeFormat().resolvedOptions().locale;
+    listed.forEach((info) => {
+        let details = [
+            info.entry !== info.version ? `(${info.entry})` : undefined,
+            info.latest ? 'latest' : undefined,
+            info.released !== undefined ? `released ${info.released}` : undefined,
+            info.critical ? 'critical' : undefined,
+        ].filter((detail) => detail !== undefined);
+        out.line(`  ${info.version}  ${details.join('  ')}`.trimEnd());
+        info.steps.filter((step) => step.entry !== info.entry)
+            .forEach((step) => out.line(`    requires ${step.component} ${step.version}`));
+
+        let notes = get_fw_release_notes(info, locale);
+        if ( notes !== undefined )
+            notes.split('\n').forEach((line) => out.line(`    ${line}`));
+    });
+    return EXIT_OK;
+}
+
+async function channels(args: Object, positionals: string[], out: Object): Promise<number> {
+    _require_positionals(positionals, ['client']);
+    let client = positionals[0];
+
+    let names = await list_channels(client, args['url-base'], _update_options(args, out));
+    if ( args.json )
+        out.json({client: client, channels: names});
+    else
+        names.forEach((name) => out.line(name));
+
+    return EXIT_OK;
+}
+
+async function download(args: Object, positionals: string[], out: Object): Promise<number> {
+    _require_positionals(positionals, ['client', 'model']);
+    let [client, model] = positionals;
+    let dir = args['out'] || '.';
+
+    // The application first, followed by its dependencies
+    let plan = await get_update_plan(client, model, args['current'], _channels(args), args['url-base'], _update_options(args, out));
+    let files = [];
+    for (let info of plan.steps.slice().reverse()) {
+        out.status(`Downloading ${model} ${info.component || 'application'} ${info.version}`);
+        let downloaded = await download_fw(info, {
+            clientName: client,
+            modelName: model,
+            channel: plan.channel,
+            release: plan.release,
+            timeoutMs: _number_option(args, 'timeout'),
+            retries: _number_option(args, 'retries'),
+            onProgress: (received, total, percent) => {
+                if ( percent !== undefined )
+                    out.progress(percent / 100);
+            },
+        });
+        out.clear();
+        let target = path.join(dir, path.basename(new URL(info.url).pathname) || `${model}-${info.version}.gbl`);
+
+        await fs.promises.mkdir(dir, {recursive: true});
+        await fs.promises.copyFile(downloaded, target);
+        // Downloads are kept in the firmware cache if there is one
+        if ( !args['cache-dir'] )
+            await fs.promises.unlink(downloaded);
+
+        files.push({version: info.version, component: info.component || 'application', path: target});
+        if ( !args.json )
+            out.line(`${info.version} -> ${target}`);
+    }
+
+    if ( args.json )
+        out.json({client: client, model: model, files: files});
+    else if ( files.length === 0 )
+        out.line(`${model}: no update available`);
+
+    return EXIT_OK;
+}
+
+function _print_cached(entries: Object[], out: Object) {
+    entries.forEach((cached) => {
+        let channels = cached.channels && cached.channels.length > 0 ? `  (${cached.channels.join(', ')})` : '';
+        out.line(`  ${cached.client} ${cached.model} ${cached.info.component || 'application'} ${cached.version}  ${cached.size} bytes${channels}`);
+    });
+}
+
+async function prefetch(args: Object, positionals: string[], out: Object): Promise<number> {
+    _require_positionals(positionals, ['client', 'model']);
+    _require_options(args, ['cache-dir']);
+    let [client, model] = positionals;
+
+    let cached = await prefetch_fw(client, model, {
+        ..._update_options(args, out),
+        channel: _channels(args),
+        url_base: args['url-base'],
+        onProgress: (step, received, total, percent) => {
+            if ( percent !== undefined )
+                out.progress(percent / 100);
+        },
+    });
+    out.clear();
+
+    if ( args.json ) {
+        out.json({client: client, model: model, cached: cached});
+        return EXIT_OK;
+    }
+
+    out.line(`Cached ${cached.length} firmware bundle(s) in ${args['cache-dir']}:`);
+    _print_cached(cached, out);
+    return EXIT_OK;
+}
+
+async function cache(args: Object, positionals: string[], out: Object): Promise<number> {
+    _require_positionals(positionals, ['list|prune']);
+    _require_options(args, ['cache-dir']);
+    let options = {clientName: args['client'], modelName: args['model']};
+
+    if ( positionals[0] === 'list' ) {
+        let cached = await list_cached_fw(options);
+        if ( args.json )
+            out.json({cached: cached});
+        else if ( cached.length === 0 )
+            out.line('No firmware cached');
+        else
+            _print_cached(cached, out);
+
+        return EXIT_OK;
+    }
+
+    if ( positionals[0] !== 'prune' )
+        throw new UsageError(`Unknown cache action: ${positionals[0]}`);
+
+    let max_age = _number_option(args, 'max-age');
+    let removed = await prune_fw_cache({
+        ...options,
+        maxAgeMs: max_age !== undefined ? max_age * 24 * 60 * 60 * 1000 : undefined,
+        maxBytes: _number_option(args, 'max-size'),
+    });
+    if ( args.json ) {
+        out.json({removed: removed});
+        return EXIT_OK;
+    }
+
+    out.line(`Removed ${removed.length} firmware bundle(s)`);
+    _print_cached(removed, out);
+    return EXIT_OK;
+}
+
+async function inspect(args: Object, positionals: string[], out: Object): Promise<number> {
+    _require_positionals(positionals, ['file.gbl']);
+    let file = positionals[0];
+
+    let info = parse_gbl(await fs.promises.readFile(file));
+    if ( args.json ) {
+        out.json({file: file, ...info});
+        return EXIT_OK;
+    }
+
+    let hex = (n) => (n === undefined ? '-' : `0x${n.toString(16).padStart(8, '0')} (${n})`);
+    out.line(file);
+    out.line(`  image type:          ${info.imageType}`);
+    out.line(`  components:          ${info.components.join(', ') || '-'}`);
+    out.line(`  gbl version:         ${hex(info.gblVersion)}`);
+    out.line(`  application version: ${hex(info.appVersion)}`);
+    if ( info.application !== undefined )
+        out.line(`  product id:          ${info.application.productId}`);
+    if ( info.bootloaderVersion !== undefined )
+        out.line(`  bootloader version:  ${hex(info.bootloaderVersion)}`);
+    if ( info.seVersion !== undefined )
+        out.line(`  se version:          ${hex(info.seVersion)}`);
+    out.line(`  signed:              ${info.signed ? 'yes' : 'no'}`);
+    out.line(`  encrypted:           ${info.encrypted ? 'yes' : 'no'}`);
+    out.line(`  crc32:               ${hex(info.crc32)}`);
+    out.line(`  size:                ${info.size} bytes`);
+    out.line('  tags:');
+    info.tags.forEach((tag) => {
+        out.line(`    ${String(tag.offset).padStart(8)}  0x${tag.id.toString(16).padStart(8, '0')}  ${tag.name.padEnd(20)} ${tag.length} bytes`);
+    });
+
+    return EXIT_OK;
+}
+
+/**
+ * Loads the BLE transport named by --transport. 'memory' is an in-memory transport without a device, for dry runs.
+ * Anything else is a path to a module exporting a factory, as its default export or as createTransport, which is called
+ * with {device} and returns a BleTransport (or a Promise of one).
+ */
+async function _load_transport(name: string, device: string): Promise<Object> {
+    if ( name === 'memory' )
+        return new MemoryTransport();
+
+    // $FlowIgnore -- the transport module is only known at runtime
+    let module = require(path.resolve(name));
+    let factory = module.createTransport || module.default || module;
+    if ( typeof factory !== 'function' )
+        throw new UsageError(`${name} does not export a transport factory`);
+
+    return factory({device: device});
+}
+
+/**
+ * Describes the rate of an upload, e.g. '12.3 kB/s, 0:42 left', or without the time left, its total size, time and
+ * retries.
+ */
+function _describe_rate(stats: Object, live: boolean = true): string {
+    let rate = `${(stats.bytesPerSecond / 1000).toFixed(1)} kB/s`;
+    if ( live ) {
+        if ( stats.etaMs === undefined )
+            return rate;
+
+        let seconds = Math.ceil(stats.etaMs / 1000);
+        return `${rate}, ${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')} left`;
+    }
+
+    return `${stats.bytesWritten} bytes in ${(stats.elapsedMs / 1000).toFixed(1)} s, ${rate}, MTU ${stats.mtu}, ` +
+        `${stats.retries} retries`;
+}
+
+function _flash_exit_code(result: Object): number {
+    switch (result.status) {
+        case OTA_SUCCESS:
+        case OTA_NOUPDATE:
+            return EXIT_OK;
+        case OTA_CANCELLED:
+            return EXIT_CODES.get(ZeroByteErrorCodes.OPERATION_CANCELLED);
+        case OTA_VERSION_MISMATCH:
+            return EXIT_CODES.get(result.error === ZeroByteErrorCodes.DEVICE_FIRMWARE_VERSION_UNREADABLE
+                ? result.error : ZeroByteErrorCodes.DEVICE_FIRMWARE_VERSION_MISMATCH);
+        case OTA_DEVICE_NOT_RETURNED:
+            return EXIT_DEVICE_NOT_RETURNED;
+        case OTA_FAILURE:
+        default:
+            return EXIT_CODES.has(result.error) ? EXIT_CODES.get(result.error) : EXIT_UPDATE_FAILED;
+    }
+}
+
+async function flash(args: Object, positionals: string[], out: Object): Promise<number> {
+    _require_positionals(positionals, ['file.gbl|latest']);
+    if ( !args['device'] )
+        throw new UsageError('Missing option: --device <id>');
+    if ( !args['transport'] )
+        throw new UsageError('Missing option: --transport <module|memory>');
+
+    let latest = positionals.length === 1 && positionals[0] === 'latest';
+    if ( latest && (!args['client'] || !args['model']) )
+        throw new UsageError('flash latest requires --client and --model');
+
+    let writeMode = args['write-mode'];
+    if ( writeMode !== undefined && !Object.values(DFU_WRITE_MODE).includes(writeMode) )
+        throw new UsageError(`Invalid --write-mode ${writeMode}, expected ${Object.values(DFU_WRITE_MODE).join(' or ')}`);
+
+    let profiles = Object.keys(DFU_TIMING_PROFILE).map((name) => name.toLowerCase());
+    if ( args['profile'] !== undefined && !profiles.includes(args['profile']) )
+        throw new UsageError(`Invalid --profile ${args['profile']}, expected ${profiles.join(', ')}`);
+    let timingProfile = args['profile'] !== undefined ? DFU_TIMING_PROFILE[args['profile'].toUpperCase()] : undefined;
+
+    let abortController = new AbortController();
+
+    // The statistics of the upload in progress, shown next to its progress
+    let stats;
+    let options = {
+        peripheralId: args['device'],
+        transport: await _load_transport(args['transport'], args['device']),
+        clientName: args['client'],
+        deviceName: args['model'],
+        channel: _channels(args),
+        currentFWVersion: args['current'],
+        url_base: args['url-base'],
+        isInOTA: args['in-ota'] || false,
+        verifyUpdate: !args['skip-verify'],
+        signal: abortController.signal,
+        trustedKeys: args['trusted-key'],
+        hwRevision: args['hw-revision'],
+        deviceId: args['device-id'],
+        mirrors: args['mirror'],
+        requestTimeoutMs: _number_option(args, 'timeout'),
+        requestRetries: _number_option(args, 'retries'),
+        writeMode: writeMode,
+        ackInterval: _number_option(args, 'ack-interval'),
+        timingProfile: timingProfile,
+        updateStatus: (message) => out.status(message),
+        onTransferStats: (transferStats) => { stats = transferStats; },
+        onProgress: (progress) => out.progress(progress, stats !== undefined && progress > 0 && progress < 1 ? _describe_rate(stats) : undefined),
+    };
+
+    if ( !latest ) {
+        options.firmwareFiles = positionals;
+        options.targetVersion = args['target-version'];
+    }
+
+    // Registered once nothing can throw before the finally which removes it
+    let onInterrupt = () => abortController.abort();
+    process.once('SIGINT', onInterrupt);
+
+    let result;
+    try {
+        result = await runDFU(options);
+    } finally {
+        process.removeListener('SIGINT', onInterrupt);
+    }
+
+    if ( args.json ) {
+        out.json({...result, error: result.error === undefined ? undefined : describe_error(result.error),
+            cause: result.cause === undefined ? undefined : describe_error(result.cause)});
+    } else {
+        let status = {
+            [OTA_SUCCESS]: 'Update completed successfully',
+            [OTA_FAILURE]: 'Update failed',
+            [OTA_NOUPDATE]: 'No update available',
+            [OTA_CANCELLED]: 'Update cancelled',
+            [OTA_VERSION_MISMATCH]: result.error === ZeroByteErrorCodes.DEVICE_FIRMWARE_VERSION_UNREADABLE
+                ? 'Update applied, but the device did not report its firmware version'
+                : 'Update applied, but the device is not running the new firmware',
+            [OTA_DEVICE_NOT_RETURNED]: 'Update applied, but the device did not come back after rebooting',
+        }[result.status];
+
+        out.line(status);
+        if ( result.versions.length > 0 )
+            out.line(`  applied:        ${result.versions.join(', ')}`);
+        if ( result.deviceVersion !== undefined )
+            out.line(`  device version: ${result.deviceVersion}`);
+        if ( result.stage !== undefined )
+            out.line(`  stage:          ${result.stage}`);
+        if ( result.error !== undefined )
+            out.line(`  error:          ${describe_error(result.error)}`);
+        result.transferStats.forEach((transferStats, i) => out.line(`  upload ${i + 1}:       ${_describe_rate(transferStats, false)}`));
+        if ( result.failedOffset !== undefined )
+            out.line(`  failed at:      byte ${result.failedOffset}, ${describe_error(result.cause)}`);
+        if ( result.indexProblems !== undefined )
+            result.indexProblems.forEach((problem) => out.line(`    ${problem.path} ${problem.message}`));
+    }
+
+    return _flash_exit_code(result);
+}
+
+function _require_options(args: Object, names: string[]) {
+    let missing = names.find((name) => !args[name]);
+    if ( missing !== undefined )
+        throw new UsageError(`Missing option: --${missing}`);
+}
+
+function _rollout(args: Object): ?Object {
+    if ( args['rollout'] === undefined && args['rollout-allow'] === undefined )
+        return undefined;
+
+    let percent;
+    if ( args['rollout'] !== undefined ) {
+        percent = Number(args['rollout']);
+        if ( args['rollout'].trim() === '' || !(percent >= 0 && percent <= 100) )
+            throw new UsageError(`Invalid --rollout ${args['rollout']}, expected a percentage from 0 to 100`);
+    }
+
+    return {percent: percent, allow: args['rollout-allow']};
+}
+
+function _print_channel(model_infos: Object, out: Object) {
+    out.line(`  latest: ${model_infos.latest}`);
+    (model_infos.rollout || []).forEach((stage) => out.line(`  rollout: ${stage.version} to ${[
+        stage.percent !== undefined ? `${stage.percent}%` : undefined,
+        stage.allow !== undefined ? stage.allow.join(', ') : undefined,
+    ].filter((part) => part !== undefined).join(' and ')}`));
+}
+
+async function publish(args: Object, positionals: string[], out: Object): Promise<number> {
+    _require_positionals(positionals, ['dir']);
+    _require_options(args, ['client', 'model', 'root', 'url-base']);
+
+    let schema;
+    if ( args['schema'] !== undefined ) {
+        schema = Number(args['schema']);
+        if ( schema !== 1 && schema !== 2 )
+            throw new UsageError(`Unsupported --schema ${args['schema']}, expected 1 or 2`);
+    }
+
+    let metadata;
+    if ( args['metadata'] !== undefined )
+        metadata = JSON.parse(await fs.promises.readFile(args['metadata'], 'utf8'));
+
+    let result = await publish_release({
+        dir: positionals[0],
+        root: args['root'],
+        url_base: args['url-base'],
+        client_name: args['client'],
+        channel: args['channel'],
+        model_name: args['model'],
+        version: args['version'],
+        versionFromGbl: args['version-from-gbl'] || false,
+        signingKeys: await _signing_keys(args),
+        schema: schema,
+        metadata: metadata,
+        rollout: _rollout(args),
+    });
+
+    let model_infos = fw_index_devices(result.index)[args['model']];
+    if ( args.json ) {
+        out.json({path: result.path, version: result.version, entries: result.entries, latest: model_infos.latest, rollout: model_infos.rollout});
+    } else {
+        out.line(`Published ${args['model']} ${result.version} to ${result.path}`);
+        result.entries.forEach((entry) => out.line(`  ${entry}`));
+        _print_channel(model_infos, out);
+    }
+
+    return EXIT_OK;
+}
+
+async function promote(args: Object, positionals: string[], out: Object): Promise<number> {
+    _require_positionals(positionals, ['model', 'version']);
+    _require_options(args, ['client', 'from', 'to', 'root', 'url-base']);
+    let [model, version] = positionals;
+
+    let result = await promote_fw_version({
+        root: args['root'],
+        url_base: args['url-base'],
+        client_name: args['client'],
+        model_name: model,
+        version: version,
+        from: args['from'],
+        to: args['to'],
+        signingKeys: await _signing_keys(args),
+        rollout: _rollout(args),
+    });
+
+    let model_infos = fw_index_devices(result.index)[model];
+    if ( args.json ) {
+        out.json({path: result.path, entries: result.entries, latest: model_infos.latest, rollout: model_infos.rollout});
+    } else {
+        out.line(`Promoted ${model} ${version} from ${args['from']} to ${args['to']} (${result.path})`);
+        result.entries.forEach((entry) => out.line(`  ${entry}`));
+        _print_channel(model_infos, out);
+    }
+
+    return EXIT_OK;
+}
+
+async function sign(args: Object, positionals: string[], out: Object): Promise<number> {
+    _require_options(args, ['client', 'root', 'signing-key']);
+
+    let file = await sign_published_index(args['root'], args['client'], args['channel'] || 'prod', await _signing_keys(args));
+    if ( args.json )
+        out.json({path: file});
+    else
+        out.line(`Signed ${file}`);
+
+    return EXIT_OK;
+}
+
+async function keygen(args: Object, positionals: string[], out: Object): Promise<number> {
+    let keys = generate_signing_keys();
+    if ( args.json ) {
+        out.json(keys);
+    } else {
+        out.line(`public key: ${keys.publicKey}`);
+        out.line(`secret key: ${keys.secretKey}`);
+        out.line('Keep the secret key safe, and give the public key to apps as a trusted key.');
+    }
+
+    return EXIT_OK;
+}
+
+async function validate(args: Object, positionals: string[], out: Object): Promise<number> {
+    _require_positionals(positionals, ['index.json']);
+    let file = positionals[0];
+
+    let fw_index;
+    try {
+        fw_index = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (error) {
+        if ( !(error instanceof SyntaxError) )
+            throw error;
+
+        out.status(`${file}: ${error.message}`);
+        throw ZeroByteErrorCodes.FIRMWARE_INDEX_MALFORMED;
+    }
+
+    let problems = validate_fw_index(fw_index);
+    if ( args.json ) {
+        out.json({file: file, valid: problems.length === 0, problems: problems});
+    } else if ( problems.length === 0 ) {
+        out.line(`${file}: valid`);
+    } else {
+        out.line(`${file}: ${problems.length} problem(s)`);
+        problems.forEach((problem) => out.line(`  ${problem.path} ${problem.message}`));
+    }
+
+    return problems.length === 0 ? EXIT_OK : EXIT_CODES.get(ZeroByteErrorCodes.FIRMWARE_INDEX_MALFORMED);
+}
+
+const COMMANDS = {
+    check: check,
+    channels: channels,
+    versions: versions,
+    download: download,
+    prefetch: prefetch,
+    cache: cache,
+    inspect: inspect,
+    flash: flash,
+    publish: publish,
+    promote: promote,
+    sign: sign,
+    keygen: keygen,
+    validate: validate,
+};
+
+/**
+ * Runs the zerobyte-fw command line. Output is written to stdout, status and log messages to stderr.
+ *
+ * @param argv {string[]}   The arguments, without the node executable and script, e.g. ['check', 'acme', 'tnt']
+ * @param io {{stdout, stderr}} (optional) The streams to write to, defaults to the process streams
+ * @returns {Promise<number>} The exit code
+ */
+async function main(argv: string[], io: Object = process): Promise<number> {
+    let args;
+    let positionals;
+    try {
+        ({values: args, positionals} = parseArgs({args: argv, options: OPTIONS, allowPositionals: true, strict: true}));
+    } catch (error) {
+        io.stderr.write(`${error.message}\n\n${USAGE}\n`);
+        return EXIT_USAGE;
+    }
+
+    let command = positionals.shift();
+    if ( args.help || command === undefined ) {
+        io.stdout.write(`${USAGE}\n`);
+        return command === undefined && !args.help ? EXIT_USAGE : EXIT_OK;
+    }
+
+    if ( !COMMANDS.hasOwnProperty(command) ) {
+        io.stderr.write(`Unknown command: ${command}\n\n${USAGE}\n`);
+        return EXIT_USAGE;
+    }
+
+    let out = {
+        line: (text) => io.stdout.write(`${text}\n`),
+        json: (value) => io.stdout.write(`${JSON.stringify(value, null, 2)}\n`),
+        status: (text) => { if ( !args.json ) io.stderr.write(`${io.stderr.isTTY ? '\r\x1b[K' : ''}${text}\n`); },
+        // Progress is reported as a fraction of the current image, and only drawn on a terminal
+        progress: (fraction, detail) => {
+            if ( !args.json && io.stderr.isTTY )
+                io.stderr.write(`\r\x1b[K  ${Math.round(Math.min(fraction, 1) * 100)}%${detail ? `  ${detail}` : ''}`);
+        },
+        clear: () => { if ( !args.json && io.stderr.isTTY ) io.stderr.write('\r\x1b[K'); },
+    };
+
+    // The library logs through console, which would mix with the command's output on stdout.
+    let log = args.verbose ? (...message) => io.stderr.write(`${message.join(' ')}\n`) : () => {};
+    let saved = {log: console.log, info: console.info, warn: console.warn, trace: console.trace};
+    console.log = console.info = console.warn = console.trace = log;
+    setDFULoggers(log, log, log, log);
+    set_fw_backends({
+        httpClient: new NodeHttpClient(),
+        fileStore: new NodeFileStore(),
+        indexCache: args['cache-dir'] ? new NodeIndexCache(args['cache-dir']) : null,
+        firmwareCache: args['cache-dir'] ? new NodeFirmwareCache(path.join(args['cache-dir'], 'firmware')) : false,
+    });
+
+    try {
+        return await COMMANDS[command](args, positionals, out);
+    } catch (error) {
+        if ( error instanceof UsageError )
+            io.stderr.write(`${error.message}\n\n${USAGE}\n`);
+        else if ( args.json )
+            out.json({error: describe_error(error)});
+        else
+            io.stderr.write(`zerobyte-fw ${command}: ${describe_error(error)}\n`);
+
+        return exit_code(error);
+    } finally {
+        Object.assign(console, saved);
+    }
+}
+
+export { main, exit_code };
@@ -1,16 +1,14 @@
-import RNFetchBlob from 'rn-fetch-blob';
-import {Platform} from 'react-native';
-import {BleManager} from 'react-native-ble-plx';
-import {download_fw, get_latest_fw_info} from "./ZeroByteFirmwareUtils";
+import {download_fw, get_update_plan, is_fw_compatible} from "./ZeroByteFirmwareUtils";
 import {ZeroByteErrorCodes} from "./ZeroByteErrorCodes";
+import {parse_gbl_stream} from "./ZeroByteGBL";
+import {asTransport} from "./ZeroByteTransport";
+import {fw_versions_match} from "./ZeroByteVersions";
+import {get_file_store} from "./ZeroByteBackends";
 
 const Buffer = require('buffer/').Buffer;
 
-function osUUID(uuid) {
-    return Platform.OS === 'ios' ? uuid.toUpperCase() : uuid.toLowerCase();
-}
-
-const OTA_SERVICE = osUUID('1D14D6EE-FD63-4FA1-BFA4-8F47B42119F0');
+// UUIDs are upper case ... the transport takes care of any casing its BLE stack requires.
+const OTA_SERVICE = '1D14D6EE-FD63-4FA1-BFA4-8F47B42119F0';
 
 /**
  * The attribute for putting the bootloader in a state to receive a new firmware (GBL file).
@@ -26,7 +24,7 @@ const OTA_SERVICE = osUUID('1D14D6EE-FD63-4FA1-BFA4-8F47B42119F0');
  * BLE Properties: Write
  * @type {string}
  */
-const OTA_CONTROL_ATTRIBUTE = osUUID('F7BF3564-FB6D-4E53-88A4-5E37E0326063');
+const OTA_CONTROL_ATTRIBUTE = 'F7BF3564-FB6D-4E53-88A4-5E37E0326063';
 const CTL_START = 0x00;
 const CTL_DONE = 0x03;
 const CTL_CLOSE = 0x04;
@@ -39,17 +37,28 @@ const CTL_CLOSE = 0x04;
  * BLE Properties: Write without response, write
  * @type {string}
  */
-const OTA_DATA_ATTRIBUTE = osUUID('984227F3-34FC-4045-A5D0-2C581F81A153');
-const APPLOADER_VERSION = osUUID('4F4A2368-8CCA-451E-BFFF-CF0E2EE23E9F');
-const OTA_VERSION = osUUID('4CC07BCF-0868-4B32-9DAD-BA4CC41E5316');
-const GECKO_BOOTLOADER_VERSION = osUUID('25F05C0A-E917-46E9-B2A5-AA2BE1245AFE');
-const APPLICATION_VERSION = osUUID('0D77CC11-4AC1-49F2-BFA9-CD96AC7A92F8');
+const OTA_DATA_ATTRIBUTE = '984227F3-34FC-4045-A5D0-2C581F81A153';
+const APPLOADER_VERSION = '4F4A2368-8CCA-451E-BFFF-CF0E2EE23E9F';
+const OTA_VERSION = '4CC07BCF-0868-4B32-9DAD-BA4CC41E5316';
+const GECKO_BOOTLOADER_VERSION = '25F05C0A-E917-46E9-B2A5-AA2BE1245AFE';
+const APPLICATION_VERSION = '0D77CC11-4AC1-49F2-BFA9-CD96AC7A92F8';
+
+// The Hardware Revision String (0x2A27) of the standard Device Information service (0x180A)
+const DEVICE_INFORMATION_SERVICE = '0000180A-0000-1000-8000-00805F9B34FB';
+const HARDWARE_REVISION = '00002A27-0000-1000-8000-00805F9B34FB';
 
 export const OTA_SUCCESS = 1;
 export const OTA_FAILURE = 0;
 export const OTA_NOUPDATE = -1;
+export const OTA_CANCELLED = -2;
+export const OTA_VERSION_MISMATCH = -3;     // The update was applied, but the device is not running the new firmware
+export const OTA_DEVICE_NOT_RETURNED = -4;  // The update was applied, but the device did not come back after rebooting
 
-const REBOOT_DELAY_MS = 2500;
+const VERIFY_TIMEOUT_MS = 60000;
+const VERIFY_RETRY_DELAY_MS = 2000;
+const FIRMWARE_READ_CHUNK_SIZE = 4096;  // How much of the firmware file is read at a time while it is streamed
+const BLOCK_WRITE_RETRIES = 3;          // How many times a failed block write is retried before the upload fails
+const BLOCK_WRITE_RETRY_DELAY_MS = 100;
 
 let logTrace = (message: string, payload: any) => {
     if ( payload )
@@ -89,198 +98,668 @@ export function setDFULoggers( infoLogger: (message: string, payload: any)=>void
     logTrace = traceLogger;
 }
 
+/**
+ * Firmware versions read from the device's OTA service, and its hardware revision read from its Device Information
+ * service. Values which could not be read are undefined.
+ *
+ * @typedef DeviceFirmwareInfo
+ * @property {string} applicationVersion    APPLICATION_VERSION ... the version of the running application firmware
+ * @property {string} apploaderVersion      APPLOADER_VERSION ... major.minor.patch.build
+ * @property {number} otaVersion            OTA_VERSION ... the version of the OTA protocol
+ * @property {string} bootloaderVersion     GECKO_BOOTLOADER_VERSION ... major.minor.customer
+ * @property {string} hardwareRevision      HARDWARE_REVISION ... the hardware revision or board ID, e.g. 'B'
+ */
+
+function decodeAppLoaderVersion(b: Buffer): string {
+    // 4 x uint16: major, minor, patch, build
+    if ( b.length < 8 )
+        return undefined;
+
+    return [0, 2, 4, 6].map((offset) => b.readUInt16LE(offset)).join('.');
+}
+
+function decodeOTAVersion(b: Buffer): number {
+    return b.length < 1 ? undefined : b.readUInt8(0);
+}
+
+function decodeBootloaderVersion(b: Buffer): string {
+    // uint32: major (8 bits), minor (8 bits), customer (16 bits)
+    if ( b.length < 4 )
+        return undefined;
+
+    let v = b.readUInt32LE(0);
+    return [(v >>> 24) & 0xFF, (v >>> 16) & 0xFF, v & 0xFFFF].join('.');
+}
+
+function decodeHardwareRevision(b: Buffer): string {
+    let revision = b.toString('utf8').replace(/\0+$/, '').trim();
+    return revision.length > 0 ? revision : undefined;
+}
+
+function decodeApplicationVersion(b: Buffer): string {
+    // Either the uint32 version from the application properties, or a version string such as '20220101.abc123f'. The
+    // uint32 form only carries the date, e.g. '20220101', so compare versions with fw_versions_match.
+    if ( b.length === 4 )
+        return String(b.readUInt32LE(0));
+
+    let version = b.toString('ascii').replace(/\0+$/, '').trim();
+    return version.length > 0 ? version : undefined;
+}
+
+/**
+ * Connects to the device and reads the firmware versions from its OTA service. The connection is left open.
+ *
+ * @param peripheralId The device.id of the device
+ * @param bleManager The initialized BleManager instance from the application, or any {@link BleTransport}
+ * @returns {Promise<DeviceFirmwareInfo>}
+ * @throws {ZeroByteErrorCodes} DEVICE_CONNECTION_FAILED if the device could not be connected
+ */
+export async function getDeviceFirmwareInfo(peripheralId: string, bleManager: Object): Promise<Object> {
+    let dfu = new DFUHandler({peripheralId: peripheralId, transport: asTransport(bleManager)});
+    return dfu.ota_read_device_firmware_info();
+}
+
+/**
+ * The stages of the update sequence, reported in {@link DFUResult} to identify where an update failed.
+ */
+export const DFU_STAGE = Object.freeze({
+    CHECK: 'check',                 // Retrieving the firmware index
+    DOWNLOAD: 'download',           // Downloading the firmware modules
+    VALIDATE: 'validate',           // Validating the downloaded GBL images
+    CONNECT: 'connect',             // Connecting to the device
+    REBOOT: 'reboot_to_dfu',        // Rebooting the device into DFU mode
+    WRITE: 'write',                 // Uploading the image to the device
+    FINALIZE: 'finalize',           // Ending the upload so the device applies the image
+    VERIFY: 'verify',               // Confirming the device is running the new firmware
+});
+
+/**
+ * How firmware blocks are written to the OTA data characteristic, see the writeMode of {@link DFUOptions}.
+ */
+export const DFU_WRITE_MODE = Object.freeze({
+    UNACKNOWLEDGED: 'unacknowledged',   // Write without response, the fastest ... with a write with response every ackInterval blocks
+    ACKNOWLEDGED: 'acknowledged',       // Write every block with response, slower but reliable on phones which drop writes
+});
+
+/**
+ * The delays, MTU and link parameters of the OTA sequence. A timingProfile given in the {@link DFUOptions} may be one of
+ * the DFU_TIMING_PROFILE values, or an object with only some of these properties, which are taken from CONSERVATIVE
+ * otherwise.
+ *
+ * @typedef TimingProfile
+ * @property {number} requestMTU            The MTU to request. Firmware is written in blocks of the negotiated MTU less 8 bytes.
+ * @property {number} connectDelayMs        How long to wait before each connection to the device
+ * @property {number} controlDelayMs        How long to wait after each command written to the OTA control characteristic
+ * @property {number} dfuRebootDelayMs      How long to wait after asking the device to reboot into DFU mode
+ * @property {number} finishDelayMs         How long to wait after the last block of an image, before ending the upload
+ * @property {number} rebootDelayMs         How long to wait for the device to reboot after an image is applied, or before retrying an upload
+ * @property {string} connectionPriority    optional. 'high', 'balanced' or 'lowPower', requested after connecting if the transport supports it
+ * @property {string} phy                   optional. '1M', '2M' or 'coded', requested after connecting if the transport supports it
+ */
+
+/**
+ * Timing profiles for the OTA sequence, see {@link TimingProfile}. CONSERVATIVE is the default, and the timing the
+ * handler has always used. BALANCED and FAST trade margin for speed, and should be tried per phone model.
+ */
+export const DFU_TIMING_PROFILE = Object.freeze({
+    CONSERVATIVE: Object.freeze({
+        requestMTU: 245,
+        connectDelayMs: 1000,
+        controlDelayMs: 1000,
+        dfuRebootDelayMs: 1000,
+        finishDelayMs: 1000,
+        rebootDelayMs: 2500,
+        connectionPriority: undefined,
+        phy: undefined,
+    }),
+    BALANCED: Object.freeze({
+        requestMTU: 245,
+        connectDelayMs: 250,
+        controlDelayMs: 250,
+        dfuRebootDelayMs: 1000,
+        finishDelayMs: 250,
+        rebootDelayMs: 2500,
+        connectionPriority: 'high',
+        phy: undefined,
+    }),
+    FAST: Object.freeze({
+        requestMTU: 245,
+        connectDelayMs: 0,
+        controlDelayMs: 50,
+        dfuRebootDelayMs: 500,
+        finishDelayMs: 0,
+        rebootDelayMs: 1500,
+        connectionPriority: 'high',
+        phy: '2M',
+    }),
+});
+
+/**
+ * Live statistics of a firmware upload, see the onTransferStats option of {@link DFUOptions}.
+ *
+ * @typedef TransferStats
+ * @property {number} bytesWritten          The bytes of the image written to the device so far
+ * @property {number} totalBytes            The size of the image
+ * @property {number} elapsedMs             The time since the upload started
+ * @property {number} bytesPerSecond        The average rate of the upload so far, 0 until a block has been written
+ * @property {number} etaMs                 The estimated time until the image is written, undefined until a block has been written
+ * @property {number} retries               The block writes which have been retried so far
+ * @property {number} mtu                   The negotiated MTU
+ * @property {number} blockSize             The size of each block written to the device
+ * @property {string} writeMode             The {@link DFU_WRITE_MODE} of the upload
+ * @property {string} connectionPriority    The connection priority which was granted, undefined if none was requested or the transport does not support it
+ * @property {string} phy                   The PHY which was granted, undefined if none was requested or the transport does not support it
+ */
+
+/**
+ * Options for {@link runDFU} and {@link startDFU}.
+ *
+ * @typedef DFUOptions
+ * @property {string} peripheralId          The device.id of the device to update
+ * @property {BleManager} bleManager        The initialized BleManager instance from the application. Not needed if transport is given.
+ * @property {BleTransport} transport       optional. The BLE transport to use instead of bleManager, see ZeroByteTransport.js
+ * @property {string} clientName            The name of the client. @see ZeroByteFW.get_latest_fw_info for details
+ * @property {string} deviceName            The device's hardware identifier ... @see ZeroByteFW.get_latest_fw_info for details
+ * @property {string|string[]} channel      The firmware update channel from which the index.json is retrieved (e.g. "prod", "beta", "alpha" or "dev"), or a list of channels to take the newest update from
+ * @property {string} currentFWVersion      optional (default: undefined). The current FW version used on the device.
+ * @property {string} url_base              optional. The url_base from which to obtain firmware indices.
+ * @property {boolean} isInOTA              optional (default: false). Set to true if the device is already in DFU mode prior to the update.
+ * @property {function} onProgress          optional callback invoked repeatedly throughout the DFU process: (number)=>void
+ * @property {function} updateStatus        optional callback invoked to pass a status message to the application for display: (string)=>void
+ * @property {function} onImageInfo         optional callback invoked with the parsed metadata of each firmware image before it is flashed: (GBLInfo, number[])=>void
+ * @property {function} onDone              optional, startDFU only. Callback invoked after DFU has completed: (string, DFUResult)=>void
+ * @property {AbortSignal} signal           optional. Cancels the update when aborted.
+ * @property {boolean} verifyUpdate         optional (default: true). After the final module, wait for the device to come back and confirm it runs the new firmware.
+ * @property {number} verifyTimeoutMs       optional (default: 60000). How long to wait for the device to come back after the final module.
+ * @property {number} verifyRetryDelayMs    optional (default: 2000). How long to wait between attempts to reconnect to the device.
+ * @property {HttpClient} httpClient        optional. The HTTP client used for the firmware index and downloads, see ZeroByteBackends.js
+ * @property {FileStore} fileStore          optional. The file store holding the downloaded firmware, see ZeroByteBackends.js
+ * @property {string[]} trustedKeys         optional. Ed25519 public keys the firmware index must be signed with, see ZeroByteSignatures.js
+ * @property {string[]} firmwareFiles       optional. Local firmware images to apply, in order, instead of checking the firmware index.
+ * @property {string} targetVersion         optional, with firmwareFiles. The application version the final image installs, used to verify the update.
+ * @property {string} hwRevision            optional. The hardware revision or board ID of the device, used if the device does not report one.
+ * @property {string} deviceId              optional. A stable identifier of the device, e.g. its serial number, used to place it in staged rollouts. Defaults to peripheralId.
+ * @property {number} requestTimeoutMs      optional (default: 10000 for the firmware index, 30000 for downloads). How long to wait for each request for the firmware index, and for data while downloading firmware.
+ * @property {number} requestRetries        optional (default: 2). How many times to retry a failed request for the firmware index or a firmware bundle.
+ * @property {function} onDownloadProgress  optional callback invoked repeatedly while each firmware module is downloaded: (FirmwareDetails, number, number, number)=>void ... the module, the bytes received, the total bytes (-1 if unknown) and the percentage complete (undefined if unknown)
+ * @property {string[]} mirrors             optional. Further url_base values to request the firmware index from while it is unavailable.
+ * @property {IndexCache} indexCache        optional. The cache for firmware indices, false to disable it, see ZeroByteBackends.js
+ * @property {FirmwareCache} firmwareCache  optional. The cache for downloaded firmware, which also resolves updates while the firmware index is unavailable. false disables it, see ZeroByteBackends.js
+ * @property {string} writeMode             optional (default: DFU_WRITE_MODE.UNACKNOWLEDGED). How firmware blocks are written to the device, see {@link DFU_WRITE_MODE}.
+ * @property {number} ackInterval           optional (default: 0). With DFU_WRITE_MODE.UNACKNOWLEDGED, write every ackInterval-th block with response, as a flow control checkpoint. 0 never does.
+ * @property {TimingProfile} timingProfile  optional (default: DFU_TIMING_PROFILE.CONSERVATIVE). The delays, MTU, connection priority and PHY of the OTA sequence, see {@link DFU_TIMING_PROFILE}.
+ * @property {function} onTransferStats     optional callback invoked with the statistics of each upload, as each block is written: (TransferStats)=>void
+ */
+
+/**
+ * The outcome of an update.
+ *
+ * @typedef DFUResult
+ * @property {number} status                OTA_SUCCESS, OTA_FAILURE, OTA_NOUPDATE, OTA_CANCELLED, OTA_VERSION_MISMATCH or OTA_DEVICE_NOT_RETURNED. OTA_VERSION_MISMATCH comes with the error DEVICE_FIRMWARE_VERSION_MISMATCH if the device reported another version, or DEVICE_FIRMWARE_VERSION_UNREADABLE if it reconnected but never reported one. OTA_DEVICE_NOT_RETURNED comes with DEVICE_CONNECTION_FAILED.
+ * @property {string[]} versions            The versions of the firmware modules that were applied, in the order they were applied
+ * @property {FirmwareDetails} failedModule The firmware module that failed, if the failure is specific to a module
+ * @property {string} stage                 The {@link DFU_STAGE} in which the update failed or was cancelled
+ * @property {*} error                      The underlying error, usually one of {@link ZeroByteErrorCodes} or a BleError. May be undefined.
+ * @property {string} deviceVersion         The application version the device reported after the update, if it was verified
+ * @property {IndexProblem[]} indexProblems The problems found in the firmware index, if the error is FIRMWARE_INDEX_MALFORMED
+ * @property {number} failedOffset          The offset in the image of the block which could not be written, if the error is DEVICE_WRITE_FAILED. A failed upload is retried once, so this is the block of the last attempt.
+ * @property {*} cause                      The error of the last attempt to write that block, if the error is DEVICE_WRITE_FAILED
+ * @property {TransferStats[]} transferStats The final statistics of each upload to the device, in order, including uploads which failed or were cancelled part way
+ */
+
 /**
  * Turn-key DFU method ... checks for new firmware, downloads the images, and flashes them onto the device.
  *
  * This method ALWAYS applies the latest available firmware to the device. If the latest firmware version in the update
  * channel matches currentFWVersion, no action is taken.
  *
- * @param peripheralId The device.id of the device to update
- * @param bleManager The initialized BleManager instance from the application
- * @param clientName The name of the client. @see ZeroByteFW.get_latest_fw_info for details
- * @param deviceName The device's hardware identifier ... @see ZeroByteFW.get_latest_fw_info for details
- * @param channel The firmware update channel from which the index.json is retrieved (e.g. "prod", "beta", "alpha" or "dev"). @see ZeroByteFW.get_latest_fw_info for details
- * @param currentFWVersion optional (default: undefined). The current FW version used on the device. @see ZeroByteFW.get_latest_fw_info for details
- * @param url_base the url_base from which to obtain firmware indices. @see ZeroByteFW.get_latest_fw_info for details
- * @param isInOTA optional (default: false). Set to true if the device is already in DFU mode prior to the update.
- * @param onDone callback invoked after DFU has completed: (string)=>void
- * @param onProgress callback invoked repeatedly throughout the DFU process: (number)=>void where number = percent complete
- * @param updateStatus callback invoked to pass a status message to the application for display: (string)=>void
+ * @param {DFUOptions} options      Describes the device and the update to apply
+ * @returns {Promise<Object>}    The outcome of the update. This promise never rejects.
  */
-export function startDFU(peripheralId, bleManager, clientName, deviceName, channel, currentFWVersion = undefined, url_base=undefined, isInOTA = false, onDone, onProgress, updateStatus) {
-    logInfo('Starting firmware update for ' + peripheralId + " - " + deviceName);
-
-    // We're really just wrapping DFUHandler in a convenient package here ...
-    // all the work starts in ota_update_firmware.
-    let dfu = new DFUHandler(peripheralId, bleManager, clientName, deviceName, channel, currentFWVersion, url_base, isInOTA, updateStatus, onProgress);
-    dfu.ota_turnkey_firmware_update().then((status) => {
-        logTrace('Got status: ' + status);
-        let message;
-        switch (status) {
-            case OTA_FAILURE:
-                message = 'Update failed...';
-                break;
-            case OTA_NOUPDATE:
-                message = 'No update available...';
-                break;
-            case OTA_SUCCESS:
-                message = 'Update completed successfully...';
-                break;
-            default:
-                message = 'Unexpected result from firmware update. Please contact support.';
-                break;
-        }
+export async function runDFU(options: Object): Promise<Object> {
+    logInfo('Starting firmware update for ' + options.peripheralId + " - " + options.deviceName);
 
-        onDone(message);
+    let dfu = new DFUHandler(options);
+    return dfu.ota_run();
+}
+
+/**
+ * Maps the status of an update to a (non-internationalized) message.
+ *
+ * @param status OTA_SUCCESS, OTA_FAILURE, OTA_NOUPDATE, OTA_CANCELLED, OTA_VERSION_MISMATCH or OTA_DEVICE_NOT_RETURNED
+ * @returns {string}
+ */
+function dfu_status_message(status: number): string {
+    switch (status) {
+        case OTA_FAILURE:
+            return 'Update failed...';
+        case OTA_NOUPDATE:
+            return 'No update available...';
+        case OTA_SUCCESS:
+            return 'Update completed successfully...';
+        case OTA_CANCELLED:
+            return 'Update cancelled...';
+        case OTA_VERSION_MISMATCH:
+            return 'Update applied, but the device is not running the new firmware...';
+        case OTA_DEVICE_NOT_RETURNED:
+            return 'Update applied, but the device did not come back after rebooting...';
+        default:
+            return 'Unexpected result from firmware update. Please contact support.';
+    }
+}
+
+/**
+ * Callback flavour of {@link runDFU}. Accepts either a {@link DFUOptions} object, or the legacy positional parameters:
+ *
+ * startDFU(peripheralId, bleManager, clientName, deviceName, channel, currentFWVersion, url_base, isInOTA, onDone, onProgress, updateStatus, onImageInfo)
+ *
+ * @param options {DFUOptions|string} The update options, or the device.id of the device to update (legacy signature)
+ * @returns {{cancel: function, result: Promise<Object>}} a handle for this update session. Call cancel() to stop the
+ *          update at the next safe point, onDone is then invoked with the cancelled outcome.
+ */
+export function startDFU(options: Object | string, ...positional) {
+    if ( typeof options !== 'object' ) {
+        let [bleManager, clientName, deviceName, channel, currentFWVersion, url_base, isInOTA, onDone, onProgress, updateStatus, onImageInfo] = positional;
+        options = {
+            peripheralId: options,
+            bleManager: bleManager,
+            clientName: clientName,
+            deviceName: deviceName,
+            channel: channel,
+            currentFWVersion: currentFWVersion,
+            url_base: url_base,
+            isInOTA: isInOTA || false,
+            onDone: onDone,
+            onProgress: onProgress,
+            updateStatus: updateStatus,
+            onImageInfo: onImageInfo,
+        };
+    }
+
+    let abortController = new AbortController();
+    if ( options.signal ) {
+        if ( options.signal.aborted )
+            abortController.abort();
+        else
+            options.signal.addEventListener('abort', () => abortController.abort());
+    }
+
+    let result = runDFU({...options, signal: abortController.signal}).then((result) => {
+        logTrace('Got status: ' + result.status);
+        if ( options.onDone )
+            options.onDone(dfu_status_message(result.status), result);
+
+        return result;
     });
+
+    return {
+        cancel: () => abortController.abort(),
+        result: result,
+    };
 }
 
 class DFUHandler {
-    static shouldCancel = false;
-    bleManager: BleManager;
-    REQUEST_MTU: number = 245;
-    BLOCK_SIZE: number = this.REQUEST_MTU - 8;
+    transport: Object;                  // The BleTransport used to talk to the device
+    abortController: AbortController;   // Aborted when this update session is cancelled ... every session has its own.
+    REQUEST_MTU: number;
+    BLOCK_SIZE: number;
+    mtu: number;                        // The MTU negotiated with the device
     peripheralId: string;
     deviceName: string;
     version: string;
-    channel: string;
+    channel: string | string[];
     currentFWVersion: string;
     isInOTA: boolean;
     updateStatus: (string)=>void;       // Used to notify the app of a status message intended to show the user -- but it's not internationalized so use with care.
     onProgress: (number)=>void;         // Used to nofify the app of progress ... given values 0 to 100 to represent % complete of an upload
+    onImageInfo: (Object, number[])=>void; // Used to notify the app of the metadata of each image before it is flashed
+    stage: string;                      // The DFU_STAGE the update sequence is currently in
+    firmwareInfos: Object[];            // The FirmwareDetails of each module returned by ota_get_firmware_modules
+    currentModule: Object;              // The FirmwareDetails of the module currently being applied
+    appliedVersions: string[];          // The versions of the modules applied so far
+    lastError: any;                     // The most recent error encountered, reported in the DFUResult on failure
+    deviceInfo: Object;                 // The DeviceFirmwareInfo read from the device, if currentFWVersion was not supplied
+    targetVersion: string;              // The application version the update installs
+    deviceVersion: string;              // The application version the device reported after the update
+    verifyUpdate: boolean;              // If true, confirm the device runs the new firmware after the final module
+    verifyTimeoutMs: number;
+    verifyRetryDelayMs: number;
+    httpClient: Object;                 // The HttpClient for the firmware index and downloads, undefined for the default
+    fileStore: Object;                  // The FileStore for the downloaded firmware, undefined for the default
+    firmwareFiles: string[];            // Local images to apply instead of checking the firmware index, if given
+    trustedKeys: string[];              // The keys the firmware index must be signed with, if given
+    indexProblems: Object[];            // The IndexProblems found in a malformed firmware index
+    hwRevision: string;                 // The hardware revision given in the options, used if the device does not report one
+    deviceId: string;                   // The identifier used to place the device in staged rollouts
+    requestTimeoutMs: number;           // How long to wait for each request, undefined for the default
+    requestRetries: number;             // How many times to retry a failed request, undefined for the default
+    onDownloadProgress: Function;       // Notified of the progress of each firmware download, if given
+    mirrors: string[];                  // Further url_base values for the firmware index, if given
+    indexCache: Object;                 // The IndexCache for the firmware index, undefined for the default
+    firmwareCache: Object;              // The FirmwareCache for downloaded firmware, undefined for the default
+    writeMode: string;                  // The DFU_WRITE_MODE of firmware blocks
+    ackInterval: number;                // Write every ackInterval-th block with response in DFU_WRITE_MODE.UNACKNOWLEDGED, 0 for none
+    failedOffset: number;               // The offset of the block which could not be written, if any
+    writeError: any;                    // The error of the last attempt to write that block
+    timingProfile: Object;              // The TimingProfile of the OTA sequence
+    onTransferStats: (Object)=>void;    // Notified of the TransferStats of each upload as blocks are written
+    transferStats: Object[];            // The final TransferStats of each upload
+    currentStats: Object;               // The TransferStats of the upload in progress
+    linkParameters: Object;             // The connectionPriority and phy granted by the transport
 
     /**
-     *
-     * @param peripheralId The bluetooth device.id
-     * @param bleManager The initialized BleManager used by the application
-     * @param clientName The client name
-     * @param deviceName The device model name (e.g. "arcus", "kraken"...)
-     * @param channel The update channel to use (e.g. "prod", "beta", "alpha" or "dev")
-     * @param currentFWVersion The current firmware version on the device we're updating. Used to determine if the latest available is already applied. May be undefined.
-     * @param url_base The url_base from which to retrieve firmware indices
-     * @param isInOTA Defaults to false. Set to true if you're calling this for a peripheral that is already in DFU mode.
-     * @param updateStatus A callback with signature (string)=>void, used to send status messages to the app for display to the user...
-     * @param onProgress A callback with signature (number)=>void, used to send progress updates to the app for display to the user...
+     * @param options {DFUOptions} Describes the device and the update to apply. See {@link DFUOptions}
      **/
-    constructor(peripheralId, bleManager, clientName, deviceName, channel, currentFWVersion, url_base, isInOTA, updateStatus, onProgress) {
-        this.peripheralId = peripheralId;
-        this.bleManager = bleManager;
-        this.clientName = clientName;
-        this.deviceName = deviceName;
-        this.updateStatus = updateStatus;
-        this.channel = channel;
-        this.currentFWVersion = currentFWVersion;
-        this.url_base = url_base;
-        this.isInOTA = isInOTA;
-        this.onProgress = onProgress;
+    constructor(options: Object) {
+        this.peripheralId = options.peripheralId;
+        this.transport = options.transport || asTransport(options.bleManager);
+        this.clientName = options.clientName;
+        this.deviceName = options.deviceName;
+        this.updateStatus = options.updateStatus || (() => {});
+        this.channel = options.channel;
+        this.currentFWVersion = options.currentFWVersion;
+        this.url_base = options.url_base;
+        this.isInOTA = options.isInOTA || false;
+        this.verifyUpdate = options.verifyUpdate !== false;
+        this.verifyTimeoutMs = options.verifyTimeoutMs || VERIFY_TIMEOUT_MS;
+        this.verifyRetryDelayMs = options.verifyRetryDelayMs || VERIFY_RETRY_DELAY_MS;
+        this.onProgress = options.onProgress || (() => {});
+        this.onImageInfo = options.onImageInfo || (() => {});
+        this.httpClient = options.httpClient;
+        this.fileStore = options.fileStore;
+        this.firmwareFiles = options.firmwareFiles;
+        this.trustedKeys = options.trustedKeys;
+        this.targetVersion = options.targetVersion;
+        this.hwRevision = options.hwRevision;
+        this.deviceId = options.deviceId || options.peripheralId;
+        this.requestTimeoutMs = options.requestTimeoutMs;
+        this.requestRetries = options.requestRetries;
+        this.onDownloadProgress = options.onDownloadProgress;
+        this.mirrors = options.mirrors;
+        this.indexCache = options.indexCache;
+        this.firmwareCache = options.firmwareCache;
+        this.writeMode = options.writeMode || DFU_WRITE_MODE.UNACKNOWLEDGED;
+        this.ackInterval = options.ackInterval || 0;
+        this.timingProfile = {...DFU_TIMING_PROFILE.CONSERVATIVE, ...options.timingProfile};
+        this.REQUEST_MTU = this.timingProfile.requestMTU;
+        this.BLOCK_SIZE = this.REQUEST_MTU - 8;
+        this.onTransferStats = options.onTransferStats || (() => {});
+        this.transferStats = [];
+        this.linkParameters = {};
+        this.abortController = new AbortController();
+        this.firmwareInfos = [];
+        this.appliedVersions = [];
+
+        if ( options.signal ) {
+            if ( options.signal.aborted )
+                this.abortController.abort();
+            else
+                options.signal.addEventListener('abort', () => this.cancel());
+        }
     }
 
     /**
-     * Obtains the array of firmware modules that need to be applied to the device
+     * Runs ota_turnkey_firmware_update and describes its outcome.
+     *
+     * @returns {Promise<Object>}
+     */
+    async ota_run(): Promise<Object> {
+        let status;
+        try {
+            status = await this.ota_turnkey_firmware_update();
+        } catch (error) {
+            logError('An unexpected error occurred during the firmware update: ' + String(error));
+            this.lastError = error;
+            status = OTA_FAILURE;
+        }
+
+        let result = {
+            status: status,
+            versions: this.appliedVersions.slice(),
+            failedModule: undefined,
+            stage: undefined,
+            error: undefined,
+            deviceVersion: this.deviceVersion,
+            indexProblems: undefined,
+            failedOffset: undefined,
+            cause: undefined,
+            transferStats: this.transferStats.slice(),
+        };
+
+        if ( status !== OTA_SUCCESS && status !== OTA_NOUPDATE ) {
+            result.failedModule = this.currentModule;
+            result.stage = this.stage;
+            result.error = (status === OTA_CANCELLED) ? ZeroByteErrorCodes.OPERATION_CANCELLED : this.lastError;
+            result.indexProblems = this.indexProblems;
+            if ( result.error === ZeroByteErrorCodes.DEVICE_WRITE_FAILED ) {
+                result.failedOffset = this.failedOffset;
+                result.cause = this.writeError;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Requests cancellation of this update session. The index fetch and firmware downloads are aborted immediately,
+     * a firmware upload in progress is stopped at the next block boundary.
+     */
+    cancel() {
+        if ( this.isCancelled() )
+            return;
+
+        logInfo('Cancelling firmware update for ' + this.peripheralId);
+        this.abortController.abort();
+    }
+
+    isCancelled(): boolean {
+        return this.abortController.signal.aborted;
+    }
+
+    /**
+     * Call at a safe point in the update sequence to stop if cancellation was requested.
+     *
+     * @throws {ZeroByteErrorCodes} OPERATION_CANCELLED if this session has been cancelled
+     */
+    ota_throw_if_cancelled() {
+        if ( this.isCancelled() )
+            throw ZeroByteErrorCodes.OPERATION_CANCELLED;
+    }
+
+    /**
+     * Obtains the array of firmware modules that need to be applied to the device, in the order they must be applied.
+     * The InstallStep of each module is stored in this.firmwareInfos, in the same order as the returned paths. Modules
+     * already in the firmware cache are not downloaded again.
      *
-     * @param currentFW
      * @returns {Promise<[]>}
+     * @throws {ZeroByteErrorCodes} if the firmware index can not be used, or a module can not be downloaded intact
      */
     async ota_get_firmware_modules(): Promise<string[]> {
         let modules = [];
-        let latest_fw_infos = await get_latest_fw_info(this.clientName, this.deviceName, this.currentFWVersion, this.channel, this.url_base).catch((error) => {
+        this.stage = DFU_STAGE.CHECK;
+        if ( this.firmwareFiles )
+            return this.ota_get_local_firmware_modules();
+
+        let installed = {};
+        if ( this.deviceInfo ) {
+            installed.apploader = this.deviceInfo.apploaderVersion;
+            installed.bootloader = this.deviceInfo.bootloaderVersion;
+        }
+
+        let plan = await get_update_plan(this.clientName, this.deviceName, this.currentFWVersion, this.channel, this.url_base, {
+            signal: this.abortController.signal,
+            installed: installed,
+            httpClient: this.httpClient,
+            trustedKeys: this.trustedKeys,
+            hwRevision: this.ota_hardware_revision(),
+            deviceId: this.deviceId,
+            timeoutMs: this.requestTimeoutMs,
+            retries: this.requestRetries,
+            mirrors: this.mirrors,
+            indexCache: this.indexCache,
+            firmwareCache: this.firmwareCache,
+            onIndexProblems: (problems) => { this.indexProblems = problems; },
+        }).catch((error) => {
             switch (error) {
                 case ZeroByteErrorCodes.FIRMWARE_INDEX_UNAVAILABLE:
                     logError('Unable to fetch the firmware index right now...',);
-                    return modules;
+                    break;
 
                 case ZeroByteErrorCodes.FIRMWARE_INDEX_LATEST_VERSION_UNKNOWN:
                     logError('Unable to determine the latest version ...',);
-                    return modules;
+                    break;
             }
-        });
 
-        if ( latest_fw_infos === undefined ) {
-            logInfo("Unable to obtain firmware information" );
-            return modules;
-        }
+            throw error;
+        });
 
-        if (latest_fw_infos.length > 0 && this.currentFWVersion === latest_fw_infos[0].version) {
-            logInfo('Device already has latest available firmware version: ' + latest_fw_infos[0].version,);
+        if (plan.steps.length === 0) {
+            logInfo('Device already has latest available firmware version: ' + plan.version,);
             return modules;
         }
+        this.targetVersion = plan.version;
         this.updateStatus("Applying updates..." )
+        this.stage = DFU_STAGE.DOWNLOAD;
 
-        for (let i = 0; i < latest_fw_infos.length; ++i) {
-            let latest_fw_info = latest_fw_infos[i];
-            let message ='Downloading ' + this.deviceName + ' FW Version: ' + latest_fw_info.version;
+        for (let i = 0; i < plan.steps.length; ++i) {
+            let latest_fw_info = plan.steps[i];
+            this.currentModule = latest_fw_info;
+            let message ='Downloading ' + this.deviceName + ' ' + latest_fw_info.component + ' FW Version: ' + latest_fw_info.version;
             logInfo(message)
             this.updateStatus(message)
-            modules.push(await download_fw(latest_fw_info));
+
+            try {
+                modules.push(await download_fw(latest_fw_info, {
+                    signal: this.abortController.signal,
+                    httpClient: this.httpClient,
+                    fileStore: this.fileStore,
+                    firmwareCache: this.firmwareCache,
+                    clientName: this.clientName,
+                    modelName: this.deviceName,
+                    channel: plan.channel,
+                    release: plan.release,
+                    timeoutMs: this.requestTimeoutMs,
+                    retries: this.requestRetries,
+                    onProgress: this.onDownloadProgress
+                        ? (received, total, percent) => this.onDownloadProgress(latest_fw_info, received, total, percent)
+                        : undefined,
+                }));
+                this.firmwareInfos.push(latest_fw_info);
+            } catch (error) {
+                // Never flash a partial update ... if any module can not be obtained intact, the whole update is off.
+                logError('Unable to download ' + this.deviceName + ' FW Version: ' + latest_fw_info.version + ', aborting update.');
+                throw error;
+            }
         }
 
+        this.currentModule = undefined;
         return modules;
     }
 
     /**
-     * Loads the file at filePath into a Uint8Array instance
+     * @returns {string} The hardware revision read from the device, or else the one given in the options.
+     *          undefined if unknown.
+     */
+    ota_hardware_revision(): string {
+        if ( this.deviceInfo && this.deviceInfo.hardwareRevision !== undefined )
+            return this.deviceInfo.hardwareRevision;
+
+        return this.hwRevision;
+    }
+
+    /**
+     * Checks every module against the hardware revision of the device before anything is flashed, so an incompatible
+     * module never leaves the device half updated.
      *
-     * @param filePath
-     * @returns {Promise<Uint8Array>}
+     * @returns {boolean} true if every module is compatible. Otherwise the incompatible module is this.currentModule.
      */
-    async ota_read_firmware_bytes(filePath): Uint8Array {
-        logInfo(`Getting stats for ${filePath}`);
-        logInfo(`Type of filePath: ${typeof filePath}`);
-        let stats = await RNFetchBlob.fs.stat(`${filePath}`);
-
-        let firmwareSize = stats.size;
-        let firmwareBuffer = new ArrayBuffer(firmwareSize);
-        let firmwareBytes = new Uint8Array(firmwareBuffer);
-        let done = false;
-        logInfo(`Firmware bundle is ${firmwareSize} bytes.`);
-
-        if (stats.size > 0) {
-            RNFetchBlob.fs.readStream(filePath, 'ascii').then((stream) => {
-                let bytesRead = 0;
-
-                stream.open();
-                stream.onError((err) => {
-                    logError(err);
-                });
-                stream.onData((chunk) => {
-                    firmwareBytes.set(chunk, bytesRead);
-                    bytesRead += chunk.length;
-                    this.onProgress(bytesRead / firmwareSize);
-                });
-                stream.onEnd(() => {
-                    logInfo('Done reading firmware file from storage.');
-                    done = true;
-                });
-            });
+    ota_check_hardware_compatibility(): boolean {
+        let hwRevision = this.ota_hardware_revision();
+        let incompatible = this.firmwareInfos.find((info) => !is_fw_compatible(info, hwRevision));
+        if ( incompatible === undefined )
+            return true;
+
+        this.stage = DFU_STAGE.VALIDATE;
+        this.currentModule = incompatible;
+        this.lastError = ZeroByteErrorCodes.DEVICE_HARDWARE_INCOMPATIBLE;
+        logError('Refusing to flash ' + incompatible.component + ' ' + incompatible.version + ', it is not compatible with hardware revision ' +
+            (hwRevision === undefined ? '(unknown)' : hwRevision));
+        return false;
+    }
 
-            while (!done) {
-                await this.ota_delay(100);
-            }
-        }
+    /**
+     * Lists the local firmware images given in this.firmwareFiles as the modules to apply. Each image is reported by its
+     * path, except the final image, which is reported as this.targetVersion if it was given.
+     *
+     * @returns {string[]}
+     */
+    ota_get_local_firmware_modules(): string[] {
+        this.firmwareInfos = this.firmwareFiles.map((path, i) => ({
+            name: path,
+            url: path,
+            version: (i === this.firmwareFiles.length - 1 && this.targetVersion) || path,
+            step: i + 1,
+        }));
+
+        logInfo('Applying local firmware images: ' + this.firmwareFiles.join(', '));
+        return this.firmwareFiles.slice();
+    }
 
-        logInfo('Returning firmware bytes.');
-        return firmwareBytes;
+    /**
+     * Reads the firmware file at filePath in chunks of up to FIRMWARE_READ_CHUNK_SIZE bytes. The next chunk is only
+     * read when the consumer asks for it, so the file is never held in memory as a whole.
+     *
+     * @param filePath the local path to the firmware bundle
+     * @returns {AsyncIterable<Uint8Array>}
+     */
+    ota_read_firmware_chunks(filePath): Object {
+        return get_file_store(this).readStream(`${filePath}`, {bufferSize: FIRMWARE_READ_CHUNK_SIZE});
+    }
+
+    /**
+     * Validates the GBL structure and CRC32 of the firmware image before anything is sent to the device. The file is
+     * streamed through the parser, see {@link parse_gbl_stream}.
+     *
+     * @param firmwarePath the local path to the firmware bundle
+     * @param counts see ota_flash
+     * @returns {Promise<GBLInfo>} the parsed image metadata. Its size is the number of bytes to upload.
+     * @throws {ZeroByteErrorCodes} FIRMWARE_BUNDLE_MALFORMED or FIRMWARE_BUNDLE_CRC_MISMATCH
+     */
+    async ota_validate_firmware_image(firmwarePath, counts?: number[]): Promise<Object> {
+        this.stage = DFU_STAGE.VALIDATE;
+        this.updateStatus('Validating firmware...');
+
+        let info = await parse_gbl_stream(this.ota_read_firmware_chunks(firmwarePath));
+        logInfo('Firmware image is a ' + (info.signed ? 'signed ' : '') + (info.encrypted ? 'encrypted ' : '') + info.imageType +
+            ' image of ' + info.size + ' bytes' + (info.appVersion !== undefined ? ', application version ' + info.appVersion : ''));
+
+        this.onImageInfo(info, counts);
+        return info;
     }
 
     /**
-     * Reads the firmware into an in-memory buffer and passes it along to ota_perform_device_update
+     * Validates the firmware and passes it along to ota_perform_device_update, which streams it from storage to the
+     * device. Malformed images are rejected before a connection to the device is made.
      *
      * @param firmwarePath the local path on this device to the firmware bundle (these were downloaded previously)
      * @param skipReboot if true, skips rebooting the device -- useful when device was already in OTA, or when there are more than 1 update image to apply (don't reboot for 2nd image)
      * @param counts an array of two integers, index 0 representing the # of the current update, and index 1 being the total number of updates. Used for status messages
      * @returns {Promise<boolean>}
+     * @throws {ZeroByteErrorCodes} FIRMWARE_BUNDLE_MALFORMED or FIRMWARE_BUNDLE_CRC_MISMATCH if the image is invalid
      */
     async ota_flash(firmwarePath, skipReboot?: boolean, counts?: number[],): Promise<boolean> {
         logInfo('Flashing firmware at path: ' + firmwarePath);
-        this.updateStatus('Reading firmware...');
 
-        let firmwareBytes = await this.ota_read_firmware_bytes(firmwarePath);
-        let result = await this.ota_perform_device_update(this.peripheralId, firmwareBytes, skipReboot, counts,)
+        let info = await this.ota_validate_firmware_image(firmwarePath, counts);
+        this.ota_throw_if_cancelled();
+
+        let image = {path: firmwarePath, size: info.size};
+        let result = await this.ota_perform_device_update(this.peripheralId, image, skipReboot, counts,)
         if ( false === result ) {
             logInfo("Unexpected error occurred ... cancelling connection to the device and attempting to retry...");
-            await this.bleManager.cancelDeviceConnection(this.peripheralId);
-            await this.ota_delay(REBOOT_DELAY_MS);
-            result = await this.ota_perform_device_update(this.peripheralId, firmwareBytes, skipReboot, counts,);
+            await this.transport.disconnect(this.peripheralId);
+            await this.ota_delay(this.timingProfile.rebootDelayMs);
+            result = await this.ota_perform_device_update(this.peripheralId, image, skipReboot, counts,);
         }
 
         return result;
@@ -295,46 +774,191 @@ class DFUHandler {
      *  1: success!
      *  0: error :(
      *  -1: no update!
+     *  -2: cancelled
      *
      * @returns {{result: Error}}
      */
     async ota_turnkey_firmware_update(): Promise<number> {
-        DFUHandler.shouldCancel = false;
+        // The installed apploader and bootloader versions decide which dependencies are needed, and without the
+        // current application version every check looks like an update, so ask the device.
+        this.updateStatus('Reading device firmware version...');
+        try {
+            this.deviceInfo = await this.ota_read_device_firmware_info();
+            if ( this.currentFWVersion === undefined && !this.isInOTA )
+                this.currentFWVersion = this.deviceInfo.applicationVersion;
+        } catch (error) {
+            logWarning('Unable to read the current firmware versions from the device: ' + String(error));
+        }
 
         this.updateStatus('Identifying firmware modules...');
-        let firmwarePaths = await this.ota_get_firmware_modules();
+        let firmwarePaths;
+        try {
+            firmwarePaths = await this.ota_get_firmware_modules();
+        } catch (error) {
+            if ( error === ZeroByteErrorCodes.OPERATION_CANCELLED ) {
+                this.updateStatus('Update cancelled...');
+                return OTA_CANCELLED;
+            }
+
+            this.lastError = error;
+            logError('Unable to obtain firmware modules: ' + String(error));
+            this.updateStatus('Firmware download failed...');
+            return OTA_FAILURE;
+        }
+
         if (firmwarePaths.length === 0) {
             this.onProgress(100);
             return -1;
         }
 
+        if ( !this.ota_check_hardware_compatibility() ) {
+            this.updateStatus('Firmware is not compatible with this device...');
+            return OTA_FAILURE;
+        }
+
         let result = true;
         let skipReboot = this.isInOTA;
         this.updateStatus('Obtained firmware modules...');
 
-        for (let i = firmwarePaths.length - 1; result && (i >= 0); --i) {
+        // Modules are in install order ... dependencies (bootloader, apploader, ...) come first.
+        for (let i = 0; result && (i < firmwarePaths.length); ++i) {
             let firmwarePath = firmwarePaths[i];
-            this.updateStatus('Beginning update (Step ' + (firmwarePaths.length - i) + ' of ' + firmwarePaths.length + ')...',);
+            this.currentModule = this.firmwareInfos[i];
+            if ( this.isCancelled() ) {
+                logInfo('Update cancelled before module ' + (i + 1) + ' of ' + firmwarePaths.length);
+                this.updateStatus('Update cancelled...');
+                return OTA_CANCELLED;
+            }
+
+            this.updateStatus('Beginning update (Step ' + (i + 1) + ' of ' + firmwarePaths.length + ')...',);
 
             try {
-                await this.bleManager.cancelDeviceConnection(this.peripheralId);
+                await this.transport.disconnect(this.peripheralId);
             } catch (error) {
                 logWarning('You can safely ignore this if it is a BleError: device not connected error',);
                 logWarning(error);
             }
 
-            result &&= await this.ota_flash(firmwarePath, skipReboot, [firmwarePaths.length - i, firmwarePaths.length,]);
+            try {
+                result &&= await this.ota_flash(firmwarePath, skipReboot, [i + 1, firmwarePaths.length,]);
+            } catch (error) {
+                if ( error === ZeroByteErrorCodes.OPERATION_CANCELLED ) {
+                    this.updateStatus('Update cancelled...');
+                    return OTA_CANCELLED;
+                }
+
+                this.lastError = error;
+                logError('Refusing to flash invalid firmware image ' + firmwarePath + ': ' + String(error));
+                this.updateStatus('Firmware image is invalid...');
+                return OTA_FAILURE;
+            }
+
+            if ( result )
+                this.appliedVersions.push(this.currentModule.version);
 
             logInfo('Pausing for reboot after module installation...');
             this.updateStatus('Waiting for device to reboot...');
-            await this.ota_delay(REBOOT_DELAY_MS);
+            await this.ota_delay(this.timingProfile.rebootDelayMs);
 
             // Device will automatically load into DFU mode after the first update of a
-            // two-part update.
+            // multi-part update.
             skipReboot = true;
         }
 
-        return result ? 1 : 0;
+        if ( !result )
+            return OTA_FAILURE;
+
+        this.currentModule = undefined;
+        if ( !this.verifyUpdate )
+            return OTA_SUCCESS;
+
+        return this.ota_verify_device_firmware();
+    }
+
+    /**
+     * Waits for the device to come back after the final module has been applied, then reads APPLICATION_VERSION and
+     * compares it to the version from the firmware index. We have seen devices silently boot back into their old
+     * firmware, so a successful upload alone does not mean the update took.
+     *
+     * @returns {Promise<number>} OTA_SUCCESS if the device runs the new firmware, OTA_VERSION_MISMATCH if it runs
+     *          something else (DEVICE_FIRMWARE_VERSION_MISMATCH) or never reported its version within this.verifyTimeoutMs
+     *          (DEVICE_FIRMWARE_VERSION_UNREADABLE), or OTA_DEVICE_NOT_RETURNED if it could not be reached in that time.
+     */
+    async ota_verify_device_firmware(): Promise<number> {
+        this.stage = DFU_STAGE.VERIFY;
+        this.updateStatus('Verifying update...');
+        logInfo('Waiting for device to return with firmware version ' + this.targetVersion);
+
+        let deadline = Date.now() + this.verifyTimeoutMs;
+        let connected = false;
+
+        while ( Date.now() < deadline ) {
+            // The update has already been applied, so there is nothing left to protect ... just stop waiting.
+            if ( this.isCancelled() )
+                return OTA_CANCELLED;
+
+            if ( await this.ota_connect_and_discover() ) {
+                connected = true;
+
+                let value = await this.ota_read_characteristic(APPLICATION_VERSION);
+                this.deviceVersion = (value === undefined) ? undefined : decodeApplicationVersion(value);
+                if ( this.deviceVersion !== undefined )
+                    break;
+            }
+
+            await this.transport.disconnect(this.peripheralId).catch(() => {});
+            await this.ota_delay(this.verifyRetryDelayMs);
+        }
+
+        await this.transport.disconnect(this.peripheralId).catch(() => {});
+        this.stage = DFU_STAGE.VERIFY;      // ota_connect_and_discover moves the stage along to connect
+
+        if ( this.deviceVersion === undefined && connected ) {
+            logError('Device did not report its firmware version within ' + this.verifyTimeoutMs + 'ms');
+            this.lastError = ZeroByteErrorCodes.DEVICE_FIRMWARE_VERSION_UNREADABLE;
+            return OTA_VERSION_MISMATCH;
+        }
+
+        if ( this.deviceVersion === undefined ) {
+            logError('Device did not come back within ' + this.verifyTimeoutMs + 'ms');
+            this.lastError = ZeroByteErrorCodes.DEVICE_CONNECTION_FAILED;
+            return OTA_DEVICE_NOT_RETURNED;
+        }
+
+        // Local images may be applied without knowing the version they install, then the device coming back is enough.
+        // A device reporting the uint32 form of its version, e.g. '20240601', matches any build of that day.
+        if ( this.targetVersion !== undefined && !fw_versions_match(this.deviceVersion, String(this.targetVersion)) ) {
+            logError('Device is running firmware version ' + this.deviceVersion + ', expected ' + this.targetVersion);
+            this.lastError = ZeroByteErrorCodes.DEVICE_FIRMWARE_VERSION_MISMATCH;
+            return OTA_VERSION_MISMATCH;
+        }
+
+        logInfo('Verified device is running firmware version ' + this.deviceVersion);
+        return OTA_SUCCESS;
+    }
+
+    /**
+     * Abandons an upload in progress, when it is cancelled or fails. CTL_CLOSE (0x04) is sent without CTL_DONE (0x03), so
+     * the bootloader discards the partial image instead of trying to apply it. The device stays in DFU mode and can be
+     * updated again later.
+     *
+     * @returns {Promise<boolean>}
+     */
+    async ota_abort_upload_process(): Promise<boolean> {
+        let closeBuffer = Buffer.alloc(1);
+        closeBuffer.writeUInt8(CTL_CLOSE);
+
+        let result = false;
+
+        try {
+            logInfo('Abandoning upload, sending CTL_CLOSE (0x04)');
+            await this.transport.writeWithoutResponse(this.peripheralId, OTA_SERVICE, OTA_CONTROL_ATTRIBUTE, closeBuffer);
+            result = true;
+        } catch (error) {
+            logError('Error abandoning upload: ' + error);
+        }
+
+        return result;
     }
 
     async ota_write_start_command_to_control(): Promise<boolean> {
@@ -342,15 +966,16 @@ class DFUHandler {
         newValueBuffer.writeUInt8(CTL_START);
 
         let result = false;
+        this.stage = DFU_STAGE.WRITE;
 
         try {
             logInfo('Sending CTL_START (0x00)');
-            await this.bleManager
-                .writeCharacteristicWithResponseForDevice(this.peripheralId, OTA_SERVICE, OTA_CONTROL_ATTRIBUTE, newValueBuffer.toString('base64'));
+            await this.transport.write(this.peripheralId, OTA_SERVICE, OTA_CONTROL_ATTRIBUTE, newValueBuffer);
             result = true;
 
-            await this.ota_one_second_delay();
+            await this.ota_delay(this.timingProfile.controlDelayMs);
         } catch (error) {
+            this.lastError = error;
             logError(error);
         }
 
@@ -365,20 +990,20 @@ class DFUHandler {
         closeBuffer.writeUInt8(CTL_CLOSE);
 
         let result = false;
+        this.stage = DFU_STAGE.FINALIZE;
 
         try {
             logInfo('Sending CTL_END (0x03)');
-            await this.bleManager
-                .writeCharacteristicWithResponseForDevice(this.peripheralId, OTA_SERVICE, OTA_CONTROL_ATTRIBUTE, doneBuffer.toString('base64'));
-            await this.ota_one_second_delay();
+            await this.transport.write(this.peripheralId, OTA_SERVICE, OTA_CONTROL_ATTRIBUTE, doneBuffer);
+            await this.ota_delay(this.timingProfile.controlDelayMs);
 
             logInfo('Sending CTL_CLOSE (0x04)');
-            await this.bleManager
-                .writeCharacteristicWithoutResponseForDevice(this.peripheralId, OTA_SERVICE, OTA_CONTROL_ATTRIBUTE, closeBuffer.toString('base64'));
-            await this.ota_one_second_delay();
+            await this.transport.writeWithoutResponse(this.peripheralId, OTA_SERVICE, OTA_CONTROL_ATTRIBUTE, closeBuffer);
+            await this.ota_delay(this.timingProfile.controlDelayMs);
 
             result = true;
         } catch (error) {
+            this.lastError = error;
             logError('THERE!');
             logError(error);
         }
@@ -386,18 +1011,63 @@ class DFUHandler {
         return result;
     }
 
+    /**
+     * Reads a characteristic of the OTA service, or of the given service.
+     *
+     * @param characteristicUUID the characteristic to read
+     * @param serviceUUID optional, the service of the characteristic
+     * @returns {Promise<Buffer>} the value, or undefined if it could not be read
+     */
+    async ota_read_characteristic(characteristicUUID: string, serviceUUID: string = OTA_SERVICE): Promise<Buffer> {
+        try {
+            return Buffer.from(await this.transport.read(this.peripheralId, serviceUUID, characteristicUUID));
+        } catch (error) {
+            logWarning('Unable to read characteristic ' + characteristicUUID + ': ' + error);
+            return undefined;
+        }
+    }
+
+    /**
+     * Connects to the device and reads and decodes the APPLICATION_VERSION, APPLOADER_VERSION, OTA_VERSION and
+     * GECKO_BOOTLOADER_VERSION characteristics, and the HARDWARE_REVISION of the Device Information service.
+     *
+     * @returns {Promise<DeviceFirmwareInfo>}
+     * @throws {ZeroByteErrorCodes} DEVICE_CONNECTION_FAILED if the device could not be connected
+     */
+    async ota_read_device_firmware_info(): Promise<Object> {
+        if ( !await this.ota_connect_and_discover() )
+            throw ZeroByteErrorCodes.DEVICE_CONNECTION_FAILED;
+
+        let decode = async (uuid, decoder, service) => {
+            let value = await this.ota_read_characteristic(uuid, service);
+            return value === undefined ? undefined : decoder(value);
+        };
+
+        let info = {
+            applicationVersion: await decode(APPLICATION_VERSION, decodeApplicationVersion),
+            apploaderVersion: await decode(APPLOADER_VERSION, decodeAppLoaderVersion),
+            otaVersion: await decode(OTA_VERSION, decodeOTAVersion),
+            bootloaderVersion: await decode(GECKO_BOOTLOADER_VERSION, decodeBootloaderVersion),
+            hardwareRevision: await decode(HARDWARE_REVISION, decodeHardwareRevision, DEVICE_INFORMATION_SERVICE),
+        };
+
+        logInfo('Read device firmware info: ' + JSON.stringify(info));
+        return info;
+    }
+
     async ota_confirm_device_in_dfu(): Promise<boolean> {
         let result = false
-        await this.bleManager.readCharacteristicForDevice(
+        await this.transport.read(
             this.peripheralId,
             OTA_SERVICE,
             GECKO_BOOTLOADER_VERSION
-        ).then((characteristic) => {
-            let b = new Buffer(characteristic.value, 'base64');
+        ).then((value) => {
+            let b = Buffer.from(value);
             logInfo("Read Gecko Bootloader Version: " + b.toString());
             result = true;
             return b.toString();
         }).catch((error) => {
+            this.lastError = error;
             logError("Error confirming device in DFU: " + error);
             result = false;
         });
@@ -405,11 +1075,21 @@ class DFUHandler {
         return result;
     }
 
-    async ota_perform_device_update(deviceId, firmwareBytes: Uint8Array, skip_reboot?: boolean, counts: number[]): Promise<boolean> {
+    /**
+     * Puts the device into DFU mode if needed, and uploads a firmware image to it.
+     *
+     * @param deviceId the BLE peripheral id of the device
+     * @param image {{path: string, size: number}} the firmware file, and the number of bytes to upload from it
+     * @param skip_reboot see ota_flash
+     * @param counts see ota_flash
+     * @returns {Promise<boolean>} true if the whole image was sent
+     */
+    async ota_perform_device_update(deviceId, image: Object, skip_reboot?: boolean, counts: number[]): Promise<boolean> {
         let totalBytesWritten = 0;
         let proceed = true;
 
         try {
+            this.ota_throw_if_cancelled();
             this.updateStatus('Connecting to device...');
             proceed &&= await this.ota_connect_and_discover();
             if ( !proceed ) {
@@ -421,6 +1101,7 @@ class DFUHandler {
             if ( skip_reboot && await this.ota_confirm_device_in_dfu() ) {
                 logInfo("Confirmed device is in DFU, skipping reboot.")
             } else {
+                this.ota_throw_if_cancelled();
                 this.updateStatus('Restarting to DFU...');
                 proceed = await this.ota_reboot_device_into_dfu();
                 if ( !proceed ) {
@@ -450,28 +1131,24 @@ class DFUHandler {
             logInfo(message);
 
             // Upload the image to the device...
-            totalBytesWritten = await this.ota_write_firmware_to_device_in_dfu(deviceId, Array.from(firmwareBytes));
+            totalBytesWritten = await this.ota_write_firmware_to_device_in_dfu(deviceId, image);
 
             // The device is supposed to initiate the disconnect after we write 0x04 to the control
             // attribute, which is done at the end of ota_write_firmware_to_device_in_dfu, but in practice
             // we do not see that consistently. Canceling the connection here as a safety. The disconnect,
             // regardless of where it is initiated, triggers the device reboot.
-            await this.bleManager.cancelDeviceConnection(this.peripheralId);
+            await this.transport.disconnect(this.peripheralId);
         } catch (error) {
-            logError('An unexpected error occurred in ota_perform_device_update ... ' + error,);
-        }
+            if ( error === ZeroByteErrorCodes.OPERATION_CANCELLED ) {
+                await this.transport.disconnect(this.peripheralId).catch(() => {});
+                throw error;
+            }
 
-        return (totalBytesWritten === firmwareBytes.length);
-    }
+            this.lastError = error;
+            logError('An unexpected error occurred in ota_perform_device_update ... ' + String(error),);
+        }
 
-    // await this method for a 1 second delay...
-    // Note -- we originally inserted delays all over the place very early in
-    //         development ... they are almost certainly not needed, our async/awaits
-    //         were a disaster back then.
-    //
-    //         @todo: remove calls to this method and test OTA without the delays.
-    async ota_one_second_delay() {
-        return this.ota_delay(1000);
+        return (totalBytesWritten === image.size);
     }
 
     async ota_delay(delay_ms: number) {
@@ -483,17 +1160,19 @@ class DFUHandler {
         newValueBuffer.writeUInt8(CTL_START);
 
         let result = false;
+        this.stage = DFU_STAGE.REBOOT;
 
         try {
-            await this.bleManager.writeCharacteristicWithResponseForDevice(this.peripheralId, OTA_SERVICE, OTA_CONTROL_ATTRIBUTE, newValueBuffer.toString('base64'))
-            await this.bleManager.cancelDeviceConnection(this.peripheralId);
+            await this.transport.write(this.peripheralId, OTA_SERVICE, OTA_CONTROL_ATTRIBUTE, newValueBuffer)
+            await this.transport.disconnect(this.peripheralId);
             result = true;
         } catch (error) {
+            this.lastError = error;
             logError('Error occurred rebooting into DFU: ' + error);
-            await this.bleManager.cancelDeviceConnection(this.peripheralId);
+            await this.transport.disconnect(this.peripheralId);
         }
 
-        await this.ota_one_second_delay();
+        await this.ota_delay(this.timingProfile.dfuRebootDelayMs);
         return result;
     }
 
@@ -507,65 +1186,193 @@ class DFUHandler {
      */
     async ota_connect_and_discover(): Promise<boolean> {
         let result = false;
+        this.stage = DFU_STAGE.CONNECT;
         try {
-            await this.ota_one_second_delay();
+            await this.ota_delay(this.timingProfile.connectDelayMs);
 
-            if (await this.bleManager.isDeviceConnected(this.peripheralId)) {
+            if (await this.transport.isConnected(this.peripheralId)) {
                 logInfo("Already connected to device ... ");
             } else {
                 logInfo("Connecting to device ...");
-                await this.bleManager.connectToDevice(this.peripheralId, {
-                    requestMTU: this.REQUEST_MTU,
+                await this.transport.connect(this.peripheralId, {
+                    mtu: this.REQUEST_MTU,
                 });
 
                 logInfo('Attempting to discover services and characteristics.');
-                await this.bleManager.discoverAllServicesAndCharacteristicsForDevice(this.peripheralId);
+                await this.transport.discover(this.peripheralId);
             }
 
-            // May be a redundant MTU request ... but we need the dev instance to get the
+            // May be a redundant MTU request ... but we need it to get the
             // the actual negotiated mtu anyway...
-            let dev = await this.bleManager.requestMTUForDevice(this.peripheralId, this.REQUEST_MTU);
+            let mtu = await this.transport.requestMTU(this.peripheralId, this.REQUEST_MTU);
 
             // We transfer (mtu-8) bytes per block.
-            this.BLOCK_SIZE = (dev.mtu > 8) ? (dev.mtu - 8) : 1;
+            this.mtu = mtu;
+            this.BLOCK_SIZE = (mtu > 8) ? (mtu - 8) : 1;
+            await this.ota_request_link_parameters();
             result = true;
         } catch ( error ) {
+            this.lastError = error;
             logError("An error occurred during ota_connect_and_discover: " + error);
         }
 
         return result;
     }
 
-    async ota_write_firmware_to_device_in_dfu(deviceId, bytes: Array): Promise<number> {
-        let index = 0;
+    /**
+     * Requests the connection priority and PHY of the timing profile, if the transport supports them. Neither is
+     * required for the update, so a request which fails is only logged.
+     */
+    async ota_request_link_parameters(): Promise<void> {
+        this.linkParameters = {};
+        let {connectionPriority, phy} = this.timingProfile;
+
+        if ( connectionPriority !== undefined && typeof this.transport.requestConnectionPriority === 'function' ) {
+            try {
+                await this.transport.requestConnectionPriority(this.peripheralId, connectionPriority);
+                this.linkParameters.connectionPriority = connectionPriority;
+            } catch (error) {
+                logWarning('Unable to request ' + connectionPriority + ' connection priority: ' + error);
+            }
+        }
+
+        if ( phy !== undefined && typeof this.transport.requestPHY === 'function' ) {
+            try {
+                this.linkParameters.phy = await this.transport.requestPHY(this.peripheralId, phy);
+            } catch (error) {
+                logWarning('Unable to request the ' + phy + ' PHY: ' + error);
+            }
+        }
+    }
+
+    /**
+     * Writes one block of firmware to the data characteristic. A failed write is retried with the same block, so the
+     * file does not have to be read again.
+     *
+     * @param block the block, at most BLOCK_SIZE bytes
+     * @param offset the offset of the block in the image
+     * @param acknowledged if true, the block is written with response, so the write only completes once the device has
+     *        received it
+     * @throws ZeroByteErrorCodes.DEVICE_WRITE_FAILED if every attempt fails. The offset and the error of the last
+     *         attempt are kept in this.failedOffset and this.writeError.
+     */
+    async ota_write_firmware_block(block: Uint8Array, offset: number, acknowledged: boolean): Promise<void> {
+        for (let attempt = 1; ; ++attempt) {
+            try {
+                if ( acknowledged )
+                    await this.transport.write(this.peripheralId, OTA_SERVICE, OTA_DATA_ATTRIBUTE, block);
+                else
+                    await this.transport.writeWithoutResponse(this.peripheralId, OTA_SERVICE, OTA_DATA_ATTRIBUTE, block);
+                return;
+            } catch (error) {
+                if ( attempt > BLOCK_WRITE_RETRIES ) {
+                    logError("Error uploading firmware to device at offset " + offset + ": " + error);
+                    this.failedOffset = offset;
+                    this.writeError = error;
+                    throw ZeroByteErrorCodes.DEVICE_WRITE_FAILED;
+                }
+
+                ++this.currentStats.retries;
+                logError("Error uploading firmware block, retrying (" + attempt + " of " + BLOCK_WRITE_RETRIES + "): " + error);
+                await this.ota_delay(BLOCK_WRITE_RETRY_DELAY_MS);
+            }
+        }
+    }
+
+    /**
+     * Streams a firmware image from storage to the device, in blocks of BLOCK_SIZE bytes. Each block is written before
+     * the next is taken from the file, so the upload proceeds at the pace of the BLE link, and only one chunk of the
+     * file and one block are held in memory. Progress is reported as blocks are written. Blocks are written with or
+     * without response according to this.writeMode and this.ackInterval.
+     *
+     * @param deviceId the BLE peripheral id of the device
+     * @param image {{path: string, size: number}} the firmware file, and the number of bytes to upload from it
+     * @returns {Promise<number>} the number of bytes written, 0 if the upload could not be started or completed
+     * @throws ZeroByteErrorCodes.OPERATION_CANCELLED if cancelled, or DEVICE_WRITE_FAILED if a block can not be written.
+     *         The upload is then abandoned, and its statistics so far are added to this.transferStats.
+     */
+    async ota_write_firmware_to_device_in_dfu(deviceId, image: Object): Promise<number> {
         let bytesWritten = 0;
-        let currentSlice = bytes.slice(index, index + this.BLOCK_SIZE);
+        let blocksWritten = 0;
+        let acknowledgeAll = this.writeMode === DFU_WRITE_MODE.ACKNOWLEDGED;
+        this.failedOffset = undefined;
+        this.writeError = undefined;
 
         if ( ! await this.ota_write_start_command_to_control() )
             return 0;
 
-        logInfo("Writing firmware: " + bytes.length + " bytes.");
-        while (currentSlice.length > 0) {
-            let currentData = Buffer.from(currentSlice).toString('base64');
-            // logTrace('Current slice index: ' + index + ', length: ' + Math.min(this.BLOCK_SIZE, currentSlice.length));
+        let startTime = Date.now();
+        let stats = this.currentStats = {
+            bytesWritten: 0,
+            totalBytes: image.size,
+            elapsedMs: 0,
+            bytesPerSecond: 0,
+            etaMs: undefined,
+            retries: 0,
+            mtu: this.mtu,
+            blockSize: this.BLOCK_SIZE,
+            writeMode: this.writeMode,
+            connectionPriority: this.linkParameters.connectionPriority,
+            phy: this.linkParameters.phy,
+        };
+
+        let writeBlock = async (block) => {
+            // Block boundaries are the only safe point to stop once the upload has started.
+            if ( this.isCancelled() ) {
+                logInfo('Upload cancelled after ' + bytesWritten + ' of ' + image.size + ' bytes.');
+                await this.ota_abort_upload_process();
+                throw ZeroByteErrorCodes.OPERATION_CANCELLED;
+            }
 
-            await this.bleManager
-                .writeCharacteristicWithoutResponseForDevice(this.peripheralId, OTA_SERVICE, OTA_DATA_ATTRIBUTE, currentData,)
-                .catch((error) => {
-                    logError("Error uploading firmware to device: " + error);
-                    return bytesWritten;
-                });
+            let acknowledged = acknowledgeAll || (this.ackInterval > 0 && (blocksWritten + 1) % this.ackInterval === 0);
+            await this.ota_write_firmware_block(block, bytesWritten, acknowledged);
+            bytesWritten += block.length;
+            ++blocksWritten;
+
+            stats.bytesWritten = bytesWritten;
+            stats.elapsedMs = Date.now() - startTime;
+            stats.bytesPerSecond = stats.elapsedMs > 0 ? bytesWritten * 1000 / stats.elapsedMs : 0;
+            stats.etaMs = stats.bytesPerSecond > 0 ? (image.size - bytesWritten) * 1000 / stats.bytesPerSecond : undefined;
+            this.onTransferStats({...stats});
+            this.onProgress(bytesWritten / image.size);
+        };
+
+        logInfo("Writing firmware: " + image.size + " bytes, " + this.writeMode +
+            (!acknowledgeAll && this.ackInterval > 0 ? " with a checkpoint every " + this.ackInterval + " blocks." : "."));
+        try {
+            // Bytes left over from the previous chunk, which did not fill a whole block
+            let pending = new Uint8Array(0);
+            for await (let chunk of this.ota_read_firmware_chunks(image.path)) {
+                let data = chunk;
+                if ( pending.length > 0 ) {
+                    data = new Uint8Array(pending.length + chunk.length);
+                    data.set(pending, 0);
+                    data.set(chunk, pending.length);
+                }
 
-            index += this.BLOCK_SIZE;
-            bytesWritten += Math.min(currentSlice.length, this.BLOCK_SIZE);
-            currentSlice = currentSlice = bytes.slice(index, index + this.BLOCK_SIZE);
+                let index = 0;
+                for (; data.length - index >= this.BLOCK_SIZE; index += this.BLOCK_SIZE)
+                    await writeBlock(Buffer.from(data.subarray(index, index + this.BLOCK_SIZE)));
+
+                pending = data.slice(index);
+            }
 
-            this.onProgress(bytesWritten / bytes.length);
+            if ( pending.length > 0 )
+                await writeBlock(Buffer.from(pending));
+        } catch (error) {
+            // A cancelled upload has already been abandoned. Otherwise the bootloader still holds a partial image.
+            if ( error !== ZeroByteErrorCodes.OPERATION_CANCELLED )
+                await this.ota_abort_upload_process();
+
+            this.transferStats.push({...stats});
+            throw error;
         }
 
-        // Arbitrary delay that we probably don't actually need ... I think this was added for UX purposes so we could
-        // observe the 100% status.
-        await this.ota_one_second_delay();
+        logInfo('Wrote ' + bytesWritten + ' bytes in ' + stats.elapsedMs + ' ms (' + Math.round(stats.bytesPerSecond) +
+            ' bytes/s, ' + stats.retries + ' retries).');
+        this.transferStats.push({...stats});
+
+        await this.ota_delay(this.timingProfile.finishDelayMs);
 
         // Send the CTL_END (0x03) and CTL_CLOSE (0x04) commands to the device
         if ( ! await this.ota_end_upload_process() )
@@ -0,0 +1,151 @@
+/*
+ * ZeroByteDependencies.js
+ *
+ * Copyright (c) 2023 Zero Byte LLC, All Rights Reserved
+ * Licensed under CC BY-ND 4.0 (https://creativecommons.org/licenses/by-nd/4.0/)
+ *
+ * Resolves the dependencies declared between firmware index entries (bootloader, apploader, application, radio
+ * co-processor, ...) into an ordered install plan.
+ *
+ * SPDX-License-Identifier: CC-BY-ND-4.0
+ * SPDX-FileCopyrightText: Copyright (c) 2023 Zero Byte LLC (hello@zerobytellc.com) All Rights Reserved
+ *
+ * @author Timothy C Sweeney-Fanelli, Zero Byte LLC (tim@zerobytellc.com)
+ */
+
+import {ZeroByteErrorCodes} from './ZeroByteErrorCodes';
+import {compare_fw_versions} from './ZeroByteVersions';
+import {fw_entry_keys} from './ZeroByteIndexSchema';
+
+const default_component = 'application';
+
+/**
+ * Declares that a firmware entry requires another entry of the same model to be installed first.
+ *
+ * @example
+ * {
+ *    "entry": "apploader_1.2.0",
+ *    "component": "apploader",
+ *    "min_version": "1.2.0.0"
+ * }
+ * @typedef FirmwareRequirement
+ * @property {string} entry         The key of the required entry in the model's {@link DeviceFirmware}
+ * @property {string} component     (optional) The component the entry installs. Defaults to the entry's own component.
+ * @property {string} min_version   (optional) The minimum installed version of the component which satisfies this
+ *                                  requirement. If the device already has it, the entry is not installed. If omitted,
+ *                                  the entry is always installed.
+ */
+
+/**
+ * One step of an {@link InstallPlan}.
+ *
+ * @typedef InstallStep
+ * @extends FirmwareDetails
+ * @property {number} step          The position of this step in the plan, starting at 1
+ * @property {string} component     The component installed by this step, e.g. 'bootloader', 'apploader', 'application'
+ * @property {string} entry         The key of the entry in the model's {@link DeviceFirmware}
+ */
+
+/**
+ * An ordered list of firmware images to install. Steps must be applied in order, dependencies come first.
+ *
+ * @typedef InstallPlan
+ * @property {string} version       The version of the firmware the plan installs
+ * @property {string} entry         The key of the firmware entry the plan installs, which differs from its version
+ *                                  for entries keyed by hardware revision
+ * @property {string} channel       The release channel the plan came from, set by get_update_plan
+ * @property {FirmwareRelease} release The latest entry and rollout stages of the model in the index the plan came from,
+ *                                  set by get_update_plan. Pass it to download_fw to record it in the firmware cache.
+ * @property {InstallStep[]} steps  The images to install, in order. Empty if no update is needed.
+ * @property {object[]} skipped     Requirements already satisfied by the device: {component, entry, min_version, installed}
+ */
+
+/**
+ * Lists the requirements declared by a firmware entry. The legacy `apploader` key is treated as an unconditional
+ * requirement on that apploader entry.
+ *
+ * @param {FirmwareInfo} info
+ * @returns {FirmwareRequirement[]}
+ */
+function _requirements(info) {
+    let requires = Array.isArray(info.requires) ? info.requires.slice() : [];
+    if ( info.apploader !== undefined && !requires.some((r) => r.entry === info.apploader) )
+        requires.push({entry: info.apploader, component: 'apploader'});
+
+    return requires;
+}
+
+/**
+ * Builds the ordered install plan for the firmware entry `version` of a model.
+ *
+ * @param {DeviceFirmware} model_infos  The firmware listed in the index for the model
+ * @param {string} version              The key of the entry to install
+ * @param {object} installed            (optional) The versions installed on the device, keyed by component,
+ *                                      e.g. {apploader: '1.2.0.0', bootloader: '2.4.0'}
+ * @returns {InstallPlan}
+ * @throws {ZeroByteErrorCodes}         FIRMWARE_INDEX_DEPENDENCY_UNKNOWN if a required entry is not listed,
+ *                                      FIRMWARE_INDEX_DEPENDENCY_CYCLE if entries require each other.
+ */
+function resolve_install_plan(model_infos, version, installed = {}) {
+    let steps = [];
+    let skipped = [];
+    let resolved = new Set();
+    let visiting = [];
+
+    let visit = (entry, component) => {
+        if ( resolved.has(entry) )
+            return;
+
+        if ( visiting.includes(entry) ) {
+            console.log('ZeroByteFW ERROR: Firmware dependency cycle: %s -> %s', visiting.join(' -> '), entry);
+            throw ZeroByteErrorCodes.FIRMWARE_INDEX_DEPENDENCY_CYCLE;
+        }
+
+        let info = model_infos[entry];
+        if ( !fw_entry_keys(model_infos).includes(entry) || info === null || typeof info !== 'object' ) {
+            console.log('ZeroByteFW ERROR: %s requires firmware entry %s, which is not listed in the firmware index', visiting[visiting.length - 1], entry);
+            throw ZeroByteErrorCodes.FIRMWARE_INDEX_DEPENDENCY_UNKNOWN;
+        }
+
+        visiting.push(entry);
+        for (let requirement of _requirements(info)) {
+            let required = model_infos[requirement.entry];
+            let required_component = requirement.component || (required && required.component) || default_component;
+            let installed_version = installed[required_component];
+
+            if ( requirement.min_version !== undefined && installed_version !== undefined
+                 && compare_fw_versions(installed_version, requirement.min_version) >= 0 ) {
+                if ( skipped.some((skip) => skip.entry === requirement.entry) )
+                    continue;
+
+                console.log('Installed %s %s satisfies %s >= %s, skipping %s', required_component, installed_version, required_component, requirement.min_version, requirement.entry);
+                skipped.push({
+                    component: required_component,
+                    entry: requirement.entry,
+                    min_version: requirement.min_version,
+                    installed: installed_version,
+                });
+                continue;
+            }
+
+            visit(requirement.entry, required_component);
+        }
+        visiting.pop();
+
+        resolved.add(entry);
+        steps.push({
+            ...info,
+            version: info.version === undefined ? entry : info.version,
+            step: steps.length + 1,
+            component: component,
+            entry: entry,
+        });
+    };
+
+    let target = model_infos[version];
+    visit(version, (target && target.component) || default_component);
+
+    return {version: target.version === undefined ? version : target.version, entry: version, steps: steps, skipped: skipped};
+}
+
+export { resolve_install_plan };
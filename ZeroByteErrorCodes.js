@@ -16,6 +16,8 @@ const ZeroByteErrorCodes = Object.freeze({
      * General Firmware Index Errors: -1000 through -1999
      *   Device Errors in the Firmware Index (-1100 to -1199)
      * Firmware Bundle Errors: -2000 through -2999
+     * Device Errors: -3000 through -3999
+     * General Errors: -9000 through -9999
      */
 
     // Indicates an error retrieving the current firmware index
@@ -27,12 +29,54 @@ const ZeroByteErrorCodes = Object.freeze({
     // Indicates that the requested device is not listed in the firmware index
     FIRMWARE_INDEX_DEVICE_UNKNOWN: Symbol(-1002),
 
+    // The firmware index is not signed by a trusted key, or its signature is invalid
+    FIRMWARE_INDEX_SIGNATURE_INVALID: Symbol(-1003),
+
     // Latest firmware version can not be determined from the firmware index
     FIRMWARE_INDEX_LATEST_VERSION_UNKNOWN: Symbol(-1100),
 
+    // The requested firmware version is not listed in the firmware index
+    FIRMWARE_INDEX_VERSION_UNKNOWN: Symbol(-1101),
+
+    // A firmware entry requires another entry which is not listed in the firmware index
+    FIRMWARE_INDEX_DEPENDENCY_UNKNOWN: Symbol(-1102),
+
+    // Firmware entries in the firmware index require each other
+    FIRMWARE_INDEX_DEPENDENCY_CYCLE: Symbol(-1103),
+
+    // None of the firmware listed for the device is compatible with its hardware revision
+    FIRMWARE_INDEX_HARDWARE_INCOMPATIBLE: Symbol(-1104),
+
     // Unable to download the firmware bundle from the URL in the firmware index
     FIRMWARE_BUNDLE_UNAVAILABLE: Symbol(-2000),
 
+    // The downloaded firmware bundle does not match the md5 sum listed in the firmware index
+    FIRMWARE_BUNDLE_CHECKSUM_MISMATCH: Symbol(-2001),
+
+    // The firmware bundle is not a well formed GBL image
+    FIRMWARE_BUNDLE_MALFORMED: Symbol(-2002),
+
+    // The CRC32 in the GBL image's end tag does not match the image contents
+    FIRMWARE_BUNDLE_CRC_MISMATCH: Symbol(-2003),
+
+    // Unable to connect to the device
+    DEVICE_CONNECTION_FAILED: Symbol(-3000),
+
+    // The device is not running the firmware version that was applied to it
+    DEVICE_FIRMWARE_VERSION_MISMATCH: Symbol(-3001),
+
+    // The firmware image is not compatible with the hardware revision of the connected device
+    DEVICE_HARDWARE_INCOMPATIBLE: Symbol(-3002),
+
+    // A block of the firmware image could not be written to the device
+    DEVICE_WRITE_FAILED: Symbol(-3003),
+
+    // The device came back after the update, but did not report the firmware version it is running
+    DEVICE_FIRMWARE_VERSION_UNREADABLE: Symbol(-3004),
+
+    // The operation was cancelled by the caller
+    OPERATION_CANCELLED: Symbol(-9000),
+
     // Something unknown occurred
     UNKNOWN_ERROR: Symbol(-9999),
 });
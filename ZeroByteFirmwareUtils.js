@@ -12,11 +12,15 @@
  * @author Timothy C Sweeney-Fanelli, Zero Byte LLC (tim@zerobytellc.com)
  */
 
-import RNFetchBlob from 'rn-fetch-blob';
-import {Platform} from 'react-native';
 const Buffer = require('buffer/').Buffer;
 
 import {ZeroByteErrorCodes} from './ZeroByteErrorCodes';
+import {get_file_store, get_firmware_cache, get_http_client, get_index_cache} from './ZeroByteBackends';
+import {verify_fw_index_signature} from './ZeroByteSignatures';
+import {compare_fw_versions, compare_hw_revisions, fw_versions_match, newest_fw_version} from './ZeroByteVersions';
+import {resolve_install_plan} from './ZeroByteDependencies';
+import {fw_entry_keys, fw_index_devices, validate_fw_index} from './ZeroByteIndexSchema';
+import {select_rollout_stage} from './ZeroByteRollout';
 
 /*
  * NOTE -- these URLs are subject to change ... DO NOT USE outside of this library.
@@ -24,6 +28,12 @@ import {ZeroByteErrorCodes} from './ZeroByteErrorCodes';
 const default_url_base = 'https://firmware.zerobytellc.com/firmware';
 const default_channel = 'prod';
 const url_index_file = 'index.json';
+const url_signature_suffix = '.sig';
+const url_channels_file = 'channels.json';
+const default_timeout_ms = 10000;
+const default_retries = 2;
+const default_retry_delay_ms = 500;
+const default_download_timeout_ms = 30000;
 
 /**
  * Lists all the {@link DeviceFirmware} available for each kind of known device.
@@ -52,8 +62,34 @@ const url_index_file = 'index.json';
  *     },
  *   }
  * }
+ *
+ * Version 2 of the format declares `"schema": 2` and lists the devices under `devices`. Its entries may carry release
+ * metadata, see {@link FirmwareInfo}. Indices without a `schema` are version 1, as above.
+ *
+ * @example
+ * {
+ *   "schema": 2,
+ *   "devices": {
+ *     "device_1": {
+ *       "latest": "20220101.abcdef1",
+ *       "20220101.abcdef1": {
+ *         "name": "device_1_appfw",
+ *         "url": "https://someweb.site/device_1_appfw_abcdef1.gbl",
+ *         "md5": "47ece1b4cc60e33d5b55e12101da1de0",
+ *         "sha256": "8f434346648f6b96df89dda901c5176b10a6d83961dd3c1ac88b59b2dc327aa4",
+ *         "size": 241664,
+ *         "released": "2022-01-01",
+ *         "notes": {"en": "Improves battery life.", "de": "Verbessert die Akkulaufzeit."},
+ *         "critical": false,
+ *         "min_hw_revision": "2"
+ *       }
+ *     }
+ *   }
+ * }
  * @typedef FirmwareIndex
- * @property {DeviceFirmware} * The DeviceFirmware corresponding to the device type `model_token`.
+ * @property {number} schema    (version 2) The version of the index format, 2
+ * @property {object} devices   (version 2) The DeviceFirmware of each device type, keyed by `model_token`
+ * @property {DeviceFirmware} * (version 1) The DeviceFirmware corresponding to the device type `model_token`.
  */
 
 /**
@@ -75,6 +111,8 @@ const url_index_file = 'index.json';
  * }
  * @typedef DeviceFirmware
  * @property {string} latest The latest version number
+ * @property {RolloutStage[]} rollout (optional) Stages offering newer versions to some devices before they become the
+ *                                    latest. See ZeroByteRollout.js
  * @property {FirmwareInfo} * The FirmwareInfo corresponding to firmware version. There may be 0 or more of these present.
  */
 
@@ -92,6 +130,17 @@ const url_index_file = 'index.json';
  * @property {string} url the url to download the firmware
  * @property {string} md5 the md5 sum of the firmware
  * @property {string} apploader the name of the FirmwareInfo entry for the AppLoader required for this FW (optional)
+ * @property {string} component the component this FW installs, e.g. 'bootloader', 'apploader' or 'application' (optional, defaults to 'application')
+ * @property {FirmwareRequirement[]} requires the entries which must be installed before this FW (optional)
+ * @property {number} size the size of the firmware in bytes (optional)
+ * @property {string} version the version of the FW, for entries not keyed by their version, e.g. apploaders (optional)
+ * @property {string} sha256 the sha256 sum of the firmware, checked in addition to the md5 sum (optional)
+ * @property {string} released the ISO 8601 release date, e.g. '2022-01-01' (optional)
+ * @property {string|object} notes the release notes, or the release notes keyed by locale, e.g. {"en": "...", "de": "..."}
+ *           (optional). See {@link get_fw_release_notes}
+ * @property {boolean} critical true if the update fixes a critical issue and should not be postponed (optional)
+ * @property {string} min_hw_revision the oldest hardware revision the firmware supports (optional)
+ * @property {string[]} compatible the hardware revisions or board IDs the firmware supports (optional). See {@link is_fw_compatible}
  */
 
 /**
@@ -101,145 +150,1239 @@ const url_index_file = 'index.json';
  */
 
 /**
- * Retrieves the current firmware index for the specified client. Returns the json response object.
+ * Waits before retrying a request.
+ *
+ * @throws {ZeroByteErrorCodes}       OPERATION_CANCELLED if the signal is aborted while waiting
+ */
+function _sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        let onAbort = () => {
+            clearTimeout(timer);
+            reject(ZeroByteErrorCodes.OPERATION_CANCELLED);
+        };
+        let timer = setTimeout(() => {
+            if ( signal )
+                signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+
+        if ( signal ) {
+            if ( signal.aborted )
+                return onAbort();
+            signal.addEventListener('abort', onAbort);
+        }
+    });
+}
+
+/**
+ * @returns {boolean} true if a request which failed with this HTTP status may succeed when retried
+ */
+function _is_retryable_status(status) {
+    return status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Runs a request with its own AbortController, which is aborted when options.signal is, or when the request makes no
+ * progress for timeout_ms. The request is passed the signal to use, and a function to call whenever it makes progress.
+ *
+ * @returns {Promise<*>}              The result of the request
+ * @throws {ZeroByteErrorCodes|Error}  OPERATION_CANCELLED if options.signal is aborted, or the error of the request
+ */
+async function _with_timeout(timeout_ms, options, request) {
+    let signal = options.signal;
+    let controller = new AbortController();
+    let timed_out = false;
+    let timer;
+
+    let onAbort = () => controller.abort();
+    let touch = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            timed_out = true;
+            controller.abort();
+        }, timeout_ms);
+    };
+    if ( signal )
+        signal.addEventListener('abort', onAbort);
+
+    try {
+        if ( signal && signal.aborted )
+            throw ZeroByteErrorCodes.OPERATION_CANCELLED;
+
+        touch();
+        return await request(controller.signal, touch);
+    } catch ( error ) {
+        if ( signal && signal.aborted )
+            throw ZeroByteErrorCodes.OPERATION_CANCELLED;
+        if ( timed_out )
+            throw new Error(`Timed out after ${timeout_ms} ms`);
+        throw error;
+    } finally {
+        clearTimeout(timer);
+        if ( signal )
+            signal.removeEventListener('abort', onAbort);
+    }
+}
+
+/**
+ * Issues a single GET request, giving up after options.timeoutMs. The body of a successful response is read within
+ * the same time limit.
+ *
+ * @returns {Promise<{response: HttpResponse, text: string}>} The response, and its body if the status is 2xx
+ * @throws {ZeroByteErrorCodes|Error}  OPERATION_CANCELLED if options.signal is aborted, or the error of the request
+ */
+function _fetch_text(url, headers, options) {
+    return _with_timeout(options.timeoutMs || default_timeout_ms, options, async (signal) => {
+        let response = await get_http_client(options).fetch(url, {signal: signal, headers: headers});
+        let text = response.ok ? await response.text() : undefined;
+        return {response: response, text: text};
+    });
+}
+
+/**
+ * Issues a GET request, retrying network errors, timeouts and temporary HTTP errors (408, 429 and 5xx) up to
+ * options.retries times. The delay before each retry starts at options.retryDelayMs and doubles every time.
+ *
+ * @returns {Promise<{response: HttpResponse, text: string}>} The first response which is not worth retrying, or the
+ *                                    last response if every attempt failed with an HTTP error.
+ * @throws {ZeroByteErrorCodes}       FIRMWARE_INDEX_UNAVAILABLE if every attempt failed without a response,
+ *                                    OPERATION_CANCELLED if options.signal is aborted
+ */
+async function _fetch_with_retries(url, headers, options) {
+    let attempts = 1 + (options.retries !== undefined ? options.retries : default_retries);
+    let delay_ms = options.retryDelayMs !== undefined ? options.retryDelayMs : default_retry_delay_ms;
+    let result;
+
+    for ( let attempt = 1; attempt <= attempts; attempt++ ) {
+        try {
+            result = await _fetch_text(url, headers, options);
+            if ( !_is_retryable_status(result.response.status) )
+                return result;
+
+            console.log('ZeroByteFW ERROR: Got HTTP Status Code %d retrieving %s (attempt %d of %d)', result.response.status, url, attempt, attempts);
+        } catch ( error ) {
+            if ( error === ZeroByteErrorCodes.OPERATION_CANCELLED ) {
+                console.log('Request for %s was cancelled.', url);
+                throw error;
+            }
+
+            console.log('ZeroByteFW ERROR: Could not retrieve %s: %s (attempt %d of %d)', url, error, attempt, attempts);
+        }
+
+        if ( attempt < attempts ) {
+            await _sleep(delay_ms, options.signal);
+            delay_ms *= 2;
+        }
+    }
+
+    if ( result === undefined )
+        throw ZeroByteErrorCodes.FIRMWARE_INDEX_UNAVAILABLE;
+
+    return result;
+}
+
+/**
+ * Retrieves the detached signature of a firmware index, published next to it as index.json.sig.
+ *
+ * @returns {Promise<string>}         The signature file
+ * @throws {ZeroByteErrorCodes}       FIRMWARE_INDEX_SIGNATURE_INVALID if the index is unsigned,
+ *                                    FIRMWARE_INDEX_UNAVAILABLE if the signature can not be retrieved.
+ */
+async function _retrieve_fw_index_signature(signature_url, options) {
+    let {response, text} = await _fetch_with_retries(signature_url, {}, options);
+    if ( response.status === 404 ) {
+        console.log('ZeroByteFW ERROR: Firmware index is not signed, %s not found', signature_url);
+        throw ZeroByteErrorCodes.FIRMWARE_INDEX_SIGNATURE_INVALID;
+    }
+
+    if ( !response.ok ) {
+        console.log('ZeroByteFW ERROR: Got HTTP Status Code %d retrieving firmware index signature', response.status);
+        throw ZeroByteErrorCodes.FIRMWARE_INDEX_UNAVAILABLE;
+    }
+
+    return text;
+}
+
+/**
+ * Checks the firmware index against its detached signature if options.trustedKeys are given, and parses it. See
+ * ZeroByteSignatures.js for the signature format.
+ *
+ * @param {string} index_text         The firmware index as published
+ * @param {string} signature_text     The signature file, if trustedKeys are given
+ * @param {object} options            {trustedKeys}
+ * @returns {FirmwareIndex}           The parsed firmware index
+ * @throws {ZeroByteErrorCodes}       FIRMWARE_INDEX_SIGNATURE_INVALID if the index is not signed by a trusted key,
+ *                                    FIRMWARE_INDEX_MALFORMED if it is not valid JSON.
+ */
+function _parse_fw_index(index_text, signature_text, options) {
+    if ( options.trustedKeys && options.trustedKeys.length > 0 ) {
+        let verified;
+        try {
+            verified = signature_text !== undefined && verify_fw_index_signature(index_text, signature_text, options.trustedKeys);
+        } catch ( error ) {
+            console.log('ZeroByteFW ERROR: Could not verify firmware index signature: %s', error);
+            verified = false;
+        }
+
+        if ( !verified ) {
+            console.log('ZeroByteFW ERROR: Firmware index is not signed by a trusted key, refusing to use it');
+            throw ZeroByteErrorCodes.FIRMWARE_INDEX_SIGNATURE_INVALID;
+        }
+    }
+
+    try {
+        return JSON.parse(index_text);
+    } catch ( error ) {
+        console.log('ZeroByteFW ERROR: Could not parse Firmware Index as JSON: %s', error);
+        throw ZeroByteErrorCodes.FIRMWARE_INDEX_MALFORMED;
+    }
+}
+
+/**
+ * Retrieves the firmware index from one URL. If the index cache holds an earlier copy, the request is conditional,
+ * and the cached copy is used if the server reports it has not been modified. Indices which verify and pass
+ * {@link validate_fw_index} are stored in the cache.
+ *
+ * @returns {Promise<FirmwareIndex>}  The firmware index
+ * @throws {ZeroByteErrorCodes}       FIRMWARE_INDEX_UNAVAILABLE if it can not be retrieved, or see {@link _parse_fw_index}
+ */
+async function _fetch_fw_index(index_url, cache, options) {
+    let cached = cache ? await cache.get(index_url) : undefined;
+    let headers = {};
+    if ( cached && cached.etag )
+        headers['If-None-Match'] = cached.etag;
+    if ( cached && cached.lastModified )
+        headers['If-Modified-Since'] = cached.lastModified;
+
+    let {response, text} = await _fetch_with_retries(index_url, headers, options);
+    let etag;
+    let last_modified;
+    if ( response.status === 304 && cached ) {
+        console.log('Firmware index has not been modified, using the cached copy');
+        text = cached.text;
+        etag = cached.etag;
+        last_modified = cached.lastModified;
+    } else if ( !response.ok ) {
+        console.log('ZeroByteFW ERROR: Got HTTP Status Code %d retrieving firmware index', response.status);
+        throw ZeroByteErrorCodes.FIRMWARE_INDEX_UNAVAILABLE;
+    } else {
+        etag = response.headers && response.headers.get('ETag');
+        last_modified = response.headers && response.headers.get('Last-Modified');
+    }
+
+    let signature_text;
+    if ( options.trustedKeys && options.trustedKeys.length > 0 )
+        signature_text = await _retrieve_fw_index_signature(index_url + url_signature_suffix, options);
+
+    let fw_index = _parse_fw_index(text, signature_text, options);
+    if ( cache && validate_fw_index(fw_index).length === 0 ) {
+        await cache.set(index_url, {
+            text: text,
+            signature: signature_text,
+            etag: etag || undefined,
+            lastModified: last_modified || undefined,
+        });
+    }
+
+    return fw_index;
+}
+
+/**
+ * Retrieves the current firmware index for the specified client. The index is requested from url_base, then from each
+ * of options.mirrors in turn while it is unavailable. Each request is retried according to options.retries. If the
+ * index can not be retrieved from anywhere, the last copy in the index cache is used, unless options.offlineFallback
+ * is false.
  *
  * @param {string} client_name        The name of the client, e.g.: hosemonster
  * @param {string} channel            The release channel. Defaults to 'prod' which is the default production release channel
  * @param {string} url_base           The base_url for the index lookup. Index should be found at {base_url}/{client_name}/{channel}/index.json
+ * @param {UpdateOptions} options     (optional) The signal aborts the request when signalled. If trustedKeys are given,
+ *                                    the index must be signed by one of them. See {@link UpdateOptions} for the rest.
  * @returns {Promise<FirmwareIndex>}  The response describing available firmware versions for this client.
- * @throws {ZeroByteErrorCodes}       Codes 1000-1999 indicate errors with the firmware index.
+ * @throws {ZeroByteErrorCodes}       Codes 1000-1999 indicate errors with the firmware index. OPERATION_CANCELLED if aborted.
  */
-async function _retrieve_fw_index(client_name, channel = 'prod', url_base=default_url_base) {
-    let indexUrl = `${url_base}/${client_name}` ;
-    if ( channel === undefined ) {
-        indexUrl += `/${url_index_file}`;
-    } else {
-        indexUrl += `/${channel}/${url_index_file}`
+async function _retrieve_fw_index(client_name, channel = 'prod', url_base=default_url_base, options = {}) {
+    let cache = get_index_cache(options);
+    let index_urls = [url_base, ...(options.mirrors || [])].map((base) => `${base}/${client_name}/${channel}/${url_index_file}`);
+
+    for ( let index_url of index_urls ) {
+        console.log(`Firmware Index URL: ${index_url}`);
+        try {
+            return await _fetch_fw_index(index_url, cache, options);
+        } catch ( error ) {
+            if ( error !== ZeroByteErrorCodes.FIRMWARE_INDEX_UNAVAILABLE )
+                throw error;
+        }
     }
 
-    console.log(`Firmware Index URL: ${indexUrl}`);
+    if ( cache && options.offlineFallback !== false ) {
+        for ( let index_url of index_urls ) {
+            let cached = await cache.get(index_url);
+            if ( cached === undefined || (options.trustedKeys && options.trustedKeys.length > 0 && cached.signature === undefined) )
+                continue;
 
-    const p1 = new Promise((res) => res(fetch(indexUrl, {method: 'GET'})))
-    const p2 = new Promise((res) => setTimeout(() => res({ ok: false, status: 500 }), 10000));
-    let response = await Promise.race([p1, p2]);
-    if (!response.ok) {
-        console.log('ZeroByteFW ERROR: Got HTTP Status Code %d retrieving firmware index', response.status);
-        console.log(JSON.stringify(response.json()));
-        throw ZeroByteErrorCodes.FIRMWARE_INDEX_UNAVAILABLE;
+            console.log('Firmware index is unavailable, using the cached copy of %s', index_url);
+            return _parse_fw_index(cached.text, cached.signature, options);
+        }
     }
 
-    let responseData;
+    throw ZeroByteErrorCodes.FIRMWARE_INDEX_UNAVAILABLE;
+}
+
+/**
+ * Computes the sha256 and md5 sums of the file at path and compares them against the sums listed in the firmware
+ * index. Only the sums listed are checked. If a sum does not match, the file is deleted.
+ *
+ * @param {string} path               The local path to the downloaded firmware bundle
+ * @param {FirmwareDetails} fw_info   The firmware information returned by get_latest_fw_info
+ * @param {FileStore} file_store      The file store holding the downloaded bundle
+ * @returns {Promise<string>}         The path, if the file is intact
+ * @throws {ZeroByteErrorCodes}       FIRMWARE_BUNDLE_CHECKSUM_MISMATCH if the sums do not match
+ */
+async function _verify_fw_checksum(path, fw_info, file_store) {
+    let listed = ['sha256', 'md5'].filter((algorithm) => fw_info[algorithm]);
+    if ( listed.length === 0 ) {
+        console.log('ZeroByteFW WARNING: No checksum listed for %s firmware version %s, skipping verification', fw_info.name, fw_info.version);
+        return path;
+    }
+
+    for (let algorithm of listed) {
+        let sum = await file_store.hash(path, algorithm);
+        if ( sum.toLowerCase() !== fw_info[algorithm].toLowerCase() ) {
+            console.log('ZeroByteFW ERROR: %s sum of %s (%s) does not match the firmware index (%s)', algorithm, path, sum, fw_info[algorithm]);
+            await file_store.unlink(path).catch((error) => {
+                console.log('ZeroByteFW ERROR: Could not delete corrupt firmware bundle %s: %s', path, error);
+            });
+
+            throw ZeroByteErrorCodes.FIRMWARE_BUNDLE_CHECKSUM_MISMATCH;
+        }
+    }
+
+    return path;
+}
+
+/**
+ * Downloads a firmware bundle into a file in a single request. The request is aborted if no data arrives for
+ * options.timeoutMs. A download starting at offset resumes the partial file at path with a Range request.
+ *
+ * @returns {Promise<{status: number, path: string}>} The result of {@link HttpClient}.download
+ */
+function _download_fw_attempt(fw_info, path, offset, options) {
+    let timeout_ms = options.timeoutMs || default_download_timeout_ms;
+    return _with_timeout(timeout_ms, options, (signal, touch) => get_http_client(options).download(fw_info.url, {
+        signal: signal,
+        path: path,
+        appendExt: 'gbl',
+        append: offset > 0,
+        headers: offset > 0 ? {Range: `bytes=${offset}-`} : {},
+        onProgress: (received, total) => {
+            touch();
+            if ( !options.onProgress )
+                return;
+
+            let bytes_total = total >= 0 ? offset + total : (fw_info.size || -1);
+            let bytes_received = offset + received;
+            options.onProgress(bytes_received, bytes_total, bytes_total > 0 ? Math.min(100, bytes_received * 100 / bytes_total) : undefined);
+        },
+    }));
+}
+
+/**
+ * Downloads a firmware bundle, retrying network errors, timeouts and temporary HTTP errors like
+ * {@link _fetch_with_retries}. If the file store can provide a temporary path, a download which breaks off is resumed
+ * where it stopped. A partial file is discarded if the server ignores the Range request or answers with an error.
+ *
+ * @returns {Promise<string>}         The path of the downloaded file
+ * @throws {ZeroByteErrorCodes}       FIRMWARE_BUNDLE_UNAVAILABLE if the bundle can not be downloaded,
+ *                                    OPERATION_CANCELLED if options.signal is aborted
+ */
+async function _download_fw_file(fw_info, file_store, options) {
+    let attempts = 1 + (options.retries !== undefined ? options.retries : default_retries);
+    let delay_ms = options.retryDelayMs !== undefined ? options.retryDelayMs : default_retry_delay_ms;
+    let path = file_store.tempPath ? await file_store.tempPath('gbl') : undefined;
+    let discard = async () => {
+        if ( path !== undefined && await file_store.exists(path) )
+            await file_store.unlink(path);
+    };
+
+    try {
+        for ( let attempt = 1; attempt <= attempts; attempt++ ) {
+            let offset = (path !== undefined && await file_store.exists(path)) ? (await file_store.stat(path)).size : 0;
+            if ( offset > 0 )
+                console.log('Resuming download of %s firmware version %s at byte %d', fw_info.name, fw_info.version, offset);
+
+            try {
+                let res = await _download_fw_attempt(fw_info, path, offset, options);
+                if ( res.status === 206 || (res.status === 200 && offset === 0) )
+                    return res.path;
+
+                if ( res.status === 200 ) {
+                    console.log('ZeroByteFW ERROR: Server does not support resuming %s, starting over (attempt %d of %d)', fw_info.url, attempt, attempts);
+                    await discard();
+                    continue;
+                }
+
+                // The body of an error response may have been written to the file as well
+                console.log('ZeroByteFW ERROR: Got HTTP Status Code %d retrieving firmware bundle (attempt %d of %d)', res.status, attempt, attempts);
+                await discard();
+                if ( !_is_retryable_status(res.status) && res.status !== 416 )
+                    throw ZeroByteErrorCodes.FIRMWARE_BUNDLE_UNAVAILABLE;
+            } catch ( error ) {
+                if ( typeof error === 'symbol' )
+                    throw error;
+
+                console.log('ZeroByteFW ERROR: Could not download %s: %s (attempt %d of %d)', fw_info.url, error, attempt, attempts);
+            }
+
+            if ( attempt < attempts ) {
+                await _sleep(delay_ms, options.signal);
+                delay_ms *= 2;
+            }
+        }
+
+        throw ZeroByteErrorCodes.FIRMWARE_BUNDLE_UNAVAILABLE;
+    } catch ( error ) {
+        await discard().catch((e) => console.log('ZeroByteFW ERROR: Could not delete partial firmware bundle %s: %s', path, e));
+        throw error;
+    }
+}
+
+/**
+ * @returns {FirmwareCacheKey} The key of a firmware bundle in the firmware cache, or undefined if the bundle can not be
+ *                             cached because options do not name its client and model, or no hash is listed for it
+ */
+function _fw_cache_key(fw_info, options) {
+    let hash = fw_info.sha256 || fw_info.md5;
+    if ( options.clientName === undefined || options.modelName === undefined || !hash || fw_info.version === undefined )
+        return undefined;
+
+    return {client: options.clientName, model: options.modelName, version: fw_info.version, hash: hash.toLowerCase()};
+}
+
+/**
+ * Looks up a firmware bundle in the firmware cache and checks it against the sums listed in the firmware index. A
+ * cached bundle which does not match is removed from the cache.
+ *
+ * @returns {Promise<CachedFirmware>} The cached bundle, or undefined if it is not cached intact
+ */
+async function _cached_fw(cache, key, fw_info, file_store) {
+    let cached;
     try {
-        responseData = response.json();
+        cached = await cache.get(key);
+        if ( cached === undefined )
+            return undefined;
+
+        await _verify_fw_checksum(cached.path, fw_info, file_store);
+        return cached;
     } catch ( error ) {
-        console.log('ZeroByteFW ERROR: Could not parse Firmware Index as JSON: %s', error);
-        throw ZeroByteErrorCodes.FIRMWARE_INDEX_MALFORMED;
+        console.log('ZeroByteFW ERROR: Can not use cached %s firmware version %s: %s', fw_info.name, fw_info.version, String(error));
+        if ( cached !== undefined )
+            await cache.remove(key).catch((e) => console.log('ZeroByteFW ERROR: Could not remove cached firmware: %s', e));
+        return undefined;
     }
+}
 
-    return responseData;
+/**
+ * Stores a verified firmware bundle in the firmware cache, or updates when it was last used, the channels it came from
+ * and the release they listed if it is cached already. The cache is a convenience, so failing to store the bundle does
+ * not fail the download.
+ *
+ * @returns {Promise<string>} The path of the bundle in the cache, or the given path if it could not be stored
+ */
+async function _cache_fw(cache, key, fw_info, path, cached, options) {
+    let now = Date.now();
+    let channels = (cached && Array.isArray(cached.channels)) ? cached.channels : [];
+    if ( typeof options.channel === 'string' && !channels.includes(options.channel) )
+        channels = [...channels, options.channel];
+    let releases = (cached && cached.releases !== null && typeof cached.releases === 'object') ? cached.releases : {};
+    if ( typeof options.channel === 'string' && options.release !== undefined )
+        releases = {...releases, [options.channel]: {...options.release, recordedAt: now}};
+
+    let info = {...fw_info};
+    delete info.step;
+
+    try {
+        let stored = await cache.put({
+            ...key,
+            info: info,
+            channels: channels,
+            releases: releases,
+            cachedAt: cached ? cached.cachedAt : now,
+            lastUsed: now,
+        }, path);
+        return stored.path;
+    } catch ( error ) {
+        console.log('ZeroByteFW ERROR: Could not cache %s firmware version %s: %s', fw_info.name, fw_info.version, error);
+        return path;
+    }
 }
 
 /**
  * Downloads the firmware from the given url and stores it in the applications local file cache. Returns
- * the path to the firmware bundle.
+ * the path to the firmware bundle. The sha256 and md5 sums of the downloaded file are verified against the firmware
+ * index, and the file is deleted if they do not match.
+ *
+ * Failed downloads are retried, and resumed where they broke off if the server supports Range requests and the file
+ * store provides temporary paths. See {@link FileStore}
+ *
+ * Given the clientName and modelName of the bundle, it is kept in the firmware cache. A cached bundle which matches the
+ * sums in the firmware index is returned without downloading it again. Do not delete the returned file in that case.
  *
  * @param fw_info {object}      The firmware information returned by get_latest_fw_info
+ * @param options {object}      (optional) {signal: AbortSignal, httpClient: HttpClient, fileStore: FileStore} ... the
+ *                              download is cancelled when signal is aborted. See {@link set_fw_backends} for the backends.
+ *                              {onProgress: function(number, number, number)} is invoked with the bytes received, the
+ *                              total bytes (-1 if unknown) and the percentage complete (undefined if unknown).
+ *                              {timeoutMs: number} aborts an attempt when no data arrives for this long, defaults to
+ *                              30000. {retries: number, retryDelayMs: number} as in {@link UpdateOptions}.
+ *                              {clientName: string, modelName: string, channel: string, firmwareCache: FirmwareCache}
+ *                              keep the bundle in the firmware cache, see {@link prefetch_fw}. {release: FirmwareRelease}
+ *                              records the release of the {@link InstallPlan} the bundle belongs to with it, which
+ *                              updates are resolved from while the firmware index is unavailable.
  * @returns {Promise<string>}   The local file path to the downloaded firmware
- * @throws {ZeroByteErrorCodes} Codes 2000-2999 indicate errors with the firmware bundles
+ * @throws {ZeroByteErrorCodes} Codes 2000-2999 indicate errors with the firmware bundles. OPERATION_CANCELLED if aborted.
  */
-async function download_fw(fw_info) {
-    return RNFetchBlob.config({
-        // add this option that makes response data to be stored as a file,
-        // this is much more performant.
-        fileCache: true,
-        appendExt: 'gbl',
-    })
-        .fetch('GET', fw_info.url)
-        .then((res) => {
-            console.log(JSON.stringify(res.respInfo));
-            if (res.respInfo.status !== 200) {
-                console.log('ZeroByteFW ERROR: Got HTTP Status Code %d retrieving firmware bundle', res.status);
-                throw ZeroByteErrorCodes.FIRMWARE_BUNDLE_UNAVAILABLE;
-            }
+async function download_fw(fw_info, options = {}) {
+    let signal = options.signal;
+    if ( signal && signal.aborted )
+        throw ZeroByteErrorCodes.OPERATION_CANCELLED;
 
-            return RNFetchBlob.fs.stat(res.path());
-        })
-        .then((stats) => {
-            console.log('Downloaded %s firmware version %s to: %s', fw_info.name, fw_info.version, stats.path);
-            return `${stats.path}`;
-        })
-        .catch((error) => {
-            console.log("ZeroByteFW ERROR: %s", error);
-            throw ZeroByteErrorCodes.UNKNOWN_ERROR;
-        })
+    let file_store = get_file_store(options);
+    let cache = get_firmware_cache(options);
+    let key = cache !== undefined ? _fw_cache_key(fw_info, options) : undefined;
+    try {
+        let cached = key !== undefined ? await _cached_fw(cache, key, fw_info, file_store) : undefined;
+        if ( cached !== undefined ) {
+            console.log('Using cached %s firmware version %s: %s', fw_info.name, fw_info.version, cached.path);
+            return await _cache_fw(cache, key, fw_info, cached.path, cached, options);
+        }
+
+        let path = await _download_fw_file(fw_info, file_store, options);
+        let stats = await file_store.stat(path);
+        console.log('Downloaded %s firmware version %s to: %s', fw_info.name, fw_info.version, stats.path);
+        path = await _verify_fw_checksum(`${stats.path}`, fw_info, file_store);
+        return key !== undefined ? await _cache_fw(cache, key, fw_info, path, undefined, options) : path;
+    } catch ( error ) {
+        if ( signal && signal.aborted ) {
+            console.log('Download of %s firmware version %s was cancelled.', fw_info.name, fw_info.version);
+            throw ZeroByteErrorCodes.OPERATION_CANCELLED;
+        }
+
+        if ( typeof error === 'symbol' )
+            throw error;
+
+        console.log("ZeroByteFW ERROR: %s", error);
+        throw ZeroByteErrorCodes.UNKNOWN_ERROR;
+    }
 }
 
 /**
- * Obtains a list of URLs for firmware updates to apply to the device. It is possible that a firmware update is
- * comprised of multiple parts, in which case more than URL will be returned. Apply the firmware updates to the device
- * in the order returned.
+ * Picks the release notes of a firmware update in the user's language. Notes listed for a locale, e.g. 'de-AT', are
+ * preferred, then notes for its language, e.g. 'de', then English, then whichever notes are listed first.
+ *
+ * @param {FirmwareDetails} fw_info     The firmware information returned by get_latest_fw_info
+ * @param {string|string[]} locales     (optional) The user's preferred locales, most preferred first, e.g. ['de-AT', 'en-US']
+ * @returns {string}                    The release notes, or undefined if none are listed
+ */
+function get_fw_release_notes(fw_info, locales = []) {
+    let notes = fw_info.notes;
+    if ( notes === undefined || typeof notes === 'string' )
+        return notes;
+
+    let listed = Object.keys(notes);
+    let find = (locale) => listed.find((key) => key.toLowerCase() === locale.toLowerCase());
+    let candidates = [].concat(locales).flatMap((locale) => [locale, locale.split(/[-_]/)[0]]).concat('en');
+
+    let key = candidates.map(find).find((found) => found !== undefined);
+    return notes[key !== undefined ? key : listed[0]];
+}
+
+/**
+ * Options accepted by get_latest_fw_info.
  *
- * If current_fw_version is specified and is the same as the currently available firmware, then an empty list is
- * returned indicating no newer updates are available.
+ * @typedef UpdateOptions
+ * @property {boolean} allowDowngrade   (optional) If true, an update to a version older than current_fw_version is
+ *                                      returned. Defaults to false, downgrades are refused.
+ * @property {string} version           (optional) Pin the update to this version from the firmware index instead of
+ *                                      the latest version. Pinned versions are applied even if they are older than
+ *                                      current_fw_version.
+ * @property {AbortSignal} signal       (optional) Cancels the firmware index request when aborted.
+ * @property {HttpClient} httpClient    (optional) The HTTP client used to fetch the index. See {@link set_fw_backends}
+ * @property {string[]} trustedKeys     (optional) Base64 encoded Ed25519 public keys. If given, the index must carry a
+ *                                      valid signature by one of them in index.json.sig, or it is rejected with
+ *                                      FIRMWARE_INDEX_SIGNATURE_INVALID. See ZeroByteSignatures.js
+ * @property {object} installed         (optional) The versions of each component installed on the device, e.g.
+ *                                      {apploader: '1.2.0.0', bootloader: '2.4.0'}. Dependencies the device already
+ *                                      satisfies are skipped. See {@link FirmwareRequirement}
+ * @property {function(IndexProblem[])} onIndexProblems (optional) Invoked with the problems found in the firmware
+ *                                      index before FIRMWARE_INDEX_MALFORMED is thrown. See {@link validate_fw_index}
+ * @property {string} hwRevision        (optional) The hardware revision or board ID of the device. The newest firmware
+ *                                      compatible with it is returned. Without it, firmware which declares the hardware
+ *                                      it supports is rejected. See {@link is_fw_compatible}
+ * @property {string} deviceId          (optional) A stable identifier of the device, e.g. its serial number or BLE
+ *                                      peripheral ID. Devices taking part in a staged rollout of the model receive the
+ *                                      rollout version instead of the latest. See ZeroByteRollout.js
+ * @property {number} timeoutMs         (optional) How long to wait for each request for the index, in milliseconds.
+ *                                      Defaults to 10000.
+ * @property {number} retries           (optional) How many times to retry a request which fails with a network error,
+ *                                      a timeout, or HTTP status 408, 429 or 5xx. Defaults to 2.
+ * @property {number} retryDelayMs      (optional) The delay before the first retry, doubled for every further retry.
+ *                                      Defaults to 500.
+ * @property {string[]} mirrors         (optional) Further url_base values to request the index from, in order, while
+ *                                      it is unavailable.
+ * @property {IndexCache|boolean} indexCache (optional) Stores indices for conditional requests, so unchanged indices
+ *                                      are not downloaded again. Defaults to an in-memory cache, false disables it.
+ *                                      See {@link set_fw_backends}
+ * @property {boolean} offlineFallback  (optional) If the index is unavailable from every URL, use the last copy in the
+ *                                      index cache, or else the bundles of the model in the firmware cache which were
+ *                                      downloaded from the channel, offering the latest version and rollout stages the
+ *                                      index listed when they were downloaded. With trustedKeys, only bundles from a
+ *                                      verified index are used. Defaults to true.
+ * @property {FirmwareCache|boolean} firmwareCache (optional) Keeps downloaded firmware bundles. Defaults to a cache in
+ *                                      the app's document directory, false disables it. See {@link set_fw_backends}
+ */
+
+/**
+ * Checks whether a firmware image may be installed on hardware of the given revision. Images declare the hardware
+ * revisions or board IDs they support in `compatible`, and/or the oldest hardware revision they support in
+ * `min_hw_revision`. Images which declare neither are compatible with any hardware.
  *
- * @param {string} client_name        The name of the client, e.g.: 'hosemonster'
- * @param {string} model_name        The name of the device, e.g.: 'kraken' or 'arcus'
- * @param {string} current_fw_version (optional) The current firmware version in use, e.g.: '20220101.abc123f'
- * @param {string} channel            (optional) The firmware release channel. Defaults to 'prod', which is the default production release channel name.
- * @param {string} url_base           (optional) The base URL for firmware deployments. This module expects to find the firmware index published at "${url_base}/${client_name}/${module_name}/${channel}/index.json". Defaults to https://static.zerobytellc.com/firmware
- * @return {Promise<FirmwareDetails>} A list of updates available for this device.
- * @throws {ZeroByteErrorCodes}       An error code if something has gone wrong. See {@link ZeroByteErrorCodes}
+ * @param {FirmwareInfo} fw_info    A firmware index entry, or the FirmwareDetails returned by get_latest_fw_info
+ * @param {string} hw_revision      The hardware revision or board ID of the device, e.g. 'B'. undefined if unknown.
+ * @returns {boolean}               true if the image supports the hardware. An image which declares its compatibility
+ *                                  is never compatible with unknown hardware.
  */
-async function get_latest_fw_info(client_name, model_name, current_fw_version = undefined, channel = undefined, url_base = undefined) {
-    if ( channel === undefined )
-        channel = default_channel;
+function is_fw_compatible(fw_info, hw_revision) {
+    if ( fw_info.compatible === undefined && fw_info.min_hw_revision === undefined )
+        return true;
+
+    let revision = (hw_revision === undefined || hw_revision === null) ? '' : String(hw_revision).trim();
+    if ( revision === '' )
+        return false;
+
+    if ( fw_info.compatible !== undefined
+         && !fw_info.compatible.some((compatible) => String(compatible).trim().toLowerCase() === revision.toLowerCase()) )
+        return false;
+
+    return fw_info.min_hw_revision === undefined || compare_hw_revisions(revision, fw_info.min_hw_revision) >= 0;
+}
 
+/**
+ * @returns {string} The version installed by a firmware entry of a model: its `version`, or else its key
+ */
+function _entry_version(model_infos, entry) {
+    let info = model_infos[entry];
+    return (info && info.version !== undefined) ? info.version : entry;
+}
+
+/**
+ * @returns {string[]} The keys of the application firmware entries of a model
+ */
+function _application_entries(model_infos) {
+    return fw_entry_keys(model_infos).filter((key) => {
+        let info = model_infos[key];
+        return info !== null && typeof info === 'object' && (info.component || 'application') === 'application';
+    });
+}
+
+/**
+ * Determines the latest firmware version listed for a model. If the index does not name the latest version, then the
+ * newest version in the index is used.
+ *
+ * @param {DeviceFirmware} model_infos  The firmware listed in the index for the model
+ * @returns {string}                    The latest version
+ * @throws {ZeroByteErrorCodes}         FIRMWARE_INDEX_LATEST_VERSION_UNKNOWN if the latest version can not be determined
+ */
+function _latest_fw_version(model_infos) {
+    if (model_infos.hasOwnProperty('latest'))
+        return model_infos.latest;
+
+    let versions = fw_entry_keys(model_infos);
+    let latest_fw_version = newest_fw_version(versions);
+    if ( latest_fw_version === undefined ) {
+        console.log('ZeroByteFW ERROR: Unable to order firmware versions: %s', versions.join(', '));
+        throw ZeroByteErrorCodes.FIRMWARE_INDEX_LATEST_VERSION_UNKNOWN;
+    }
+
+    return latest_fw_version;
+}
+
+/**
+ * Determines the latest firmware version offered to a device. A rollout stage the device takes part in offers its
+ * version instead of the latest. Stages whose version is the latest, or older than it, are finished and ignored. A
+ * same-day build of the latest date version, e.g. a hotfix, is a different version and stays in its rollout.
+ *
+ * @param {DeviceFirmware} model_infos  The firmware listed in the index for the model
+ * @param {string} model_name           The model, for log messages
+ * @param {string} device_id            The device ID, undefined if unknown
+ * @returns {string}                    The key of the entry
+ * @throws {ZeroByteErrorCodes}         FIRMWARE_INDEX_LATEST_VERSION_UNKNOWN if the latest version can not be determined
+ */
+function _device_latest_fw_entry(model_infos, model_name, device_id) {
+    let latest = _latest_fw_version(model_infos);
+    if ( model_infos.rollout === undefined )
+        return latest;
+
+    let latest_version = _entry_version(model_infos, latest);
+    let stages = model_infos.rollout.filter((stage) => {
+        let version = _entry_version(model_infos, stage.version);
+        let order = compare_fw_versions(version, latest_version);
+        if ( order !== undefined && order >= 0 && !fw_versions_match(version, latest_version) )
+            return true;
+
+        console.log('ZeroByteFW WARNING: Ignoring the %s rollout of firmware %s, it is %s the latest version %s', model_name, version,
+            order === undefined ? 'not comparable to' : (order < 0 ? 'older than' : 'the same as'), latest_version);
+        return false;
+    });
+    let stage = select_rollout_stage(stages, device_id);
+    if ( stage === undefined )
+        return latest;
+
+    console.log('Device %s is in the %s rollout of firmware %s', device_id, model_name, stage.version);
+    return stage.version;
+}
+
+/**
+ * Selects the entry to install for the latest firmware of a model, honouring rollout stages. If the latest entry is not
+ * compatible with the hardware revision, the newest compatible application entry which is not newer than the latest
+ * is used. The rule is the one of {@link is_fw_compatible}, which ZeroByteDFU.js checks again before flashing: if the
+ * hardware revision is unknown, a latest entry which declares the hardware it supports is rejected.
+ *
+ * @param {DeviceFirmware} model_infos  The firmware listed in the index for the model
+ * @param {string} model_name           The model, for log messages
+ * @param {string} hw_revision          The hardware revision of the device, undefined if unknown
+ * @param {string} device_id            The device ID, undefined if unknown
+ * @returns {string}                    The key of the entry
+ * @throws {ZeroByteErrorCodes}         FIRMWARE_INDEX_LATEST_VERSION_UNKNOWN if the latest version can not be
+ *                                      determined, FIRMWARE_INDEX_HARDWARE_INCOMPATIBLE if nothing is compatible,
+ *                                      FIRMWARE_INDEX_UNAVAILABLE if the entry is not in the firmware cache it came from
+ */
+function _latest_compatible_fw_entry(model_infos, model_name, hw_revision, device_id) {
+    let latest = _device_latest_fw_entry(model_infos, model_name, device_id);
+    if ( model_infos[latest] === undefined ) {
+        // Only firmware rebuilt from the firmware cache lacks entries its release references
+        console.log('ZeroByteFW ERROR: %s firmware %s is not cached, and the firmware index is unavailable', model_name, latest);
+        throw ZeroByteErrorCodes.FIRMWARE_INDEX_UNAVAILABLE;
+    }
+
+    if ( is_fw_compatible(model_infos[latest], hw_revision) )
+        return latest;
+
+    if ( hw_revision === undefined ) {
+        console.log('ZeroByteFW ERROR: %s firmware %s declares the hardware it supports, but the hardware revision of the device is unknown', model_name, latest);
+        throw ZeroByteErrorCodes.FIRMWARE_INDEX_HARDWARE_INCOMPATIBLE;
+    }
+
+    let latest_version = _entry_version(model_infos, latest);
+    let candidates = _application_entries(model_infos).filter((entry) => is_fw_compatible(model_infos[entry], hw_revision)
+        && compare_fw_versions(_entry_version(model_infos, entry), latest_version) <= 0);
+
+    let newest = newest_fw_version(candidates.map((entry) => _entry_version(model_infos, entry)));
+    if ( newest === undefined ) {
+        console.log('ZeroByteFW ERROR: No %s firmware up to version %s is compatible with hardware revision %s', model_name, latest_version, hw_revision);
+        throw ZeroByteErrorCodes.FIRMWARE_INDEX_HARDWARE_INCOMPATIBLE;
+    }
+
+    let entry = candidates.find((candidate) => _entry_version(model_infos, candidate) === newest);
+    console.log('%s firmware %s is not compatible with hardware revision %s, using %s', model_name, latest, hw_revision, entry);
+    return entry;
+}
+
+/**
+ * Selects the entry to install for a pinned version. The version may be the key of an entry, or the `version` of
+ * application entries keyed by hardware revision, of which the one compatible with the device is used.
+ *
+ * @param {DeviceFirmware} model_infos  The firmware listed in the index for the model
+ * @param {string} model_name           The model, for log messages
+ * @param {string} version              The pinned version
+ * @param {string} hw_revision          The hardware revision of the device, undefined if unknown
+ * @returns {string}                    The key of the entry
+ * @throws {ZeroByteErrorCodes}         FIRMWARE_INDEX_VERSION_UNKNOWN if the version is not listed,
+ *                                      FIRMWARE_INDEX_HARDWARE_INCOMPATIBLE if it is not compatible
+ */
+function _pinned_fw_entry(model_infos, model_name, version, hw_revision) {
+    let applications = _application_entries(model_infos);
+    let candidates = fw_entry_keys(model_infos).filter((entry) => entry === version
+        || (applications.includes(entry) && model_infos[entry].version === version));
+
+    if ( candidates.length === 0 ) {
+        console.log('ZeroByteFW ERROR: Requested %s firmware version %s is not listed in the firmware index', model_name, version);
+        throw ZeroByteErrorCodes.FIRMWARE_INDEX_VERSION_UNKNOWN;
+    }
+
+    candidates = candidates.filter((entry) => is_fw_compatible(model_infos[entry], hw_revision));
+    if ( candidates.length === 0 ) {
+        console.log('ZeroByteFW ERROR: Requested %s firmware version %s is not compatible with hardware revision %s', model_name, version,
+            hw_revision === undefined ? '(unknown)' : hw_revision);
+        throw ZeroByteErrorCodes.FIRMWARE_INDEX_HARDWARE_INCOMPATIBLE;
+    }
+
+    return candidates.includes(version) ? version : candidates[0];
+}
+
+/**
+ * Retrieves and validates the firmware index, and looks up the firmware listed for a model.
+ *
+ * @returns {Promise<DeviceFirmware>} The firmware listed in the index for the model
+ * @throws {ZeroByteErrorCodes}       FIRMWARE_INDEX_MALFORMED if the index fails validation, after passing the problems
+ *                                    to options.onIndexProblems, FIRMWARE_INDEX_DEVICE_UNKNOWN if the model is not listed
+ */
+async function _retrieve_model_fw(client_name, model_name, channel, url_base, options) {
     if ( url_base === undefined )
         url_base = default_url_base;
 
-    let fw_index = await _retrieve_fw_index(client_name, channel, url_base);
-    if (!fw_index.hasOwnProperty(model_name)) {
+    let fw_index = await _retrieve_fw_index(client_name, channel, url_base, options);
+    let problems = validate_fw_index(fw_index);
+    if ( problems.length > 0 ) {
+        console.log('ZeroByteFW ERROR: Firmware index is malformed, %d problem(s) found:', problems.length);
+        problems.forEach((problem) => console.log('ZeroByteFW ERROR:   %s %s', problem.path, problem.message));
+        if ( options.onIndexProblems )
+            options.onIndexProblems(problems);
+
+        throw ZeroByteErrorCodes.FIRMWARE_INDEX_MALFORMED;
+    }
+
+    let devices = fw_index_devices(fw_index);
+    if (!devices.hasOwnProperty(model_name)) {
         console.log('ZeroByteFW ERROR: Requesting firmware update for unknown device: %s', model_name);
         throw ZeroByteErrorCodes.FIRMWARE_INDEX_DEVICE_UNKNOWN;
     }
 
-    let model_infos = fw_index[model_name];
-    let latest_fw_version;
-    if (!model_infos.hasOwnProperty('latest')) {
-        let versions = Object.keys(model_infos);
+    return devices[model_name];
+}
+
+/**
+ * Rebuilds the firmware listed for a model from the bundles in the firmware cache which were downloaded from a channel,
+ * for resolving updates while the firmware index is unavailable. The latest entry and rollout stages are those of the
+ * most recent release recorded with the bundles, so devices are offered what the index offered them. If
+ * options.trustedKeys are given, that release must have come from an index whose signature was verified.
+ *
+ * @returns {Promise<{model_infos: DeviceFirmware, verified: boolean}>} The cached firmware of the model, and whether the
+ *                                    index its release came from was verified
+ * @throws {ZeroByteErrorCodes}       FIRMWARE_INDEX_UNAVAILABLE if no firmware of the model is cached for the channel
+ *                                    with its release, the release is not verified, or the offline fallback is disabled
+ */
+async function _cached_model_fw(client_name, model_name, channel, options) {
+    let cache = get_firmware_cache(options);
+    if ( cache === undefined || options.offlineFallback === false )
+        throw ZeroByteErrorCodes.FIRMWARE_INDEX_UNAVAILABLE;
+
+    let entries = await cache.list().catch((error) => {
+        console.log('ZeroByteFW ERROR: Could not list the firmware cache: %s', error);
+        throw ZeroByteErrorCodes.FIRMWARE_INDEX_UNAVAILABLE;
+    });
+    entries = entries.filter((cached) => cached.client === client_name && cached.model === model_name
+        && Array.isArray(cached.channels) && cached.channels.includes(channel)
+        && cached.info !== null && typeof cached.info === 'object' && cached.info.entry !== undefined);
 
-        // If there's only one version given, let's just assume it's the latest.
-        // Otherwise, we can probably sort by date? But for now let's just give up.
-        if ( versions.length > 1 )
-            throw ZeroByteErrorCodes.FIRMWARE_INDEX_LATEST_VERSION_UNKNOWN;
+    let release = entries
+        .map((cached) => (cached.releases !== null && typeof cached.releases === 'object') ? cached.releases[channel] : undefined)
+        .filter((recorded) => recorded !== null && typeof recorded === 'object' && typeof recorded.latest === 'string')
+        .reduce((newest, recorded) => ((newest === undefined || recorded.recordedAt > newest.recordedAt) ? recorded : newest), undefined);
+    if ( release === undefined ) {
+        console.log('ZeroByteFW ERROR: No %s firmware from channel %s is cached with the release it belongs to', model_name, channel);
+        throw ZeroByteErrorCodes.FIRMWARE_INDEX_UNAVAILABLE;
+    }
 
-        latest_fw_version = Object.keys(model_infos)[0];
-    } else {
-        latest_fw_version = model_infos.latest;
+    if ( options.trustedKeys && options.trustedKeys.length > 0 && release.verified !== true ) {
+        console.log('ZeroByteFW ERROR: The cached %s firmware from channel %s did not come from a signed firmware index, refusing to use it', model_name, channel);
+        throw ZeroByteErrorCodes.FIRMWARE_INDEX_UNAVAILABLE;
     }
 
-    let infos = [];
-    if (current_fw_version !== latest_fw_version) {
-        let info = model_infos[latest_fw_version];
-        info['version'] = latest_fw_version;
+    let model_infos = {latest: release.latest};
+    if ( Array.isArray(release.rollout) )
+        model_infos.rollout = release.rollout;
+    entries.forEach((cached) => {
+        model_infos[cached.info.entry] = cached.info;
+    });
 
-        infos.push(info);
+    console.log('Firmware index is unavailable, resolving %s firmware from the %d cached bundle(s)', model_name, entries.length);
+    return {model_infos: model_infos, verified: release.verified === true};
+}
 
-        if (info.hasOwnProperty('apploader')) {
-            let apploader_version = info.apploader;
-            console.log('App firmware %s requires apploader %s. Adding to update list', latest_fw_version, apploader_version);
+/**
+ * Retrieves the firmware index and resolves the install plan for the update to apply to the device.
+ *
+ * @returns {Promise<InstallPlan>} The install plan. Its steps are empty if no update is needed.
+ * @throws {ZeroByteErrorCodes}    An error code if something has gone wrong. See {@link ZeroByteErrorCodes}
+ */
+async function _resolve_update(client_name, model_name, current_fw_version, channel, url_base, options) {
+    if ( Array.isArray(channel) && channel.length > 0 )
+        return _resolve_newest_update(client_name, model_name, current_fw_version, channel, url_base, options);
 
-            let apploader_info = model_infos[apploader_version];
-            infos.push(apploader_info)
-        }
+    if ( channel === undefined || Array.isArray(channel) )
+        channel = default_channel;
 
-    } else {
+    let {model_infos, verified} = await _retrieve_model_fw(client_name, model_name, channel, url_base, options).then(
+        (retrieved) => ({model_infos: retrieved, verified: Boolean(options.trustedKeys && options.trustedKeys.length > 0)}),
+        (error) => {
+            if ( error !== ZeroByteErrorCodes.FIRMWARE_INDEX_UNAVAILABLE )
+                throw error;
+            return _cached_model_fw(client_name, model_name, channel, options);
+        });
+    let release = {latest: _latest_fw_version(model_infos), rollout: model_infos.rollout, verified: verified};
+    let hw_revision = options.hwRevision;
+    let target_entry = (options.version !== undefined)
+        ? _pinned_fw_entry(model_infos, model_name, options.version, hw_revision)
+        : _latest_compatible_fw_entry(model_infos, model_name, hw_revision, options.deviceId);
+    let target_fw_version = _entry_version(model_infos, target_entry);
+
+    if (current_fw_version !== undefined && fw_versions_match(current_fw_version, target_fw_version)) {
         console.log('%s firmware version %s is already up to date.', model_name, current_fw_version);
+        return {version: target_fw_version, entry: target_entry, channel: channel, release: release, steps: [], skipped: []};
+    }
+
+    if (current_fw_version !== undefined && options.version === undefined && !options.allowDowngrade
+        && compare_fw_versions(target_fw_version, current_fw_version) < 0) {
+        console.log('%s firmware version %s is newer than %s, refusing to downgrade.', model_name, current_fw_version, target_fw_version);
+        return {version: target_fw_version, entry: target_entry, channel: channel, release: release, steps: [], skipped: []};
+    }
+
+    let installed = {application: current_fw_version, ...(options.installed || {})};
+    let plan = resolve_install_plan(model_infos, target_entry, installed);
+    let incompatible = plan.steps.find((step) => !is_fw_compatible(step, hw_revision));
+    if ( incompatible !== undefined ) {
+        console.log('ZeroByteFW ERROR: %s %s %s is not compatible with hardware revision %s', model_name, incompatible.component, incompatible.version,
+            hw_revision === undefined ? '(unknown)' : hw_revision);
+        throw ZeroByteErrorCodes.FIRMWARE_INDEX_HARDWARE_INCOMPATIBLE;
     }
 
+    plan.steps.forEach((step) => {
+        console.log('Update step %d: %s %s (%s)', step.step, step.component, step.version, step.name);
+    });
+
+    plan.channel = channel;
+    plan.release = release;
+    return plan;
+}
+
+/**
+ * Resolves the update in each of several channels, fetching their indices concurrently, and picks the newest. Channels
+ * which fail, e.g. because they do not list the model, are skipped. When channels offer the same version, or versions
+ * which can not be ordered, the one listed first wins.
+ *
+ * @returns {Promise<InstallPlan>} The install plan of the newest update, with the channel it came from
+ * @throws {ZeroByteErrorCodes}    The error of the first channel if every channel fails, OPERATION_CANCELLED if cancelled
+ */
+async function _resolve_newest_update(client_name, model_name, current_fw_version, channels, url_base, options) {
+    let results = await Promise.all(channels.map((channel) =>
+        _resolve_update(client_name, model_name, current_fw_version, channel, url_base, options)
+            .then((plan) => ({plan: plan}), (error) => ({error: error}))));
+
+    if ( results.some((result) => result.error === ZeroByteErrorCodes.OPERATION_CANCELLED) )
+        throw ZeroByteErrorCodes.OPERATION_CANCELLED;
+
+    results.forEach((result, i) => {
+        if ( result.error !== undefined )
+            console.log('ZeroByteFW ERROR: Skipping firmware channel %s: %s', channels[i], String(result.error));
+    });
+
+    let plans = results.filter((result) => result.error === undefined).map((result) => result.plan);
+    if ( plans.length === 0 )
+        throw results[0].error;
+
+    let newest = plans.reduce((best, plan) => (compare_fw_versions(plan.version, best.version) > 0 ? plan : best));
+    console.log('Newest %s firmware is %s, from channel %s', model_name, newest.version, newest.channel);
+    return newest;
+}
+
+/**
+ * Obtains a list of URLs for firmware updates to apply to the device. It is possible that a firmware update is
+ * comprised of multiple parts, in which case more than URL will be returned. The application firmware is listed first,
+ * followed by its dependencies. Apply the firmware updates to the device in the reverse of the order returned, or use
+ * {@link get_update_plan} to obtain the explicit install order.
+ *
+ * If current_fw_version is specified and is the same as, or newer than, the currently available firmware, then an
+ * empty list is returned indicating no newer updates are available. Set options.allowDowngrade to receive older
+ * firmware anyway, or options.version to request a specific version instead of the latest.
+ *
+ * Given a list of channels, e.g. ['beta', 'prod'], their indices are fetched concurrently and the newest update any of
+ * them offers is returned. Channels which fail are skipped, and earlier channels win ties. See {@link get_update_plan}
+ * for the channel the update came from.
+ *
+ * @param {string} client_name        The name of the client, e.g.: 'hosemonster'
+ * @param {string} model_name        The name of the device, e.g.: 'kraken' or 'arcus'
+ * @param {string} current_fw_version (optional) The current firmware version in use, e.g.: '20220101.abc123f'
+ * @param {string|string[]} channel   (optional) The firmware release channel, or a list of channels to pick the newest update from. Defaults to 'prod', which is the default production release channel name.
+ * @param {string} url_base           (optional) The base URL for firmware deployments. This module expects to find the firmware index published at "${url_base}/${client_name}/${module_name}/${channel}/index.json". Defaults to https://static.zerobytellc.com/firmware
+ * @param {UpdateOptions} options     (optional) Downgrade and version pinning options. See {@link UpdateOptions}
+ * @return {Promise<FirmwareDetails>} A list of updates available for this device.
+ * @throws {ZeroByteErrorCodes}       An error code if something has gone wrong. See {@link ZeroByteErrorCodes}
+ */
+async function get_latest_fw_info(client_name, model_name, current_fw_version = undefined, channel = undefined, url_base = undefined, options = {}) {
+    let plan = await _resolve_update(client_name, model_name, current_fw_version, channel, url_base, options);
+    let infos = plan.steps.slice().reverse();
+
     console.log(infos)
     return infos;
 }
 
+/**
+ * Obtains the ordered install plan for updating the device to the latest firmware. Every dependency declared in the
+ * firmware index (bootloader, apploader, radio co-processor, ...) is resolved, and dependencies which the device
+ * already satisfies, according to options.installed, are skipped.
+ *
+ * Takes the same parameters as {@link get_latest_fw_info}. The plan names the channel it came from, which is useful
+ * when several channels are given.
+ *
+ * @param {string} client_name        The name of the client, e.g.: 'hosemonster'
+ * @param {string} model_name         The name of the device, e.g.: 'kraken' or 'arcus'
+ * @param {string} current_fw_version (optional) The current application firmware version in use
+ * @param {string|string[]} channel   (optional) The firmware release channel, or a list of channels. Defaults to 'prod'
+ * @param {string} url_base           (optional) The base URL for firmware deployments.
+ * @param {UpdateOptions} options     (optional) See {@link UpdateOptions}
+ * @return {Promise<InstallPlan>}     The steps to apply to the device, in order.
+ * @throws {ZeroByteErrorCodes}       An error code if something has gone wrong. See {@link ZeroByteErrorCodes}
+ */
+async function get_update_plan(client_name, model_name, current_fw_version = undefined, channel = undefined, url_base = undefined, options = {}) {
+    return _resolve_update(client_name, model_name, current_fw_version, channel, url_base, options);
+}
+
+/**
+ * Options accepted by list_fw_versions and get_fw_info. Besides the channel and url_base, which get_latest_fw_info
+ * takes as parameters, any of the {@link UpdateOptions} may be given.
+ *
+ * @typedef VersionOptions
+ * @extends UpdateOptions
+ * @property {string} channel           (optional) The firmware release channel. Defaults to 'prod'
+ * @property {string} url_base          (optional) The base URL for firmware deployments.
+ * @property {string} since             (optional, list_fw_versions) Only list the versions newer than this one, up to
+ *                                      the latest, e.g. the device's version to show what changed since.
+ */
+
+/**
+ * A published firmware version of a model.
+ *
+ * @typedef FirmwareVersion
+ * @extends FirmwareDetails
+ * @property {string} entry             The key of the firmware entry in the model's {@link DeviceFirmware}
+ * @property {boolean} latest           true for the latest version, the one get_latest_fw_info offers the device
+ * @property {InstallStep[]} steps      The images to install for this version, dependencies first
+ */
+
+/**
+ * Lists every application firmware version published for a model, newest first, with its release metadata and the
+ * dependencies it installs. Entries which are not compatible with options.hwRevision, if given, are left out.
+ *
+ * @param {string} client_name        The name of the client, e.g.: 'hosemonster'
+ * @param {string} model_name         The name of the device, e.g.: 'kraken' or 'arcus'
+ * @param {VersionOptions} options    (optional) The channel, and what to list. See {@link VersionOptions}
+ * @return {Promise<FirmwareVersion[]>} The published versions
+ * @throws {ZeroByteErrorCodes}       An error code if something has gone wrong. See {@link ZeroByteErrorCodes}
+ */
+async function list_fw_versions(client_name, model_name, options = {}) {
+    let model_infos = await _retrieve_model_fw(client_name, model_name, options.channel || default_channel, options.url_base, options);
+    let hw_revision = options.hwRevision;
+    let latest_version = _entry_version(model_infos, _device_latest_fw_entry(model_infos, model_name, options.deviceId));
+
+    let entries = _application_entries(model_infos)
+        .filter((entry) => hw_revision === undefined || is_fw_compatible(model_infos[entry], hw_revision));
+    if ( options.since !== undefined )
+        entries = entries.filter((entry) => compare_fw_versions(_entry_version(model_infos, entry), options.since) > 0
+            && compare_fw_versions(_entry_version(model_infos, entry), latest_version) <= 0);
+
+    let versions = entries.map((entry) => ({
+        ...model_infos[entry],
+        version: _entry_version(model_infos, entry),
+        entry: entry,
+        latest: _entry_version(model_infos, entry) === latest_version,
+        steps: resolve_install_plan(model_infos, entry, options.installed || {}).steps,
+    }));
+
+    return versions.sort((a, b) => compare_fw_versions(b.version, a.version) || 0);
+}
+
+/**
+ * Obtains the firmware for a specific version, e.g. to reflash a unit with an older version. Like
+ * {@link get_latest_fw_info}, the application firmware is listed first, followed by its dependencies, regardless of
+ * the version on the device.
+ *
+ * @param {string} client_name        The name of the client, e.g.: 'hosemonster'
+ * @param {string} model_name         The name of the device, e.g.: 'kraken' or 'arcus'
+ * @param {string} version            The version, or the key of its entry in the firmware index
+ * @param {VersionOptions} options    (optional) The channel, and the {@link UpdateOptions}
+ * @return {Promise<FirmwareDetails[]>} The firmware images of the version
+ * @throws {ZeroByteErrorCodes}       FIRMWARE_INDEX_VERSION_UNKNOWN if the version is not listed, or another error
+ *                                    code if something has gone wrong. See {@link ZeroByteErrorCodes}
+ */
+async function get_fw_info(client_name, model_name, version, options = {}) {
+    let plan = await _resolve_update(client_name, model_name, undefined, options.channel, options.url_base, {...options, version: version});
+    return plan.steps.slice().reverse();
+}
+
+/**
+ * Lists the release channels of a client, from the optional channels manifest published at
+ * "${url_base}/${client_name}/channels.json":
+ *
+ * @example
+ * {
+ *   "channels": ["prod", "beta", "alpha"]
+ * }
+ *
+ * @param {string} client_name        The name of the client, e.g.: 'hosemonster'
+ * @param {string} url_base           (optional) The base URL for firmware deployments.
+ * @param {UpdateOptions} options    (optional) signal, httpClient, timeoutMs, retries and retryDelayMs apply
+ * @return {Promise<string[]>}        The channel names, or just 'prod' if the client publishes no manifest.
+ * @throws {ZeroByteErrorCodes}       FIRMWARE_INDEX_UNAVAILABLE if the manifest can not be retrieved,
+ *                                    FIRMWARE_INDEX_MALFORMED if it is not a list of channel names
+ */
+async function list_channels(client_name, url_base = default_url_base, options = {}) {
+    let manifestUrl = `${url_base}/${client_name}/${url_channels_file}`;
+    console.log(`Firmware Channels URL: ${manifestUrl}`);
+
+    let {response, text} = await _fetch_with_retries(manifestUrl, {}, options);
+    if ( response.status === 404 ) {
+        console.log('%s publishes no channels manifest, assuming %s', client_name, default_channel);
+        return [default_channel];
+    }
+
+    if ( !response.ok ) {
+        console.log('ZeroByteFW ERROR: Got HTTP Status Code %d retrieving firmware channels', response.status);
+        throw ZeroByteErrorCodes.FIRMWARE_INDEX_UNAVAILABLE;
+    }
+
+    let manifest;
+    try {
+        manifest = JSON.parse(text);
+    } catch ( error ) {
+        console.log('ZeroByteFW ERROR: Could not parse firmware channels as JSON: %s', error);
+        throw ZeroByteErrorCodes.FIRMWARE_INDEX_MALFORMED;
+    }
+
+    let channels = (manifest !== null && typeof manifest === 'object') ? manifest.channels : undefined;
+    if ( !Array.isArray(channels) || !channels.every((channel) => typeof channel === 'string' && channel.trim() !== '') ) {
+        console.log('ZeroByteFW ERROR: Firmware channels manifest must list channel names under "channels"');
+        throw ZeroByteErrorCodes.FIRMWARE_INDEX_MALFORMED;
+    }
+
+    return channels;
+}
+
+/**
+ * Options accepted by prefetch_fw, list_cached_fw and prune_fw_cache.
+ *
+ * @typedef FirmwareCacheOptions
+ * @extends VersionOptions
+ * @property {FirmwareCache|boolean} firmwareCache (optional) The firmware cache, see {@link set_fw_backends}
+ * @property {string} clientName        (optional, list_cached_fw and prune_fw_cache) Only the bundles of this client
+ * @property {string} modelName         (optional, list_cached_fw and prune_fw_cache) Only the bundles of this model
+ * @property {number} maxAgeMs          (optional, prune_fw_cache) Remove bundles which have not been used for longer
+ * @property {number} maxBytes          (optional, prune_fw_cache) Remove the least recently used bundles until the
+ *                                      rest take up no more than this many bytes
+ * @property {function(InstallStep, number, number, number)} onProgress (optional, prefetch_fw) Invoked as each bundle
+ *                                      is downloaded, with the bytes received, the total bytes and the percentage
+ */
+
+/**
+ * Downloads the bundles of the latest firmware of a model into the firmware cache, while online, so that devices can be
+ * updated later without a network connection. Every dependency of the firmware is included, unless options.installed
+ * says the devices already satisfy it. Bundles which are already cached intact are not downloaded again.
+ *
+ * Given a list of channels, the latest firmware of each of them is cached. While the firmware index is unavailable,
+ * {@link get_update_plan} resolves updates from the bundles cached for the channel, see {@link UpdateOptions}.
+ *
+ * @param {string} client_name        The name of the client, e.g.: 'hosemonster'
+ * @param {string} model_name         The name of the device, e.g.: 'kraken' or 'arcus'
+ * @param {FirmwareCacheOptions} options (optional) The channel or channels, and the {@link UpdateOptions}. Set
+ *                                    options.version to cache a specific version instead of the latest.
+ * @return {Promise<CachedFirmware[]>} The cached bundles, in install order
+ * @throws {ZeroByteErrorCodes}       FIRMWARE_BUNDLE_UNAVAILABLE if the firmware cache is disabled, or another error
+ *                                    code if something has gone wrong. See {@link ZeroByteErrorCodes}
+ */
+async function prefetch_fw(client_name, model_name, options = {}) {
+    let cache = get_firmware_cache(options);
+    if ( cache === undefined ) {
+        console.log('ZeroByteFW ERROR: Can not prefetch %s firmware, the firmware cache is disabled', model_name);
+        throw ZeroByteErrorCodes.FIRMWARE_BUNDLE_UNAVAILABLE;
+    }
+
+    let channels = Array.isArray(options.channel) ? options.channel : [options.channel || default_channel];
+    let cached = [];
+    for ( let channel of channels ) {
+        let plan = await _resolve_update(client_name, model_name, undefined, channel, options.url_base, options);
+        for ( let step of plan.steps ) {
+            await download_fw(step, {
+                ...options,
+                clientName: client_name,
+                modelName: model_name,
+                channel: channel,
+                release: plan.release,
+                onProgress: options.onProgress ? (received, total, percent) => options.onProgress(step, received, total, percent) : undefined,
+            });
+
+            // Bundles shared by several channels are listed once, with every channel they were cached for
+            let entry = await cache.get(_fw_cache_key(step, {clientName: client_name, modelName: model_name}));
+            let index = cached.findIndex((other) => entry !== undefined && other.path === entry.path);
+            if ( index >= 0 )
+                cached[index] = entry;
+            else if ( entry !== undefined )
+                cached.push(entry);
+        }
+    }
+
+    return cached;
+}
+
+/**
+ * Lists the bundles in the firmware cache, by client and model, newest version first.
+ *
+ * @param {FirmwareCacheOptions} options (optional) The firmware cache, and the client and model to list
+ * @return {Promise<CachedFirmware[]>} The cached bundles, empty if the firmware cache is disabled
+ */
+async function list_cached_fw(options = {}) {
+    let cache = get_firmware_cache(options);
+    if ( cache === undefined )
+        return [];
+
+    let entries = (await cache.list()).filter((cached) =>
+        (options.clientName === undefined || cached.client === options.clientName)
+        && (options.modelName === undefined || cached.model === options.modelName));
+
+    return entries.sort((a, b) => a.client.localeCompare(b.client) || a.model.localeCompare(b.model)
+        || compare_fw_versions(b.version, a.version) || 0);
+}
+
+/**
+ * Removes a bundle from the firmware cache.
+ *
+ * @param {FirmwareCacheKey} key      The bundle, e.g. as returned by {@link list_cached_fw}
+ * @param {FirmwareCacheOptions} options (optional) The firmware cache
+ */
+async function remove_cached_fw(key, options = {}) {
+    let cache = get_firmware_cache(options);
+    if ( cache !== undefined )
+        await cache.remove(key);
+}
+
+/**
+ * Removes bundles from the firmware cache which have not been used for options.maxAgeMs, and then the least recently
+ * used bundles until the rest take up no more than options.maxBytes. Without either option, every bundle is removed.
+ *
+ * @param {FirmwareCacheOptions} options (optional) The limits, and the client and model to prune
+ * @return {Promise<CachedFirmware[]>} The removed bundles
+ */
+async function prune_fw_cache(options = {}) {
+    let now = Date.now();
+    let entries = (await list_cached_fw(options)).sort((a, b) => (b.lastUsed || 0) - (a.lastUsed || 0));
+    let limited = options.maxAgeMs !== undefined || options.maxBytes !== undefined;
+    let removed = [];
+    let kept_bytes = 0;
+
+    for ( let cached of entries ) {
+        let expired = options.maxAgeMs !== undefined && now - (cached.lastUsed || 0) > options.maxAgeMs;
+        let oversize = options.maxBytes !== undefined && kept_bytes + cached.size > options.maxBytes;
+        if ( limited && !expired && !oversize ) {
+            kept_bytes += cached.size;
+            continue;
+        }
+
+        console.log('Removing cached %s firmware version %s: %s', cached.model, cached.version, cached.path);
+        await remove_cached_fw(cached, options);
+        removed.push(cached);
+    }
+
+    return removed;
+}
 
-export { get_latest_fw_info, download_fw }
+export { get_latest_fw_info, get_update_plan, list_fw_versions, get_fw_info, list_channels, download_fw, get_fw_release_notes,
+    is_fw_compatible, prefetch_fw, list_cached_fw, remove_cached_fw, prune_fw_cache }
@@ -0,0 +1,399 @@
+/*
+ * ZeroByteGBL.js
+ *
+ * Copyright (c) 2023 Zero Byte LLC, All Rights Reserved
+ * Licensed under CC BY-ND 4.0 (https://creativecommons.org/licenses/by-nd/4.0/)
+ *
+ * Parser and pre-flight validator for Silicon Labs Gecko Bootloader (GBL) images. See Silicon Labs UG266/UG489 for
+ * a description of the file format.
+ *
+ * SPDX-License-Identifier: CC-BY-ND-4.0
+ * SPDX-FileCopyrightText: Copyright (c) 2023 Zero Byte LLC (hello@zerobytellc.com) All Rights Reserved
+ *
+ * @author Timothy C Sweeney-Fanelli, Zero Byte LLC (tim@zerobytellc.com)
+ */
+
+import {ZeroByteErrorCodes} from './ZeroByteErrorCodes';
+
+/*
+ * GBL files are a sequence of tags. Every tag is a 32-bit tag id, a 32-bit length, and then length bytes of data.
+ * All values are little-endian. The first tag is always the header tag and the last tag is always the end tag.
+ */
+const GBL_TAG_HEADER             = 0x03A617EB;
+const GBL_TAG_APPLICATION        = 0xF40A0AF4;
+const GBL_TAG_BOOTLOADER         = 0xF50909F5;
+const GBL_TAG_SE_UPGRADE         = 0x5EA617EB;
+const GBL_TAG_METADATA           = 0xF60808F6;
+const GBL_TAG_PROG               = 0xFE0101FE;
+const GBL_TAG_ERASEPROG          = 0xFD0303FD;
+const GBL_TAG_PROG_LZ4           = 0xFD0505FD;
+const GBL_TAG_PROG_LZMA          = 0xFD0707FD;
+const GBL_TAG_VERSION_DEPENDENCY = 0x76A617EB;
+const GBL_TAG_ENC_INIT           = 0xFA0606FA;
+const GBL_TAG_ENC_DATA           = 0xF90707F9;
+const GBL_TAG_CERTIFICATE        = 0xF30B0BF3;
+const GBL_TAG_SIGNATURE          = 0xF70A0AF7;
+const GBL_TAG_END                = 0xFC0404FC;
+
+const GBL_TAG_NAMES = Object.freeze({
+    [GBL_TAG_HEADER]:             'header',
+    [GBL_TAG_APPLICATION]:        'application',
+    [GBL_TAG_BOOTLOADER]:         'bootloader',
+    [GBL_TAG_SE_UPGRADE]:         'se_upgrade',
+    [GBL_TAG_METADATA]:           'metadata',
+    [GBL_TAG_PROG]:               'program_data',
+    [GBL_TAG_ERASEPROG]:          'program_data',
+    [GBL_TAG_PROG_LZ4]:           'program_data_lz4',
+    [GBL_TAG_PROG_LZMA]:          'program_data_lzma',
+    [GBL_TAG_VERSION_DEPENDENCY]: 'version_dependency',
+    [GBL_TAG_ENC_INIT]:           'encryption_init',
+    [GBL_TAG_ENC_DATA]:           'encrypted_data',
+    [GBL_TAG_CERTIFICATE]:        'certificate',
+    [GBL_TAG_SIGNATURE]:          'signature',
+    [GBL_TAG_END]:                'end',
+});
+
+// Flags in the header tag's type field
+const GBL_TYPE_ENCRYPTED = 0x00000001;
+const GBL_TYPE_SIGNED    = 0x00000100;
+
+const GBL_TAG_HEADER_SIZE = 8;
+
+/**
+ * Describes the application info tag of a GBL image.
+ *
+ * @typedef GBLApplicationInfo
+ * @property {number} type          Bitmask of the application types (zigbee, thread, bluetooth, ...)
+ * @property {number} version       The application version, as stored in the application properties
+ * @property {number} capabilities  The application capabilities bitmask
+ * @property {string} productId     The 16-byte product id, as a hex string
+ */
+
+/**
+ * Metadata describing a GBL image.
+ *
+ * @typedef GBLInfo
+ * @property {number} gblVersion                The GBL format version from the header tag
+ * @property {string} imageType                 'application', 'bootloader', 'se', 'combined' or 'unknown'
+ * @property {string[]} components              The components found in the image, e.g. ['bootloader', 'application']
+ * @property {GBLApplicationInfo} application   The application info tag, if present
+ * @property {number} appVersion                The application version, if present
+ * @property {number} bootloaderVersion         The bootloader version from the bootloader upgrade tag, if present
+ * @property {number} seVersion                 The secure element version from the SE upgrade tag, if present
+ * @property {boolean} signed                   true if the image carries a signature tag
+ * @property {boolean} encrypted                true if the image payload is encrypted
+ * @property {number} crc32                     The CRC32 stored in the end tag
+ * @property {number} size                      The size of the image in bytes
+ * @property {object[]} tags                    Every tag in the image as {id, name, offset, length}
+ */
+
+let crc32_table;
+
+/**
+ * Updates a running CRC32 with bytes[start..end). Start with 0xFFFFFFFF, and finish with {@link _crc32_final}.
+ */
+function _crc32_update(crc, bytes, start, end) {
+    if ( crc32_table === undefined ) {
+        crc32_table = new Uint32Array(256);
+        for (let n = 0; n < 256; ++n) {
+            let c = n;
+            for (let k = 0; k < 8; ++k)
+                c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+            crc32_table[n] = c >>> 0;
+        }
+    }
+
+    for (let i = start; i < end; ++i)
+        crc = crc32_table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+
+    return crc;
+}
+
+function _crc32_final(crc) {
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function _malformed(message) {
+    console.log('ZeroByteGBL ERROR: %s', message);
+    return ZeroByteErrorCodes.FIRMWARE_BUNDLE_MALFORMED;
+}
+
+function _hex(bytes) {
+    return Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+/*
+ * The number of bytes of each tag's data which are decoded. The rest of the data, e.g. program data, is only checksummed.
+ */
+const GBL_TAG_FIELDS_SIZE = Object.freeze({
+    [GBL_TAG_HEADER]:       8,
+    [GBL_TAG_APPLICATION]:  28,
+    [GBL_TAG_BOOTLOADER]:   8,
+    [GBL_TAG_SE_UPGRADE]:   8,
+    [GBL_TAG_END]:          4,
+});
+
+/**
+ * Checks the length of a tag, which is known as soon as its tag header has been read.
+ *
+ * @throws {ZeroByteErrorCodes} FIRMWARE_BUNDLE_MALFORMED if the tag is out of place or too short
+ */
+function _check_tag(id, length, offset) {
+    if ( offset === 0 && id !== GBL_TAG_HEADER )
+        throw _malformed('Image does not begin with a GBL header tag');
+
+    switch ( id ) {
+        case GBL_TAG_HEADER:
+            if ( offset !== 0 )
+                throw _malformed(`Unexpected header tag at offset ${offset}`);
+            if ( length < 8 )
+                throw _malformed('Header tag is too short');
+            break;
+
+        case GBL_TAG_APPLICATION:
+            if ( length < 12 )
+                throw _malformed('Application info tag is too short');
+            break;
+
+        case GBL_TAG_BOOTLOADER:
+            if ( length < 8 )
+                throw _malformed('Bootloader upgrade tag is too short');
+            break;
+
+        case GBL_TAG_SE_UPGRADE:
+            if ( length < 8 )
+                throw _malformed('SE upgrade tag is too short');
+            break;
+
+        case GBL_TAG_PROG:
+        case GBL_TAG_ERASEPROG:
+        case GBL_TAG_PROG_LZ4:
+        case GBL_TAG_PROG_LZMA:
+            if ( length < 4 )
+                throw _malformed(`Program data tag at offset ${offset} is too short`);
+            break;
+
+        case GBL_TAG_END:
+            if ( length !== 4 )
+                throw _malformed(`End tag has length ${length}, expected 4`);
+            break;
+    }
+}
+
+/**
+ * Records what a tag says about the image, once its decoded fields have been read.
+ */
+function _read_tag(info, tag, fields) {
+    let view = new DataView(fields.buffer, fields.byteOffset, fields.byteLength);
+    switch ( tag.id ) {
+        case GBL_TAG_HEADER:
+            info.gblVersion = view.getUint32(0, true);
+            tag.headerType = view.getUint32(4, true);
+            break;
+
+        case GBL_TAG_APPLICATION:
+            info.application = {
+                type: view.getUint32(0, true),
+                version: view.getUint32(4, true),
+                capabilities: view.getUint32(8, true),
+                productId: _hex(fields.subarray(12, 28)),
+            };
+            info.appVersion = info.application.version;
+            break;
+
+        case GBL_TAG_BOOTLOADER:
+            info.bootloaderVersion = view.getUint32(0, true);
+            info.components.push('bootloader');
+            break;
+
+        case GBL_TAG_SE_UPGRADE:
+            info.seVersion = view.getUint32(4, true);
+            info.components.push('se');
+            break;
+
+        case GBL_TAG_PROG:
+        case GBL_TAG_ERASEPROG:
+        case GBL_TAG_PROG_LZ4:
+        case GBL_TAG_PROG_LZMA:
+            if ( !info.components.includes('application') )
+                info.components.push('application');
+            break;
+
+        case GBL_TAG_ENC_INIT:
+        case GBL_TAG_ENC_DATA:
+            info.encrypted = true;
+            break;
+
+        case GBL_TAG_SIGNATURE:
+            info.signed = true;
+            break;
+
+        case GBL_TAG_END:
+            info.crc32 = view.getUint32(0, true);
+            break;
+
+        default:
+            // Metadata, certificates, version dependencies and tags we do not know about are carried along.
+            break;
+    }
+}
+
+/**
+ * Creates a parser which walks the tag structure of a GBL image as it is pushed in chunks of any size. Only the tag
+ * headers and the few fields which are decoded are buffered, and the CRC32 is computed as the bytes go by, so images
+ * are validated without holding them in memory.
+ *
+ * @returns {{push: function(Uint8Array), end: function(): GBLInfo}}
+ *          push() throws as soon as the image is found to be malformed, and end() completes the validation
+ */
+function _gbl_parser() {
+    let info = {
+        gblVersion: undefined,
+        imageType: 'unknown',
+        components: [],
+        application: undefined,
+        appVersion: undefined,
+        bootloaderVersion: undefined,
+        seVersion: undefined,
+        signed: false,
+        encrypted: false,
+        crc32: undefined,
+        size: 0,
+        tags: [],
+    };
+
+    let crc = 0xFFFFFFFF;
+    let header = new Uint8Array(GBL_TAG_HEADER_SIZE);
+    let headerFilled = 0;
+    let headerType = 0;
+    let offset = 0;     // The offset of the tag being read
+    let tag;            // The tag whose data is being read: {id, length, remaining, fields, filled}
+    let ended = false;
+    let trailing = 0;
+
+    let finish_tag = () => {
+        _read_tag(info, tag, tag.fields);
+        if ( tag.id === GBL_TAG_HEADER )
+            headerType = tag.headerType;
+
+        ended = tag.id === GBL_TAG_END;
+        offset += GBL_TAG_HEADER_SIZE + tag.length;
+        tag = undefined;
+    };
+
+    let push = (chunk) => {
+        if ( !(chunk instanceof Uint8Array) )
+            chunk = Uint8Array.from(chunk);
+
+        info.size += chunk.length;
+        let pos = 0;
+        while ( pos < chunk.length ) {
+            if ( ended ) {
+                trailing += chunk.length - pos;
+                break;
+            }
+
+            if ( tag === undefined ) {
+                let n = Math.min(GBL_TAG_HEADER_SIZE - headerFilled, chunk.length - pos);
+                header.set(chunk.subarray(pos, pos + n), headerFilled);
+                crc = _crc32_update(crc, chunk, pos, pos + n);
+                headerFilled += n;
+                pos += n;
+                if ( headerFilled < GBL_TAG_HEADER_SIZE )
+                    continue;
+
+                let view = new DataView(header.buffer);
+                let id = view.getUint32(0, true);
+                let length = view.getUint32(4, true);
+                headerFilled = 0;
+
+                _check_tag(id, length, offset);
+                info.tags.push({id: id, name: GBL_TAG_NAMES[id] || 'unknown', offset: offset, length: length});
+                tag = {id: id, length: length, remaining: length, fields: new Uint8Array(Math.min(length, GBL_TAG_FIELDS_SIZE[id] || 0)), filled: 0};
+            } else {
+                let n = Math.min(tag.remaining, chunk.length - pos);
+                let decoded = Math.min(tag.fields.length - tag.filled, n);
+                tag.fields.set(chunk.subarray(pos, pos + decoded), tag.filled);
+                tag.filled += decoded;
+
+                // The CRC32 covers the whole image up to the checksum in the end tag
+                if ( tag.id !== GBL_TAG_END )
+                    crc = _crc32_update(crc, chunk, pos, pos + n);
+
+                tag.remaining -= n;
+                pos += n;
+            }
+
+            if ( tag !== undefined && tag.remaining === 0 )
+                finish_tag();
+        }
+    };
+
+    let end = () => {
+        if ( tag !== undefined )
+            throw _malformed(`Tag 0x${tag.id.toString(16)} at offset ${offset} claims ${tag.length} bytes, but the image ends after ${tag.length - tag.remaining} of them`);
+
+        if ( !ended )
+            throw _malformed(`Image is truncated at offset ${offset}, no end tag found`);
+
+        if ( info.application !== undefined && !info.components.includes('application') && !info.encrypted )
+            throw _malformed('Image has an application info tag but no program data');
+
+        let computed = _crc32_final(crc);
+        if ( computed !== info.crc32 ) {
+            console.log('ZeroByteGBL ERROR: CRC32 mismatch, end tag has 0x%s but image computes to 0x%s', info.crc32.toString(16), computed.toString(16));
+            throw ZeroByteErrorCodes.FIRMWARE_BUNDLE_CRC_MISMATCH;
+        }
+
+        if ( trailing > 0 )
+            console.log('ZeroByteGBL WARNING: Ignoring %d bytes after the end tag', trailing);
+
+        info.encrypted ||= (headerType & GBL_TYPE_ENCRYPTED) !== 0;
+        if ( (headerType & GBL_TYPE_SIGNED) !== 0 && !info.signed )
+            throw _malformed('Header declares a signed image, but no signature tag was found');
+
+        if ( info.components.length === 0 && info.application !== undefined )
+            info.components.push('application');
+
+        if ( info.components.length === 1 )
+            info.imageType = info.components[0];
+        else if ( info.components.length > 1 )
+            info.imageType = 'combined';
+
+        return info;
+    };
+
+    return {push: push, end: end};
+}
+
+/**
+ * Walks the tag structure of a GBL image and validates it, including the CRC32 in the end tag.
+ *
+ * @param {Uint8Array} bytes    The contents of the GBL file
+ * @returns {GBLInfo}           Metadata describing the image
+ * @throws {ZeroByteErrorCodes} FIRMWARE_BUNDLE_MALFORMED if the image is not a well formed GBL file,
+ *                              FIRMWARE_BUNDLE_CRC_MISMATCH if the CRC32 in the end tag does not match the image.
+ */
+function parse_gbl(bytes) {
+    let parser = _gbl_parser();
+    parser.push(bytes);
+    return parser.end();
+}
+
+/**
+ * Like {@link parse_gbl}, but reads the image in chunks, e.g. from {@link FileStore}.readStream, so that the image is
+ * never held in memory as a whole.
+ *
+ * @param {AsyncIterable<Uint8Array>} chunks    The contents of the GBL file
+ * @returns {Promise<GBLInfo>}                  Metadata describing the image
+ * @throws {ZeroByteErrorCodes} FIRMWARE_BUNDLE_MALFORMED or FIRMWARE_BUNDLE_CRC_MISMATCH, as parse_gbl
+ */
+async function parse_gbl_stream(chunks) {
+    let parser = _gbl_parser();
+    for await (let chunk of chunks)
+        parser.push(chunk);
+
+    return parser.end();
+}
+
+export { parse_gbl, parse_gbl_stream };
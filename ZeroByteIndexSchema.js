@@ -0,0 +1,297 @@
+/*
+ * ZeroByteIndexSchema.js
+ *
+ * Copyright (c) 2023 Zero Byte LLC, All Rights Reserved
+ * Licensed under CC BY-ND 4.0 (https://creativecommons.org/licenses/by-nd/4.0/)
+ *
+ * Validates the structure of a firmware index, in either of its formats. See the FirmwareIndex, DeviceFirmware and
+ * FirmwareInfo typedefs in ZeroByteFirmwareUtils.js for the formats.
+ *
+ * SPDX-License-Identifier: CC-BY-ND-4.0
+ * SPDX-FileCopyrightText: Copyright (c) 2023 Zero Byte LLC (hello@zerobytellc.com) All Rights Reserved
+ *
+ * @author Timothy C Sweeney-Fanelli, Zero Byte LLC (tim@zerobytellc.com)
+ */
+
+import {newest_fw_version} from './ZeroByteVersions';
+
+// The current version of the firmware index format. Indices without a "schema" key are version 1.
+const FW_INDEX_SCHEMA = 2;
+
+// The keys of a DeviceFirmware which are not firmware entries
+const MODEL_KEYS = ['latest', 'rollout'];
+
+const IDENTIFIER = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+const MD5 = /^[0-9a-fA-F]{32}$/;
+const SHA256 = /^[0-9a-fA-F]{64}$/;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+const URL_SCHEME = /^https?:\/\/[^\s/]+/i;
+
+/**
+ * A problem found in a firmware index.
+ *
+ * @typedef IndexProblem
+ * @property {string} path      The JSON path of the offending value, e.g. '$.kraken["20240601.abc1234"].url'
+ * @property {string} message   What is wrong with it
+ */
+
+/**
+ * Returns the firmware listed for each model in a firmware index. Version 1 indices list the models at the top level,
+ * version 2 indices under "devices".
+ *
+ * @param {FirmwareIndex} fw_index  The parsed firmware index, of either version
+ * @returns {object}                The {@link DeviceFirmware} of each model, keyed by model name
+ */
+function fw_index_devices(fw_index) {
+    return fw_index.schema === undefined ? fw_index : fw_index.devices;
+}
+
+/**
+ * @param {DeviceFirmware} model_infos  The firmware listed in the index for a model
+ * @returns {string[]}                  The keys of its firmware entries, i.e. all keys but `latest` and `rollout`
+ */
+function fw_entry_keys(model_infos) {
+    return Object.keys(model_infos).filter((key) => !MODEL_KEYS.includes(key));
+}
+
+function _path(parent, key) {
+    if ( typeof key === 'number' )
+        return `${parent}[${key}]`;
+
+    return IDENTIFIER.test(key) ? `${parent}.${key}` : `${parent}[${JSON.stringify(key)}]`;
+}
+
+function _is_object(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function _describe(value) {
+    if ( value === null ) return 'null';
+    if ( Array.isArray(value) ) return 'an array';
+    return typeof value === 'object' ? 'an object' : `${typeof value} ${JSON.stringify(value)}`;
+}
+
+function _optional_string(problems, info, key, path) {
+    if ( info[key] !== undefined && typeof info[key] !== 'string' )
+        problems.push({path: _path(path, key), message: `must be a string, found ${_describe(info[key])}`});
+}
+
+/**
+ * Checks that `entry` names a firmware entry of the model.
+ */
+function _check_reference(problems, model_infos, entry, path) {
+    if ( typeof entry !== 'string' ) {
+        problems.push({path: path, message: `must be the key of a firmware entry, found ${_describe(entry)}`});
+        return false;
+    }
+
+    if ( MODEL_KEYS.includes(entry) || !_is_object(model_infos[entry]) ) {
+        problems.push({path: path, message: `references firmware entry "${entry}", which is not listed`});
+        return false;
+    }
+
+    return true;
+}
+
+function _validate_entry(problems, model_infos, info, path) {
+    if ( !_is_object(info) ) {
+        problems.push({path: path, message: `must be a firmware entry object, found ${_describe(info)}`});
+        return;
+    }
+
+    if ( info.url === undefined )
+        problems.push({path: _path(path, 'url'), message: 'is required'});
+    else if ( typeof info.url !== 'string' || !URL_SCHEME.test(info.url) )
+        problems.push({path: _path(path, 'url'), message: `must be an http(s) URL, found ${_describe(info.url)}`});
+
+    if ( info.md5 !== undefined && (typeof info.md5 !== 'string' || !MD5.test(info.md5)) )
+        problems.push({path: _path(path, 'md5'), message: `must be 32 hexadecimal digits, found ${_describe(info.md5)}`});
+
+    if ( info.sha256 !== undefined && (typeof info.sha256 !== 'string' || !SHA256.test(info.sha256)) )
+        problems.push({path: _path(path, 'sha256'), message: `must be 64 hexadecimal digits, found ${_describe(info.sha256)}`});
+
+    if ( info.size !== undefined && !(Number.isInteger(info.size) && info.size >= 0) )
+        problems.push({path: _path(path, 'size'), message: `must be a non-negative integer, found ${_describe(info.size)}`});
+
+    if ( info.released !== undefined
+         && (typeof info.released !== 'string' || !ISO_DATE.test(info.released) || isNaN(Date.parse(info.released))) )
+        problems.push({path: _path(path, 'released'), message: `must be an ISO 8601 date, found ${_describe(info.released)}`});
+
+    if ( info.critical !== undefined && typeof info.critical !== 'boolean' )
+        problems.push({path: _path(path, 'critical'), message: `must be true or false, found ${_describe(info.critical)}`});
+
+    if ( info.notes !== undefined ) {
+        let notes_path = _path(path, 'notes');
+        if ( _is_object(info.notes) )
+            Object.keys(info.notes).forEach((locale) => _optional_string(problems, info.notes, locale, notes_path));
+        else if ( typeof info.notes !== 'string' )
+            problems.push({path: notes_path, message: `must be a string, or an object of strings keyed by locale, found ${_describe(info.notes)}`});
+    }
+
+    _optional_string(problems, info, 'name', path);
+    _optional_string(problems, info, 'version', path);
+    _optional_string(problems, info, 'component', path);
+    _optional_string(problems, info, 'min_hw_revision', path);
+
+    if ( info.compatible !== undefined ) {
+        let compatible_path = _path(path, 'compatible');
+        if ( !Array.isArray(info.compatible) || info.compatible.length === 0 )
+            problems.push({path: compatible_path, message: `must be a non-empty array of hardware revisions, found ${_describe(info.compatible)}`});
+        else
+            info.compatible.forEach((revision, i) => {
+                if ( typeof revision !== 'string' || revision.trim() === '' )
+                    problems.push({path: _path(compatible_path, i), message: `must be a hardware revision, found ${_describe(revision)}`});
+            });
+    }
+
+    if ( info.apploader !== undefined )
+        _check_reference(problems, model_infos, info.apploader, _path(path, 'apploader'));
+
+    if ( info.requires !== undefined ) {
+        let requires_path = _path(path, 'requires');
+        if ( !Array.isArray(info.requires) ) {
+            problems.push({path: requires_path, message: `must be an array, found ${_describe(info.requires)}`});
+            return;
+        }
+
+        info.requires.forEach((requirement, i) => {
+            let requirement_path = _path(requires_path, i);
+            if ( !_is_object(requirement) ) {
+                problems.push({path: requirement_path, message: `must be a requirement object, found ${_describe(requirement)}`});
+                return;
+            }
+
+            if ( requirement.entry === undefined )
+                problems.push({path: _path(requirement_path, 'entry'), message: 'is required'});
+            else
+                _check_reference(problems, model_infos, requirement.entry, _path(requirement_path, 'entry'));
+
+            _optional_string(problems, requirement, 'component', requirement_path);
+            _optional_string(problems, requirement, 'min_version', requirement_path);
+        });
+    }
+}
+
+function _validate_rollout(problems, model_infos, rollout, path) {
+    if ( !Array.isArray(rollout) ) {
+        problems.push({path: path, message: `must be an array of rollout stages, found ${_describe(rollout)}`});
+        return;
+    }
+
+    rollout.forEach((stage, i) => {
+        let stage_path = _path(path, i);
+        if ( !_is_object(stage) ) {
+            problems.push({path: stage_path, message: `must be a rollout stage object, found ${_describe(stage)}`});
+            return;
+        }
+
+        if ( stage.version === undefined )
+            problems.push({path: _path(stage_path, 'version'), message: 'is required'});
+        else
+            _check_reference(problems, model_infos, stage.version, _path(stage_path, 'version'));
+
+        if ( stage.percent !== undefined && !(typeof stage.percent === 'number' && stage.percent >= 0 && stage.percent <= 100) )
+            problems.push({path: _path(stage_path, 'percent'), message: `must be a number from 0 to 100, found ${_describe(stage.percent)}`});
+
+        if ( stage.allow !== undefined ) {
+            if ( !Array.isArray(stage.allow) )
+                problems.push({path: _path(stage_path, 'allow'), message: `must be an array of device ids, found ${_describe(stage.allow)}`});
+            else
+                stage.allow.forEach((id, j) => {
+                    if ( typeof id !== 'string' || id.trim() === '' )
+                        problems.push({path: _path(_path(stage_path, 'allow'), j), message: `must be a device id, found ${_describe(id)}`});
+                });
+        }
+
+        if ( stage.percent === undefined && stage.allow === undefined )
+            problems.push({path: stage_path, message: 'must declare a percent or an allow list'});
+    });
+}
+
+/**
+ * Reports entries of a model which (indirectly) require themselves, through `apploader` or `requires`.
+ */
+function _check_cycles(problems, model_infos, path) {
+    let dependencies = (info) => [
+        ...(typeof info.apploader === 'string' ? [info.apploader] : []),
+        ...(Array.isArray(info.requires) ? info.requires.filter(_is_object).map((r) => r.entry) : []),
+    ].filter((entry) => !MODEL_KEYS.includes(entry) && _is_object(model_infos[entry]));
+
+    let done = new Set();
+    let visit = (entry, trail) => {
+        if ( trail.includes(entry) ) {
+            let cycle = trail.slice(trail.indexOf(entry)).concat(entry);
+            problems.push({path: _path(path, entry), message: `requires itself: ${cycle.join(' -> ')}`});
+            return;
+        }
+        if ( done.has(entry) )
+            return;
+
+        dependencies(model_infos[entry]).forEach((dependency) => visit(dependency, trail.concat(entry)));
+        done.add(entry);
+    };
+
+    fw_entry_keys(model_infos).filter((key) => _is_object(model_infos[key])).forEach((key) => visit(key, []));
+}
+
+function _validate_model(problems, model_infos, path) {
+    if ( !_is_object(model_infos) ) {
+        problems.push({path: path, message: `must be an object listing firmware versions, found ${_describe(model_infos)}`});
+        return;
+    }
+
+    let versions = fw_entry_keys(model_infos);
+    if ( versions.length === 0 )
+        problems.push({path: path, message: 'lists no firmware versions'});
+
+    if ( model_infos.latest !== undefined ) {
+        _check_reference(problems, model_infos, model_infos.latest, _path(path, 'latest'));
+    } else if ( versions.length > 0 && newest_fw_version(versions) === undefined ) {
+        problems.push({path: path, message: 'has no "latest" version, and its versions can not be ordered to find it'});
+    }
+
+    if ( model_infos.rollout !== undefined )
+        _validate_rollout(problems, model_infos, model_infos.rollout, _path(path, 'rollout'));
+
+    versions.forEach((version) => _validate_entry(problems, model_infos, model_infos[version], _path(path, version)));
+    _check_cycles(problems, model_infos, path);
+}
+
+/**
+ * Validates the structure of a firmware index, and collects every problem found.
+ *
+ * Checked are: the schema version is supported; every model lists firmware entries; `latest` names a listed entry, or
+ * the versions can be ordered to find the latest; rollout stages name listed entries; every entry has an http(s) `url`; the checksums, release metadata
+ * and hardware compatibility are well formed; `apploader` and `requires` reference listed entries, without cycles.
+ *
+ * @param {FirmwareIndex} fw_index  The parsed firmware index
+ * @returns {IndexProblem[]}        The problems found, empty if the index is valid
+ */
+function validate_fw_index(fw_index) {
+    let problems = [];
+    if ( !_is_object(fw_index) ) {
+        problems.push({path: '$', message: `must be an object listing device models, found ${_describe(fw_index)}`});
+        return problems;
+    }
+
+    let devices = fw_index;
+    let devices_path = '$';
+    if ( fw_index.schema !== undefined ) {
+        if ( fw_index.schema !== FW_INDEX_SCHEMA ) {
+            problems.push({path: '$.schema', message: `must be ${FW_INDEX_SCHEMA}, found ${_describe(fw_index.schema)}`});
+            return problems;
+        }
+
+        devices = fw_index.devices;
+        devices_path = '$.devices';
+        if ( !_is_object(devices) ) {
+            problems.push({path: devices_path, message: `must be an object listing device models, found ${_describe(devices)}`});
+            return problems;
+        }
+    }
+
+    Object.keys(devices).forEach((model_name) => _validate_model(problems, devices[model_name], _path(devices_path, model_name)));
+    return problems;
+}
+
+export { FW_INDEX_SCHEMA, fw_index_devices, fw_entry_keys, validate_fw_index };
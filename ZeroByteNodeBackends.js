@@ -0,0 +1,329 @@
+/*
+ * ZeroByteNodeBackends.js
+ *
+ * Copyright (c) 2023 Zero Byte LLC, All Rights Reserved
+ * Licensed under CC BY-ND 4.0 (https://creativecommons.org/licenses/by-nd/4.0/)
+ *
+ * HTTP and file storage backends for Node, on top of the http, https and fs modules. This module is not exported from
+ * index.js, since React Native can not bundle Node's built-in modules. Import it directly from Node:
+ *
+ *   import {NodeHttpClient, NodeFileStore} from '@zerobytellc/zerobyte-firmware-utils/ZeroByteNodeBackends';
+ *
+ * SPDX-License-Identifier: CC-BY-ND-4.0
+ * SPDX-FileCopyrightText: Copyright (c) 2023 Zero Byte LLC (hello@zerobytellc.com) All Rights Reserved
+ *
+ * @author Timothy C Sweeney-Fanelli, Zero Byte LLC (tim@zerobytellc.com)
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import https from 'https';
+import os from 'os';
+import path from 'path';
+
+const MAX_REDIRECTS = 5;
+
+/**
+ * Issues a GET request, following redirects. Resolves to the http.IncomingMessage of the final response.
+ */
+function _get(url: string, options: Object, redirects: number = 0): Promise<Object> {
+    return new Promise((resolve, reject) => {
+        let signal = options.signal;
+        if ( signal && signal.aborted )
+            return reject(new Error('Request aborted'));
+
+        let client = url.startsWith('https:') ? https : http;
+        let request = client.get(url, {headers: options.headers || {}}, (response) => {
+            // Aborting destroys the request, and with it the response body, until the body has been read
+            if ( signal )
+                response.on('close', () => signal.removeEventListener('abort', onAbort));
+
+            let location = response.headers.location;
+            if ( response.statusCode >= 300 && response.statusCode < 400 && location ) {
+                response.resume();
+                if ( redirects >= MAX_REDIRECTS )
+                    return reject(new Error(`Too many redirects fetching ${url}`));
+
+                return resolve(_get(new URL(location, url).toString(), options, redirects + 1));
+            }
+
+            resolve(response);
+        });
+
+        let onAbort = () => request.destroy(new Error('Request aborted'));
+        if ( signal )
+            signal.addEventListener('abort', onAbort);
+
+        request.on('error', (error) => {
+            if ( signal )
+                signal.removeEventListener('abort', onAbort);
+            reject(error);
+        });
+    });
+}
+
+function _temp_path(extension: ?string): string {
+    let ext = extension ? `.${extension}` : '';
+    return path.join(os.tmpdir(), `zerobyte-fw-${crypto.randomBytes(8).toString('hex')}${ext}`);
+}
+
+async function _read_body(response: Object): Promise<string> {
+    let chunks = [];
+    for await (let chunk of response)
+        chunks.push(chunk);
+
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * An {@link HttpClient} on top of Node's http and https modules.
+ */
+class NodeHttpClient {
+    async fetch(url: string, options: Object = {}): Promise<Object> {
+        let response = await _get(url, options);
+        let body;
+        let text = () => {
+            if ( body === undefined )
+                body = _read_body(response);
+            return body;
+        };
+
+        return {
+            status: response.statusCode,
+            ok: response.statusCode >= 200 && response.statusCode < 300,
+            headers: {
+                get: (name) => {
+                    let value = response.headers[name.toLowerCase()];
+                    return value === undefined ? null : String(value);
+                },
+            },
+            text: text,
+            json: async () => JSON.parse(await text()),
+        };
+    }
+
+    async download(url: string, options: Object = {}): Promise<Object> {
+        let response = await _get(url, options);
+        if ( response.statusCode < 200 || response.statusCode >= 300 ) {
+            response.resume();
+            return {status: response.statusCode, path: undefined};
+        }
+
+        let target = options.path;
+        if ( target === undefined )
+            target = _temp_path(options.appendExt);
+
+        let total = response.headers['content-length'] !== undefined ? Number(response.headers['content-length']) : -1;
+        let received = 0;
+
+        await new Promise((resolve, reject) => {
+            let file = fs.createWriteStream(target, {flags: options.append ? 'a' : 'w'});
+            let failed = false;
+            let closed = false;
+            file.on('close', () => { closed = true; });
+
+            // The file is closed before the download fails, so nothing from this attempt is written after it. Resuming
+            // appends to the file, and must not interleave with data still buffered here.
+            let fail = (error) => {
+                if ( failed )
+                    return;
+
+                failed = true;
+                response.unpipe(file);
+                file.destroy();
+                if ( closed )
+                    reject(error);
+                else
+                    file.once('close', () => reject(error));
+            };
+
+            response.on('data', (chunk) => {
+                received += chunk.length;
+                if ( options.onProgress )
+                    options.onProgress(received, total);
+            });
+            response.on('error', fail);
+            response.on('aborted', () => fail(new Error('Download aborted')));
+            response.on('close', () => {
+                if ( !response.complete )
+                    fail(new Error('Download aborted'));
+            });
+            file.on('error', fail);
+            file.on('finish', () => {
+                if ( !failed )
+                    resolve();
+            });
+            response.pipe(file);
+        });
+
+        return {status: response.statusCode, path: target};
+    }
+}
+
+/**
+ * A {@link FileStore} on top of Node's fs module.
+ */
+class NodeFileStore {
+    async stat(file: string): Promise<Object> {
+        let stats = await fs.promises.stat(file);
+        return {path: file, size: stats.size, lastModified: stats.mtimeMs};
+    }
+
+    async* readStream(file: string, options: Object = {}) {
+        for await (let chunk of fs.createReadStream(file, {highWaterMark: options.bufferSize || 4096}))
+            yield new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+    }
+
+    hash(file: string, algorithm: string): Promise<string> {
+        return new Promise((resolve, reject) => {
+            let hash = crypto.createHash(algorithm);
+            fs.createReadStream(file)
+                .on('error', reject)
+                .on('data', (chunk) => hash.update(chunk))
+                .on('end', () => resolve(hash.digest('hex')));
+        });
+    }
+
+    async exists(file: string): Promise<boolean> {
+        return fs.promises.access(file).then(() => true, () => false);
+    }
+
+    unlink(file: string): Promise<void> {
+        return fs.promises.unlink(file);
+    }
+
+    ls(dir: string): Promise<string[]> {
+        return fs.promises.readdir(dir);
+    }
+
+    async tempPath(extension: string): Promise<string> {
+        return _temp_path(extension);
+    }
+}
+
+/**
+ * An {@link IndexCache} which keeps each index as a JSON file in a directory, so it outlives the process.
+ */
+class NodeIndexCache {
+    dir: string;
+
+    constructor(dir: string) {
+        this.dir = dir;
+    }
+
+    _file(url: string): string {
+        return path.join(this.dir, crypto.createHash('sha256').update(url).digest('hex') + '.json');
+    }
+
+    async get(url: string): Promise<?Object> {
+        let text;
+        try {
+            text = await fs.promises.readFile(this._file(url), 'utf8');
+        } catch (error) {
+            if ( error.code === 'ENOENT' )
+                return undefined;
+            throw error;
+        }
+
+        let entry = JSON.parse(text);
+        return entry.url === url ? entry.index : undefined;
+    }
+
+    async set(url: string, index: Object): Promise<void> {
+        let file = this._file(url);
+        await fs.promises.mkdir(this.dir, {recursive: true});
+        await fs.promises.writeFile(`${file}.tmp`, JSON.stringify({url: url, index: index}));
+        await fs.promises.rename(`${file}.tmp`, file);
+    }
+}
+
+/**
+ * A {@link FirmwareCache} which keeps each bundle as `${dir}/${client}/${model}/${version}-${hash}.gbl`, next to a
+ * `.json` file holding the rest of its entry.
+ */
+class NodeFirmwareCache {
+    dir: string;
+
+    constructor(dir: string) {
+        this.dir = dir;
+    }
+
+    _file(key: Object): string {
+        return path.join(this.dir, encodeURIComponent(key.client), encodeURIComponent(key.model),
+            `${encodeURIComponent(key.version)}-${key.hash}`);
+    }
+
+    async _read(file: string): Promise<?Object> {
+        let text, stats;
+        try {
+            text = await fs.promises.readFile(`${file}.json`, 'utf8');
+            stats = await fs.promises.stat(`${file}.gbl`);
+        } catch (error) {
+            if ( error.code === 'ENOENT' )
+                return undefined;
+            throw error;
+        }
+
+        return {...JSON.parse(text), path: `${file}.gbl`, size: stats.size};
+    }
+
+    get(key: Object): Promise<?Object> {
+        return this._read(this._file(key));
+    }
+
+    async put(entry: Object, source: string): Promise<Object> {
+        let file = this._file(entry);
+        if ( source !== `${file}.gbl` ) {
+            await fs.promises.mkdir(path.dirname(file), {recursive: true});
+            try {
+                await fs.promises.rename(source, `${file}.gbl`);
+            } catch (error) {
+                // Temporary files are usually on another file system than the cache
+                if ( error.code !== 'EXDEV' )
+                    throw error;
+                await fs.promises.copyFile(source, `${file}.gbl`);
+                await fs.promises.unlink(source);
+            }
+        }
+
+        let stored = {...entry};
+        delete stored.path;
+        delete stored.size;
+        await fs.promises.writeFile(`${file}.json`, JSON.stringify(stored));
+        return this._read(file);
+    }
+
+    async list(): Promise<Object[]> {
+        let entries = [];
+        let ls = (dir) => fs.promises.readdir(dir).catch((error) => {
+            if ( error.code === 'ENOENT' || error.code === 'ENOTDIR' )
+                return [];
+            throw error;
+        });
+
+        for ( let client of await ls(this.dir) ) {
+            for ( let model of await ls(path.join(this.dir, client)) ) {
+                let dir = path.join(this.dir, client, model);
+                for ( let name of await ls(dir) ) {
+                    if ( !name.endsWith('.json') )
+                        continue;
+
+                    let entry = await this._read(path.join(dir, name.slice(0, -'.json'.length)));
+                    if ( entry !== undefined )
+                        entries.push(entry);
+                }
+            }
+        }
+
+        return entries;
+    }
+
+    async remove(key: Object): Promise<void> {
+        let file = this._file(key);
+        await fs.promises.rm(`${file}.json`, {force: true});
+        await fs.promises.rm(`${file}.gbl`, {force: true});
+    }
+}
+
+export { NodeHttpClient, NodeFileStore, NodeIndexCache, NodeFirmwareCache };
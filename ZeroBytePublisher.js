@@ -0,0 +1,538 @@
+/*
+ * ZeroBytePublisher.js
+ *
+ * Copyright (c) 2023 Zero Byte LLC, All Rights Reserved
+ * Licensed under CC BY-ND 4.0 (https://creativecommons.org/licenses/by-nd/4.0/)
+ *
+ * Generates and maintains firmware indices from directories of GBL files, in the layout get_latest_fw_info expects:
+ *
+ *   ${root}/${client_name}/channels.json
+ *   ${root}/${client_name}/${channel}/index.json
+ *   ${root}/${client_name}/${channel}/${model_name}/${file}.gbl
+ *
+ * where root is published at url_base. Like ZeroByteNodeBackends.js, this module is for Node and is not exported from
+ * index.js.
+ *
+ * SPDX-License-Identifier: CC-BY-ND-4.0
+ * SPDX-FileCopyrightText: Copyright (c) 2023 Zero Byte LLC (hello@zerobytellc.com) All Rights Reserved
+ *
+ * @author Timothy C Sweeney-Fanelli, Zero Byte LLC (tim@zerobytellc.com)
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+import {parse_gbl} from './ZeroByteGBL';
+import {compare_fw_versions, fw_versions_match, newest_fw_version} from './ZeroByteVersions';
+import {sign_fw_index} from './ZeroByteSignatures';
+import {FW_INDEX_SCHEMA, fw_entry_keys, fw_index_devices, validate_fw_index} from './ZeroByteIndexSchema';
+
+const url_index_file = 'index.json';
+const url_signature_suffix = '.sig';
+const url_channels_file = 'channels.json';
+const default_component = 'application';
+
+// A version at the end of a file name, e.g. kraken_appfw_20240601.abc1234.gbl or kraken_appfw-1.2.3.gbl
+const FILE_VERSION = /[_-]v?(\d{8}(?:\.[0-9a-zA-Z]+)?|\d+(?:\.\d+)+(?:-[0-9A-Za-z.]+)?)$/;
+
+/**
+ * Describes a firmware image found in a release directory.
+ *
+ * @typedef ReleaseFile
+ * @property {string} file          The path to the image
+ * @property {string} name          The firmware name, the file name without its version, e.g. 'kraken_appfw'
+ * @property {string} component     'application', 'apploader' or 'bootloader'
+ * @property {string} version       The firmware version
+ * @property {string} md5           The md5 sum of the image
+ * @property {string} sha256        The sha256 sum of the image
+ * @property {number} size          The size of the image in bytes
+ */
+
+function _index_dir(root, client_name, channel) {
+    return path.join(root, client_name, channel);
+}
+
+/**
+ * Reads the firmware index of a client and channel from a publishing root. A missing index is an empty index.
+ *
+ * @param {string} root         The local directory published at url_base
+ * @param {string} client_name  The name of the client
+ * @param {string} channel      The release channel
+ * @returns {Promise<FirmwareIndex>}
+ */
+async function read_fw_index(root, client_name, channel) {
+    let file = path.join(_index_dir(root, client_name, channel), url_index_file);
+    let text;
+    try {
+        text = await fs.promises.readFile(file, 'utf8');
+    } catch (error) {
+        if ( error.code === 'ENOENT' )
+            return {};
+        throw error;
+    }
+
+    return JSON.parse(text);
+}
+
+/**
+ * Writes the firmware index of a client and channel into a publishing root. The index is written to a temporary file
+ * first, so a partially written index is never published. An index which fails {@link validate_fw_index} is refused.
+ * The channel is added to the client's channels manifest, see {@link register_channel}.
+ *
+ * @param {string} root             The local directory published at url_base
+ * @param {string} client_name      The name of the client
+ * @param {string} channel          The release channel
+ * @param {FirmwareIndex} fw_index  The index to write
+ * @returns {Promise<string>}       The path of the index
+ */
+async function write_fw_index(root, client_name, channel, fw_index) {
+    let problems = validate_fw_index(fw_index);
+    if ( problems.length > 0 ) {
+        let details = problems.map((problem) => `  ${problem.path} ${problem.message}`).join('\n');
+        throw new Error(`Refusing to write a malformed firmware index for ${client_name} ${channel}:\n${details}`);
+    }
+
+    let dir = _index_dir(root, client_name, channel);
+    let file = path.join(dir, url_index_file);
+
+    await fs.promises.mkdir(dir, {recursive: true});
+    await fs.promises.writeFile(`${file}.tmp`, JSON.stringify(fw_index, null, 2) + '\n');
+    await fs.promises.rename(`${file}.tmp`, file);
+    await register_channel(root, client_name, channel);
+    return file;
+}
+
+/**
+ * Adds a channel to the channels manifest of a client, ${root}/${client_name}/channels.json, which list_channels reads.
+ * Channels already listed keep their position, new channels are appended.
+ *
+ * @param {string} root             The local directory published at url_base
+ * @param {string} client_name      The name of the client
+ * @param {string} channel          The release channel
+ * @returns {Promise<string[]>}     The channels listed in the manifest
+ */
+async function register_channel(root, client_name, channel) {
+    let file = path.join(root, client_name, url_channels_file);
+    let manifest = {channels: []};
+    try {
+        manifest = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (error) {
+        if ( error.code !== 'ENOENT' )
+            throw error;
+    }
+
+    if ( manifest === null || !Array.isArray(manifest.channels) )
+        throw new Error(`${file} does not list channels under "channels"`);
+
+    if ( !manifest.channels.includes(channel) ) {
+        manifest.channels.push(channel);
+        await fs.promises.writeFile(`${file}.tmp`, JSON.stringify(manifest, null, 2) + '\n');
+        await fs.promises.rename(`${file}.tmp`, file);
+    }
+
+    return manifest.channels;
+}
+
+/**
+ * Signs the firmware index of a client and channel in a publishing root, writing index.json.sig next to it. Sign the
+ * index again whenever it changes.
+ *
+ * @param {string} root                 The local directory published at url_base
+ * @param {string} client_name          The name of the client
+ * @param {string} channel              The release channel
+ * @param {string[]} secret_keys        Base64 encoded Ed25519 secret keys, see generate_signing_keys in ZeroByteSignatures.js.
+ *                                      The index is signed with each of them, e.g. with an old and a new key during rotation.
+ * @returns {Promise<string>}           The path of the signature file
+ */
+async function sign_published_index(root, client_name, channel, secret_keys) {
+    let file = path.join(_index_dir(root, client_name, channel), url_index_file);
+    let text = await fs.promises.readFile(file, 'utf8');
+    let signatures = secret_keys.map((key) => sign_fw_index(text, key));
+
+    // Like the index, the signature is replaced in one step, so clients never fetch a partly written one.
+    await fs.promises.writeFile(`${file}${url_signature_suffix}.tmp`, signatures.join('\n') + '\n');
+    await fs.promises.rename(`${file}${url_signature_suffix}.tmp`, file + url_signature_suffix);
+    return file + url_signature_suffix;
+}
+
+/**
+ * Refuses to change a signed index without signing keys. Its signature would no longer match, and every client
+ * requiring a signed index would reject the channel.
+ *
+ * @throws {Error} if the index of the channel is signed and no signing keys are given
+ */
+async function _require_signing_keys(root, client_name, channel, secret_keys) {
+    if ( secret_keys && secret_keys.length > 0 )
+        return;
+
+    let signature = path.join(_index_dir(root, client_name, channel), url_index_file) + url_signature_suffix;
+    let signed = await fs.promises.access(signature).then(() => true, () => false);
+    if ( signed )
+        throw new Error(`The ${channel} index of ${client_name} is signed, pass signing keys to update it, or remove ${signature}`);
+}
+
+function _component_of(name, gbl_info) {
+    if ( /apploader/i.test(name) )
+        return 'apploader';
+    if ( /bootloader/i.test(name) || gbl_info.imageType === 'bootloader' )
+        return 'bootloader';
+
+    return default_component;
+}
+
+/**
+ * Lists the GBL images in a release directory and describes each one.
+ *
+ * Images named *apploader* or *bootloader*, or holding only a bootloader, are apploader and bootloader images, all
+ * others are application images. The version of each application image is options.version if given. Otherwise, and
+ * for apploader and bootloader images always, it is the application version from the image's GBL application info tag
+ * if options.versionFromGbl is set, otherwise the version at the end of its file name.
+ *
+ * @param {string} dir          The release directory
+ * @param {object} options      (optional) {version: string, versionFromGbl: boolean}
+ * @returns {Promise<ReleaseFile[]>}
+ * @throws {Error}              if a file is not a valid GBL image, or its version can not be determined
+ */
+async function scan_release(dir, options = {}) {
+    let names = (await fs.promises.readdir(dir)).filter((name) => name.toLowerCase().endsWith('.gbl')).sort();
+    let files = [];
+
+    for (let name of names) {
+        let file = path.join(dir, name);
+        let bytes = await fs.promises.readFile(file);
+
+        let gbl_info;
+        try {
+            gbl_info = parse_gbl(bytes);
+        } catch (error) {
+            throw new Error(`${file} is not a valid GBL image: ${String(error)}`);
+        }
+
+        let base = path.basename(name, path.extname(name));
+        let match = FILE_VERSION.exec(base);
+        let component = _component_of(base, gbl_info);
+
+        // The release version only names the application ... apploaders and bootloaders keep their own versions.
+        let version = (component === default_component) ? options.version : undefined;
+        if ( version === undefined && options.versionFromGbl && gbl_info.appVersion !== undefined )
+            version = String(gbl_info.appVersion);
+        if ( version === undefined && match )
+            version = match[1];
+        if ( version === undefined )
+            throw new Error(`Unable to determine the version of ${file}, name it <name>_<version>.gbl or pass a version`);
+
+        files.push({
+            file: file,
+            name: match ? base.slice(0, match.index) : base,
+            component: component,
+            version: version,
+            md5: crypto.createHash('md5').update(bytes).digest('hex'),
+            sha256: crypto.createHash('sha256').update(bytes).digest('hex'),
+            size: bytes.length,
+        });
+    }
+
+    return files;
+}
+
+/**
+ * Converts a version 1 index to version 2 when schema is 2. Indices are never converted back, since version 2 entries
+ * may carry metadata version 1 can not.
+ */
+function _upgrade_fw_index(fw_index, schema) {
+    if ( schema !== undefined && schema !== 1 && schema !== FW_INDEX_SCHEMA )
+        throw new Error(`Unsupported firmware index schema ${schema}, expected 1 or ${FW_INDEX_SCHEMA}`);
+
+    if ( schema === FW_INDEX_SCHEMA && fw_index.schema === undefined )
+        return {schema: FW_INDEX_SCHEMA, devices: fw_index};
+
+    return fw_index;
+}
+
+function _application_versions(model_infos) {
+    return fw_entry_keys(model_infos).filter((key) => {
+        let info = model_infos[key];
+        return info !== null && typeof info === 'object' && (info.component || default_component) === default_component;
+    });
+}
+
+/**
+ * Whether a version can be rolled out while latest is the latest version: it is newer, or a different build from the
+ * same day, e.g. a hotfix. Same-day builds can not be ordered, see compare_fw_versions in ZeroByteVersions.js.
+ */
+function _rolls_out_from(version, latest) {
+    let order = compare_fw_versions(version, latest);
+    return order !== undefined && order >= 0 && !fw_versions_match(version, latest);
+}
+
+/**
+ * Adds a version to the rollout stages of a model, or updates its stage, instead of making it the latest version.
+ * If the model has no latest version yet, there is nothing to roll out from and the version becomes the latest.
+ *
+ * @param {DeviceFirmware} model_infos  The firmware listed for the model
+ * @param {string} model_name           The model, for messages
+ * @param {string} version              The version to roll out
+ * @param {{percent: number, allow: string[]}} rollout  The share of devices and/or device IDs to offer the version to
+ * @returns {string}                    The latest version of the model
+ * @throws {Error}                      if the version is not newer than the latest, nor a different build from its day,
+ *                                      or the rollout is empty
+ */
+function _stage_rollout(model_infos, model_name, version, rollout) {
+    if ( rollout.percent === undefined && (rollout.allow || []).length === 0 )
+        throw new Error('A rollout needs a percent or device IDs to allow');
+
+    if ( rollout.percent !== undefined && !(typeof rollout.percent === 'number' && rollout.percent >= 0 && rollout.percent <= 100) )
+        throw new Error(`Rollout percent must be a number from 0 to 100, found ${rollout.percent}`);
+
+    if ( model_infos.latest === undefined ) {
+        console.log('ZeroByteFW WARNING: %s has no latest version to roll out from, setting latest to %s', model_name, version);
+        model_infos.latest = version;
+        return version;
+    }
+
+    if ( !_rolls_out_from(version, model_infos.latest) )
+        throw new Error(`${model_name} ${version} is not newer than the latest version ${model_infos.latest}, nor a different build from its day, nothing to roll out`);
+
+    let stages = model_infos.rollout || [];
+    let stage = stages.find((candidate) => candidate.version === version);
+    if ( stage === undefined ) {
+        stage = {version: version};
+        stages.push(stage);
+    }
+
+    if ( rollout.percent !== undefined )
+        stage.percent = rollout.percent;
+    if ( (rollout.allow || []).length > 0 )
+        stage.allow = [...new Set([...(stage.allow || []), ...rollout.allow])];
+
+    model_infos.rollout = stages;
+    console.log('Rolling out %s %s to %s', model_name, version, [
+        stage.percent !== undefined ? `${stage.percent}% of devices` : undefined,
+        stage.allow !== undefined ? `${stage.allow.length} allowed device(s)` : undefined,
+    ].filter((part) => part !== undefined).join(' and '));
+
+    return model_infos.latest;
+}
+
+/**
+ * Sets the latest version of a model, and drops the rollout stages it finishes: those of the latest version and older
+ * ones. Different builds from the day of the latest version keep their stages.
+ */
+function _set_latest(model_infos, latest) {
+    model_infos.latest = latest;
+    if ( model_infos.rollout === undefined )
+        return;
+
+    model_infos.rollout = model_infos.rollout.filter((stage) => _rolls_out_from(stage.version, latest));
+    if ( model_infos.rollout.length === 0 )
+        delete model_infos.rollout;
+}
+
+/**
+ * Publishes a release directory for a model: the images are copied into the publishing root, and their entries are
+ * merged into the firmware index of the client and channel.
+ *
+ * The application image is listed under its version. Apploader and bootloader images are listed as
+ * '<component>_<version>' and linked from the application entry, through the `apploader` key and `requires`
+ * respectively. If the release has no apploader image, the application keeps the apploader of the previous latest
+ * version. `latest` is then updated to the newest application version listed, and rollout stages of versions up to it
+ * are dropped. If options.rollout is given, the version is added to the rollout stages instead, see ZeroByteRollout.js
+ *
+ * The index keeps its format. A new index is written in version 1 of the format unless options.schema is 2, which also
+ * converts an existing version 1 index. In version 2 indices, entries are listed with their sha256 sum and release
+ * date, and options.metadata is added to the application entry.
+ *
+ * @param {object} options
+ * @param {string} options.dir              The release directory holding the model's GBL images
+ * @param {string} options.root             The local directory published at url_base
+ * @param {string} options.url_base         The base URL root is published at
+ * @param {string} options.client_name      The name of the client
+ * @param {string} options.channel          The release channel, defaults to 'prod'
+ * @param {string} options.model_name       The model the images are for
+ * @param {string} options.version          (optional) See {@link scan_release}
+ * @param {boolean} options.versionFromGbl  (optional) See {@link scan_release}
+ * @param {string[]} options.signingKeys    (optional) Sign the index with these keys, see {@link sign_published_index}.
+ *                                          Required if the index is already signed.
+ * @param {number} options.schema           (optional) 2 to write the index in version 2 of the format
+ * @param {string} options.released         (optional) The ISO 8601 release date for version 2 indices, defaults to today
+ * @param {object} options.metadata         (optional) Release metadata for the application entry of a version 2 index,
+ *                                          e.g. {notes: {en: '...'}, critical: true, min_hw_revision: '2'}
+ * @param {object} options.rollout          (optional) Roll the version out to {percent: 10, allow: ['serial']} of the
+ *                                          devices, rather than making it the latest version
+ * @returns {Promise<{index: FirmwareIndex, path: string, version: string, entries: string[]}>} The merged index,
+ *          where it was written, the published application version and the keys of the entries added.
+ * @throws {Error}                          if the release is not exactly one application image plus dependencies, or
+ *                                          the index is signed and no signing keys are given
+ */
+async function publish_release(options) {
+    let channel = options.channel || 'prod';
+    let {client_name, model_name} = options;
+    await _require_signing_keys(options.root, client_name, channel, options.signingKeys);
+    let files = await scan_release(options.dir, options);
+
+    let applications = files.filter((file) => file.component === default_component);
+    if ( applications.length !== 1 )
+        throw new Error(`Expected one application image in ${options.dir}, found ${applications.length}`);
+
+    let fw_index = _upgrade_fw_index(await read_fw_index(options.root, client_name, channel), options.schema);
+    let devices = fw_index_devices(fw_index);
+    let v2 = fw_index.schema === FW_INDEX_SCHEMA;
+    let released = options.released || new Date().toISOString().slice(0, 10);
+    let model_infos = devices[model_name] || {};
+    let previous = model_infos[model_infos.latest];
+    let application = applications[0];
+    let entries = [];
+
+    let model_dir = path.join(_index_dir(options.root, client_name, channel), model_name);
+    await fs.promises.mkdir(model_dir, {recursive: true});
+
+    let entry_of = (file) => (file.component === default_component ? file.version : `${file.component}_${file.version}`);
+    for (let file of files) {
+        let file_name = path.basename(file.file);
+        await fs.promises.copyFile(file.file, path.join(model_dir, file_name));
+
+        let info = {
+            name: file.name,
+            url: [options.url_base.replace(/\/+$/, ''), client_name, channel, model_name, file_name].join('/'),
+            md5: file.md5,
+            size: file.size,
+        };
+        if ( v2 ) {
+            info.sha256 = file.sha256;
+            info.released = released;
+        }
+        if ( file.component !== default_component ) {
+            info.component = file.component;
+            info.version = file.version;
+        }
+
+        model_infos[entry_of(file)] = info;
+        entries.push(entry_of(file));
+    }
+
+    let app_info = model_infos[application.version];
+    if ( v2 && options.metadata )
+        Object.assign(app_info, options.metadata);
+    else if ( options.metadata )
+        console.log('ZeroByteFW WARNING: The %s index is in version 1 of the format, ignoring the release metadata', channel);
+
+    let apploader = files.find((file) => file.component === 'apploader');
+    if ( apploader !== undefined )
+        app_info.apploader = entry_of(apploader);
+    else if ( previous && previous.apploader !== undefined )
+        app_info.apploader = previous.apploader;
+
+    let bootloader = files.find((file) => file.component === 'bootloader');
+    if ( bootloader !== undefined )
+        app_info.requires = [{entry: entry_of(bootloader), component: 'bootloader'}];
+
+    let latest;
+    if ( options.rollout ) {
+        latest = _stage_rollout(model_infos, model_name, application.version, options.rollout);
+    } else {
+        latest = newest_fw_version(_application_versions(model_infos));
+        if ( latest === undefined ) {
+            console.log('ZeroByteFW WARNING: Unable to order the %s versions, setting latest to %s', model_name, application.version);
+            latest = application.version;
+        }
+        _set_latest(model_infos, latest);
+    }
+
+    devices[model_name] = model_infos;
+    let index_path = await write_fw_index(options.root, client_name, channel, fw_index);
+    if ( options.signingKeys && options.signingKeys.length > 0 )
+        await sign_published_index(options.root, client_name, channel, options.signingKeys);
+    console.log('Published %s %s to %s, latest is %s', model_name, application.version, index_path, latest);
+
+    return {index: fw_index, path: index_path, version: application.version, entries: entries};
+}
+
+/**
+ * Promotes a published version of a model from one channel to another, e.g. from 'beta' to 'prod'. The version's
+ * entry and every entry it depends on are copied into the target channel's index, along with the images hosted in the
+ * source channel's directory. The target channel's `latest` is set to the version, unless it already lists a newer one.
+ * A new target index is written in the format of the source index. If options.rollout is given, the version is added to
+ * the target channel's rollout stages instead of becoming its latest version.
+ *
+ * @param {object} options
+ * @param {string} options.root             The local directory published at url_base
+ * @param {string} options.url_base         The base URL root is published at
+ * @param {string} options.client_name      The name of the client
+ * @param {string} options.model_name       The model to promote
+ * @param {string} options.version          The version to promote
+ * @param {string} options.from             The source channel, e.g. 'beta'
+ * @param {string} options.to               The target channel, e.g. 'prod'
+ * @param {string[]} options.signingKeys    (optional) Sign the target index with these keys, see {@link sign_published_index}.
+ *                                          Required if the target index is already signed.
+ * @param {object} options.rollout          (optional) Roll the version out in the target channel, see {@link publish_release}
+ * @returns {Promise<{index: FirmwareIndex, path: string, entries: string[]}>} The target index, where it was
+ *          written and the keys of the entries promoted.
+ * @throws {Error}                          if the version is not listed in the source channel, or the target index is
+ *                                          signed and no signing keys are given
+ */
+async function promote_fw_version(options) {
+    let {root, client_name, model_name, version, from, to} = options;
+    let url_base = options.url_base.replace(/\/+$/, '');
+    await _require_signing_keys(root, client_name, to, options.signingKeys);
+
+    let source_index = await read_fw_index(root, client_name, from);
+    let source = fw_index_devices(source_index)[model_name] || {};
+    if ( !fw_entry_keys(source).includes(version) )
+        throw new Error(`${model_name} ${version} is not listed in the ${from} channel of ${client_name}`);
+
+    let fw_index = await read_fw_index(root, client_name, to);
+    if ( Object.keys(fw_index).length === 0 )
+        fw_index = _upgrade_fw_index(fw_index, source_index.schema);
+    let devices = fw_index_devices(fw_index);
+    let model_infos = devices[model_name] || {};
+    let source_prefix = [url_base, client_name, from, ''].join('/');
+    let entries = [];
+
+    let promote = async (entry) => {
+        if ( entries.includes(entry) )
+            return;
+
+        let info = source[entry];
+        if ( info === undefined )
+            throw new Error(`${model_name} ${entry} is required by ${version}, but is not listed in the ${from} channel`);
+
+        entries.push(entry);
+        info = {...info};
+
+        // Images hosted in the source channel are copied, so the channels can be cleaned up independently.
+        if ( typeof info.url === 'string' && info.url.startsWith(source_prefix) ) {
+            let relative = info.url.slice(source_prefix.length);
+            let target = path.join(_index_dir(root, client_name, to), ...relative.split('/'));
+
+            await fs.promises.mkdir(path.dirname(target), {recursive: true});
+            await fs.promises.copyFile(path.join(_index_dir(root, client_name, from), ...relative.split('/')), target);
+            info.url = [url_base, client_name, to, relative].join('/');
+        }
+
+        model_infos[entry] = info;
+        if ( info.apploader !== undefined )
+            await promote(info.apploader);
+        for (let requirement of (info.requires || []))
+            await promote(requirement.entry);
+    };
+
+    await promote(version);
+
+    if ( options.rollout )
+        _stage_rollout(model_infos, model_name, version, options.rollout);
+    else if ( model_infos.latest === undefined || !(compare_fw_versions(model_infos.latest, version) > 0) )
+        _set_latest(model_infos, version);
+    else
+        console.log('ZeroByteFW WARNING: %s %s already lists newer version %s as latest', to, model_name, model_infos.latest);
+
+    devices[model_name] = model_infos;
+    let index_path = await write_fw_index(root, client_name, to, fw_index);
+    if ( options.signingKeys && options.signingKeys.length > 0 )
+        await sign_published_index(root, client_name, to, options.signingKeys);
+    console.log('Promoted %s %s from %s to %s', model_name, version, from, to);
+
+    return {index: fw_index, path: index_path, entries: entries};
+}
+
+export { scan_release, publish_release, promote_fw_version, read_fw_index, write_fw_index, register_channel, sign_published_index };
@@ -0,0 +1,86 @@
+/*
+ * ZeroByteRollout.js
+ *
+ * Copyright (c) 2023 Zero Byte LLC, All Rights Reserved
+ * Licensed under CC BY-ND 4.0 (https://creativecommons.org/licenses/by-nd/4.0/)
+ *
+ * Staged rollouts. A model in the firmware index may list rollout stages which offer a version to an allow-list of
+ * devices and/or to a percentage of the fleet before it becomes the latest version, e.g.:
+ *
+ * "kraken": {
+ *     "latest": "20240501.def5678",
+ *     "rollout": [
+ *         { "version": "20240601.abc1234", "percent": 10, "allow": [ "KRK-000123" ] }
+ *     ],
+ *     ...
+ * }
+ *
+ * Devices are placed in a bucket from 0 to 100 by hashing their device ID (a serial number or BLE peripheral ID), so a
+ * device always lands in the same bucket for a version, and a 10% stage raised to 50% keeps its first 10%.
+ *
+ * SPDX-License-Identifier: CC-BY-ND-4.0
+ * SPDX-FileCopyrightText: Copyright (c) 2023 Zero Byte LLC (hello@zerobytellc.com) All Rights Reserved
+ *
+ * @author Timothy C Sweeney-Fanelli, Zero Byte LLC (tim@zerobytellc.com)
+ */
+
+const Buffer = require('buffer/').Buffer;
+
+const FNV_OFFSET_BASIS = 0x811C9DC5;
+const FNV_PRIME = 0x01000193;
+
+/**
+ * A stage of a staged rollout. A device receives the stage's version if it is in the allow list, or if its bucket
+ * for the version is below the percentage.
+ *
+ * @typedef RolloutStage
+ * @property {string} version       The key of the firmware entry offered by the stage
+ * @property {number} percent       (optional) The percentage of devices, from 0 to 100, offered the version
+ * @property {string[]} allow       (optional) The IDs of devices always offered the version, e.g. for dogfooding
+ */
+
+/**
+ * @returns {string} The device ID in the form used for bucketing and allow lists: trimmed and lower case
+ */
+function _normalize_device_id(device_id) {
+    return String(device_id).trim().toLowerCase();
+}
+
+/**
+ * Places a device in a rollout bucket. The bucket is the 32-bit FNV-1a hash of "${salt}:${device_id}", scaled to a
+ * number from 0 (inclusive) to 100 (exclusive) in steps of 0.01.
+ *
+ * @param {string} device_id    A stable identifier of the device, e.g. its serial number or BLE peripheral ID
+ * @param {string} salt         (optional) Salts the hash so that each version is rolled out to a different set of
+ *                              devices. Rollout stages use their version.
+ * @returns {number}            The bucket of the device
+ */
+function rollout_bucket(device_id, salt = '') {
+    let bytes = Buffer.from(`${salt}:${_normalize_device_id(device_id)}`, 'utf8');
+    let hash = FNV_OFFSET_BASIS;
+    for ( let i = 0; i < bytes.length; i++ ) {
+        hash ^= bytes[i];
+        hash = Math.imul(hash, FNV_PRIME) >>> 0;
+    }
+
+    return (hash % 10000) / 100;
+}
+
+/**
+ * Finds the rollout stage a device takes part in. Stages are evaluated in order and the first matching stage wins.
+ *
+ * @param {RolloutStage[]} rollout  The rollout stages of a model
+ * @param {string} device_id        A stable identifier of the device. Devices without an ID take part in no stage.
+ * @returns {RolloutStage}          The matching stage, or undefined if the device should receive the latest version
+ */
+function select_rollout_stage(rollout, device_id) {
+    if ( !Array.isArray(rollout) || device_id === undefined || device_id === null || String(device_id).trim() === '' )
+        return undefined;
+
+    let id = _normalize_device_id(device_id);
+    return rollout.find((stage) =>
+        (Array.isArray(stage.allow) && stage.allow.some((allowed) => _normalize_device_id(allowed) === id))
+        || (typeof stage.percent === 'number' && rollout_bucket(id, stage.version) < stage.percent));
+}
+
+export { rollout_bucket, select_rollout_stage };
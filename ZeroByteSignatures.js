@@ -0,0 +1,75 @@
+/*
+ * ZeroByteSignatures.js
+ *
+ * Copyright (c) 2023 Zero Byte LLC, All Rights Reserved
+ * Licensed under CC BY-ND 4.0 (https://creativecommons.org/licenses/by-nd/4.0/)
+ *
+ * Ed25519 signatures for firmware indices. A signed index is published with a detached signature file next to it,
+ * index.json.sig, holding one or more base64 encoded signatures of the exact bytes of index.json, one per line. More
+ * than one signature allows keys to be rotated: sign with both the old and the new key until every app trusts the new one.
+ *
+ * SPDX-License-Identifier: CC-BY-ND-4.0
+ * SPDX-FileCopyrightText: Copyright (c) 2023 Zero Byte LLC (hello@zerobytellc.com) All Rights Reserved
+ *
+ * @author Timothy C Sweeney-Fanelli, Zero Byte LLC (tim@zerobytellc.com)
+ */
+
+import nacl from 'tweetnacl';
+const Buffer = require('buffer/').Buffer;
+
+function _key_bytes(key, length, kind) {
+    let bytes = (typeof key === 'string') ? Buffer.from(key.trim(), 'base64') : key;
+    if ( !bytes || bytes.length !== length )
+        throw new Error(`Invalid Ed25519 ${kind} key, expected ${length} bytes`);
+
+    return Uint8Array.from(bytes);
+}
+
+/**
+ * Verifies the detached signatures of a firmware index.
+ *
+ * @param {string} index_text               The firmware index, exactly as it was served
+ * @param {string} signatures_text          The contents of index.json.sig
+ * @param {Array<string|Uint8Array>} trusted_keys   The trusted Ed25519 public keys, base64 encoded or raw
+ * @returns {boolean}   true if any of the signatures was made by any of the trusted keys
+ */
+function verify_fw_index_signature(index_text, signatures_text, trusted_keys) {
+    let message = Uint8Array.from(Buffer.from(index_text, 'utf8'));
+    let keys = trusted_keys.map((key) => _key_bytes(key, nacl.sign.publicKeyLength, 'public'));
+
+    let signatures = String(signatures_text).split(/\s+/)
+        .filter((line) => line.length > 0)
+        .map((line) => Uint8Array.from(Buffer.from(line, 'base64')))
+        .filter((signature) => signature.length === nacl.sign.signatureLength);
+
+    return signatures.some((signature) => keys.some((key) => nacl.sign.detached.verify(message, signature, key)));
+}
+
+/**
+ * Signs a firmware index.
+ *
+ * @param {string} index_text               The firmware index, exactly as it will be published
+ * @param {string|Uint8Array} secret_key    The Ed25519 secret key, base64 encoded or raw (64 bytes)
+ * @returns {string}    The base64 encoded signature, a line of index.json.sig
+ */
+function sign_fw_index(index_text, secret_key) {
+    let message = Uint8Array.from(Buffer.from(index_text, 'utf8'));
+    let signature = nacl.sign.detached(message, _key_bytes(secret_key, nacl.sign.secretKeyLength, 'secret'));
+
+    return Buffer.from(signature).toString('base64');
+}
+
+/**
+ * Generates a new Ed25519 key pair for signing firmware indices. Requires a secure random number generator.
+ *
+ * @returns {{publicKey: string, secretKey: string}} The base64 encoded keys. Only the public key is given to apps.
+ */
+function generate_signing_keys() {
+    let keys = nacl.sign.keyPair();
+    return {
+        publicKey: Buffer.from(keys.publicKey).toString('base64'),
+        secretKey: Buffer.from(keys.secretKey).toString('base64'),
+    };
+}
+
+export { verify_fw_index_signature, sign_fw_index, generate_signing_keys };
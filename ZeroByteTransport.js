@@ -0,0 +1,220 @@
+/*
+ * ZeroByteTransport.js
+ *
+ * Copyright (c) 2023 Zero Byte LLC, All Rights Reserved
+ * Licensed under CC BY-ND 4.0 (https://creativecommons.org/licenses/by-nd/4.0/)
+ *
+ * BLE transports used by the DFU handler. The OTA sequence only talks to a {@link BleTransport}, so the same sequence
+ * can run on top of react-native-ble-plx, Web Bluetooth, a Node BLE stack or an in-memory fake.
+ *
+ * SPDX-License-Identifier: CC-BY-ND-4.0
+ * SPDX-FileCopyrightText: Copyright (c) 2023 Zero Byte LLC (hello@zerobytellc.com) All Rights Reserved
+ *
+ * @author Timothy C Sweeney-Fanelli, Zero Byte LLC (tim@zerobytellc.com)
+ */
+
+const Buffer = require('buffer/').Buffer;
+
+/**
+ * The operations the DFU handler needs from a BLE stack. Service and characteristic UUIDs are passed as upper case
+ * strings, values are passed as Uint8Array (or Buffer) instances. Every method returns a Promise, and rejects on error.
+ *
+ * @typedef BleTransport
+ * @property {function(string, {mtu: number}): Promise<void>} connect                   Connect to the device, requesting the given MTU
+ * @property {function(string): Promise<void>} discover                                 Discover all services and characteristics of the device
+ * @property {function(string, number): Promise<number>} requestMTU                     Request an MTU, resolves to the negotiated MTU
+ * @property {function(string, string, string): Promise<Uint8Array>} read               Read a characteristic
+ * @property {function(string, string, string, Uint8Array): Promise<void>} write        Write a characteristic with response
+ * @property {function(string, string, string, Uint8Array): Promise<void>} writeWithoutResponse Write a characteristic without response
+ * @property {function(string): Promise<void>} disconnect                               Disconnect from the device
+ * @property {function(string): Promise<boolean>} isConnected                           Whether the device is connected
+ * @property {function(string, string): Promise<void>} requestConnectionPriority        optional. Request the connection priority 'high', 'balanced' or 'lowPower'
+ * @property {function(string, string): Promise<string>} requestPHY                     optional. Request the PHY '1M', '2M' or 'coded', resolves to the PHY in use
+ */
+
+// The ConnectionPriority values of react-native-ble-plx
+const BLE_PLX_CONNECTION_PRIORITY = {balanced: 0, high: 1, lowPower: 2};
+
+/**
+ * The default transport, on top of an initialized react-native-ble-plx BleManager.
+ */
+class BlePlxTransport {
+    bleManager: Object;
+
+    /**
+     * @param bleManager The initialized BleManager used by the application
+     */
+    constructor(bleManager) {
+        this.bleManager = bleManager;
+    }
+
+    // react-native-ble-plx wants upper case UUIDs on iOS, and lower case UUIDs on Android. Platform is only loaded
+    // here, so nothing else in the library depends on React Native.
+    uuid(uuid: string): string {
+        const {Platform} = require('react-native');
+        return Platform.OS === 'ios' ? uuid.toUpperCase() : uuid.toLowerCase();
+    }
+
+    async connect(deviceId: string, options: Object = {}) {
+        await this.bleManager.connectToDevice(deviceId, {requestMTU: options.mtu});
+    }
+
+    async discover(deviceId: string) {
+        await this.bleManager.discoverAllServicesAndCharacteristicsForDevice(deviceId);
+    }
+
+    async requestMTU(deviceId: string, mtu: number): Promise<number> {
+        let device = await this.bleManager.requestMTUForDevice(deviceId, mtu);
+        return device.mtu;
+    }
+
+    async read(deviceId: string, service: string, characteristic: string): Promise<Uint8Array> {
+        let result = await this.bleManager.readCharacteristicForDevice(deviceId, this.uuid(service), this.uuid(characteristic));
+        return Buffer.from(result.value, 'base64');
+    }
+
+    async write(deviceId: string, service: string, characteristic: string, value: Uint8Array) {
+        await this.bleManager.writeCharacteristicWithResponseForDevice(deviceId, this.uuid(service), this.uuid(characteristic), Buffer.from(value).toString('base64'));
+    }
+
+    async writeWithoutResponse(deviceId: string, service: string, characteristic: string, value: Uint8Array) {
+        await this.bleManager.writeCharacteristicWithoutResponseForDevice(deviceId, this.uuid(service), this.uuid(characteristic), Buffer.from(value).toString('base64'));
+    }
+
+    async disconnect(deviceId: string) {
+        await this.bleManager.cancelDeviceConnection(deviceId);
+    }
+
+    async isConnected(deviceId: string): Promise<boolean> {
+        return this.bleManager.isDeviceConnected(deviceId);
+    }
+
+    // Only Android changes the connection priority, on iOS this resolves without doing anything. react-native-ble-plx
+    // has no way to request a PHY, so this transport does not offer requestPHY.
+    async requestConnectionPriority(deviceId: string, priority: string) {
+        if ( !(priority in BLE_PLX_CONNECTION_PRIORITY) )
+            throw new Error(`Unknown connection priority ${priority}`);
+
+        await this.bleManager.requestConnectionPriorityForDevice(deviceId, BLE_PLX_CONNECTION_PRIORITY[priority]);
+    }
+}
+
+/**
+ * An in-memory transport, for exercising the OTA sequence without a device. Characteristic values to read are given
+ * up front, and every write is recorded in `writes`.
+ *
+ * Set `onWrite` to a function ({deviceId, service, characteristic, value, withResponse})=>void to observe writes as
+ * they happen, e.g. to update a characteristic value or to simulate an error by throwing. The last connection priority
+ * and PHY requested are kept in `connectionPriority` and `phy`.
+ */
+class MemoryTransport {
+    characteristics: Object;
+    mtu: number;
+    connected: Set<string>;
+    writes: Object[];
+    onWrite: (Object)=>void;
+    connectionPriority: string;
+    phy: string;
+
+    /**
+     * @param options {{characteristics: Object, mtu: number}} characteristics maps characteristic UUIDs to the
+     *        Uint8Array values returned by read(). mtu is the MTU to negotiate, defaults to 247.
+     */
+    constructor(options: Object = {}) {
+        this.characteristics = {};
+        Object.entries(options.characteristics || {}).forEach(([uuid, value]) => {
+            this.characteristics[uuid.toUpperCase()] = Uint8Array.from(value);
+        });
+
+        this.mtu = options.mtu || 247;
+        this.connected = new Set();
+        this.writes = [];
+        this.onWrite = () => {};
+    }
+
+    async connect(deviceId: string) {
+        this.connected.add(deviceId);
+    }
+
+    async discover(deviceId: string) {
+        this.requireConnection(deviceId);
+    }
+
+    async requestMTU(deviceId: string, mtu: number): Promise<number> {
+        this.requireConnection(deviceId);
+        return Math.min(mtu, this.mtu);
+    }
+
+    async read(deviceId: string, service: string, characteristic: string): Promise<Uint8Array> {
+        this.requireConnection(deviceId);
+
+        let value = this.characteristics[characteristic.toUpperCase()];
+        if ( value === undefined )
+            throw new Error(`Characteristic ${characteristic} not found`);
+
+        return value;
+    }
+
+    async write(deviceId: string, service: string, characteristic: string, value: Uint8Array) {
+        this.record(deviceId, service, characteristic, value, true);
+    }
+
+    async writeWithoutResponse(deviceId: string, service: string, characteristic: string, value: Uint8Array) {
+        this.record(deviceId, service, characteristic, value, false);
+    }
+
+    async disconnect(deviceId: string) {
+        this.connected.delete(deviceId);
+    }
+
+    async isConnected(deviceId: string): Promise<boolean> {
+        return this.connected.has(deviceId);
+    }
+
+    async requestConnectionPriority(deviceId: string, priority: string) {
+        this.requireConnection(deviceId);
+        this.connectionPriority = priority;
+    }
+
+    async requestPHY(deviceId: string, phy: string): Promise<string> {
+        this.requireConnection(deviceId);
+        this.phy = phy;
+        return phy;
+    }
+
+    requireConnection(deviceId: string) {
+        if ( !this.connected.has(deviceId) )
+            throw new Error(`Device ${deviceId} is not connected`);
+    }
+
+    record(deviceId: string, service: string, characteristic: string, value: Uint8Array, withResponse: boolean) {
+        this.requireConnection(deviceId);
+
+        let write = {
+            deviceId: deviceId,
+            service: service.toUpperCase(),
+            characteristic: characteristic.toUpperCase(),
+            value: Uint8Array.from(value),
+            withResponse: withResponse,
+        };
+
+        this.onWrite(write);
+        this.writes.push(write);
+    }
+}
+
+/**
+ * Wraps a react-native-ble-plx BleManager in a BlePlxTransport. Anything else is assumed to already be a
+ * {@link BleTransport}, and is returned as-is.
+ *
+ * @param bleManagerOrTransport a BleManager or a BleTransport
+ * @returns {BleTransport}
+ */
+function asTransport(bleManagerOrTransport: Object): Object {
+    if ( bleManagerOrTransport && typeof bleManagerOrTransport.connectToDevice === 'function' )
+        return new BlePlxTransport(bleManagerOrTransport);
+
+    return bleManagerOrTransport;
+}
+
+export { BlePlxTransport, MemoryTransport, asTransport };
@@ -0,0 +1,175 @@
+/*
+ * ZeroByteVersions.js
+ *
+ * Copyright (c) 2023 Zero Byte LLC, All Rights Reserved
+ * Licensed under CC BY-ND 4.0 (https://creativecommons.org/licenses/by-nd/4.0/)
+ *
+ * Firmware version ordering. Understands the 'YYYYMMDD.gitsha' version scheme used in the firmware indices, as well
+ * as semver and dotted numeric versions (e.g. '1.2.3', '1.2.3-beta.1' or '2.4.0.1').
+ *
+ * SPDX-License-Identifier: CC-BY-ND-4.0
+ * SPDX-FileCopyrightText: Copyright (c) 2023 Zero Byte LLC (hello@zerobytellc.com) All Rights Reserved
+ *
+ * @author Timothy C Sweeney-Fanelli, Zero Byte LLC (tim@zerobytellc.com)
+ */
+
+const DATE_VERSION = /^(\d{8})(?:\.([0-9a-zA-Z]+))?$/;
+const SEMVER_VERSION = /^v?(\d+(?:\.\d+)*)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+const LETTER_REVISION = /^[A-Za-z]+$/;
+
+function _parse_version(version) {
+    if ( typeof version === 'number' )
+        version = String(version);
+
+    if ( typeof version !== 'string' )
+        return undefined;
+
+    let match = DATE_VERSION.exec(version);
+    if ( match )
+        return {kind: 'date', parts: [parseInt(match[1], 10)], pre: undefined};
+
+    match = SEMVER_VERSION.exec(version);
+    if ( match )
+        return {kind: 'semver', parts: match[1].split('.').map((p) => parseInt(p, 10)), pre: match[2]};
+
+    return undefined;
+}
+
+function _compare_prerelease(a, b) {
+    // A release always sorts after its pre-releases: 1.0.0-beta < 1.0.0
+    if ( a === b ) return 0;
+    if ( a === undefined ) return 1;
+    if ( b === undefined ) return -1;
+
+    let as = a.split('.');
+    let bs = b.split('.');
+    for (let i = 0; i < Math.max(as.length, bs.length); ++i) {
+        if ( as[i] === undefined ) return -1;
+        if ( bs[i] === undefined ) return 1;
+
+        let an = /^\d+$/.test(as[i]);
+        let bn = /^\d+$/.test(bs[i]);
+        if ( an && bn ) {
+            let d = parseInt(as[i], 10) - parseInt(bs[i], 10);
+            if ( d !== 0 ) return Math.sign(d);
+        } else if ( an !== bn ) {
+            return an ? -1 : 1;
+        } else if ( as[i] !== bs[i] ) {
+            return as[i] < bs[i] ? -1 : 1;
+        }
+    }
+
+    return 0;
+}
+
+/**
+ * Compares two firmware versions.
+ *
+ * 'YYYYMMDD.gitsha' versions are ordered by date. Two builds from the same day are considered equal, since the git sha
+ * carries no ordering. Semver and dotted numeric versions are ordered by semver precedence.
+ *
+ * @param {string} a  A firmware version, e.g.: '20220101.abc123f'
+ * @param {string} b  A firmware version, e.g.: '20220615.def4567'
+ * @returns {number|undefined}  Negative if a is older than b, positive if a is newer than b, 0 if they are equal.
+ *                              undefined if the versions can not be ordered (unknown or mixed version schemes).
+ */
+function compare_fw_versions(a, b) {
+    if ( a === b )
+        return 0;
+
+    let va = _parse_version(a);
+    let vb = _parse_version(b);
+    if ( va === undefined || vb === undefined || va.kind !== vb.kind )
+        return undefined;
+
+    for (let i = 0; i < Math.max(va.parts.length, vb.parts.length); ++i) {
+        let d = (va.parts[i] || 0) - (vb.parts[i] || 0);
+        if ( d !== 0 )
+            return Math.sign(d);
+    }
+
+    return _compare_prerelease(va.pre, vb.pre);
+}
+
+/**
+ * Whether two firmware versions name the same firmware, e.g. the version a device reports and the version from the
+ * firmware index.
+ *
+ * The versions must compare equal with {@link compare_fw_versions}. If both are 'YYYYMMDD.gitsha' versions with a git
+ * sha, the shas must also match, ignoring case, since builds from the same day are different firmware. A version
+ * without a git sha, such as the bare 'YYYYMMDD' a device reports from the uint32 version in its application
+ * properties, matches every build of that day. Versions which can not be ordered match only if they are the same
+ * string, ignoring case.
+ *
+ * @param {string} a    A firmware version, e.g.: '20240601'
+ * @param {string} b    A firmware version, e.g.: '20240601.abc123f'
+ * @returns {boolean}   true if the versions match
+ */
+function fw_versions_match(a, b) {
+    if ( a === undefined || b === undefined )
+        return a === b;
+
+    let order = compare_fw_versions(a, b);
+    if ( order === undefined )
+        return String(a).toLowerCase() === String(b).toLowerCase();
+    if ( order !== 0 )
+        return false;
+
+    let ma = DATE_VERSION.exec(String(a));
+    let mb = DATE_VERSION.exec(String(b));
+    if ( ma && mb && ma[2] !== undefined && mb[2] !== undefined )
+        return ma[2].toLowerCase() === mb[2].toLowerCase();
+
+    return true;
+}
+
+/**
+ * Determines the newest of the given firmware versions.
+ *
+ * @param {string[]} versions   A list of firmware versions
+ * @returns {string|undefined}  The newest version, or undefined if the list is empty or can not be ordered.
+ */
+function newest_fw_version(versions) {
+    let newest;
+    for (let version of versions) {
+        if ( newest === undefined ) {
+            newest = version;
+            continue;
+        }
+
+        let order = compare_fw_versions(version, newest);
+        if ( order === undefined )
+            return undefined;
+
+        if ( order > 0 )
+            newest = version;
+    }
+
+    return newest;
+}
+
+/**
+ * Compares two hardware revisions. Numeric and dotted revisions, e.g. '2' or '1.1', are ordered like firmware versions.
+ * Letter revisions, e.g. 'B' or 'AA', are ordered alphabetically, ignoring case, with longer revisions after shorter
+ * ones: 'A' < 'B' < 'Z' < 'AA'.
+ *
+ * @param {string} a            A hardware revision, e.g.: 'B'
+ * @param {string} b            A hardware revision, e.g.: 'C'
+ * @returns {number|undefined}  Negative if a is older than b, positive if a is newer than b, 0 if they are equal.
+ *                              undefined if the revisions can not be ordered.
+ */
+function compare_hw_revisions(a, b) {
+    a = String(a).trim();
+    b = String(b).trim();
+    if ( !LETTER_REVISION.test(a) || !LETTER_REVISION.test(b) )
+        return compare_fw_versions(a, b);
+
+    a = a.toUpperCase();
+    b = b.toUpperCase();
+    if ( a.length !== b.length )
+        return Math.sign(a.length - b.length);
+
+    return a === b ? 0 : (a < b ? -1 : 1);
+}
+
+export { compare_fw_versions, fw_versions_match, newest_fw_version, compare_hw_revisions };
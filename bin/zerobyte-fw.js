@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+/*
+ * zerobyte-fw.js
+ *
+ * Copyright (c) 2023 Zero Byte LLC, All Rights Reserved
+ * Licensed under CC BY-ND 4.0 (https://creativecommons.org/licenses/by-nd/4.0/)
+ *
+ * Entry-point of the zerobyte-fw command-line tool. The library is published as Flow-annotated ES modules for the
+ * React Native bundler, so it is compiled on the fly for Node. Babel is an optional peer dependency, which apps do not
+ * need, so it is installed next to the package to use the tool. See ZeroByteCLI.js for the commands.
+ *
+ * SPDX-License-Identifier: CC-BY-ND-4.0
+ * SPDX-FileCopyrightText: Copyright (c) 2023 Zero Byte LLC (hello@zerobytellc.com) All Rights Reserved
+ *
+ * @author Timothy C Sweeney-Fanelli, Zero Byte LLC (tim@zerobytellc.com)
+ */
+
+const path = require('path');
+
+const root = path.resolve(__dirname, '..');
+const dependencies = path.join(root, 'node_modules');
+const babel = ['@babel/core', '@babel/register', '@babel/preset-flow', '@babel/plugin-transform-modules-commonjs'];
+
+const missing = babel.filter((name) => {
+    try {
+        require.resolve(name);
+        return false;
+    } catch (error) {
+        return true;
+    }
+});
+
+if ( missing.length > 0 ) {
+    console.error('zerobyte-fw needs Babel to run, but %s could not be found. Install it next to the package:', missing.join(', '));
+    console.error('  npm install --save-dev %s', babel.join(' '));
+    // EXIT_UNEXPECTED of ZeroByteCLI.js, which can not be loaded without Babel
+    process.exitCode = 2;
+} else {
+    require('@babel/register')({
+        babelrc: false,
+        configFile: false,
+        // Resolved from here, babel would otherwise look for them relative to the working directory
+        presets: [require.resolve('@babel/preset-flow')],
+        plugins: [require.resolve('@babel/plugin-transform-modules-commonjs')],
+        only: [(file) => file.startsWith(root) && !file.startsWith(dependencies)],
+    });
+
+    require('../ZeroByteCLI').main(process.argv.slice(2)).then((code) => {
+        process.exitCode = code;
+    });
+}
@@ -14,19 +14,52 @@
  * @author Timothy C Sweeney-Fanelli, Zero Byte LLC (tim@zerobytellc.com)
  */
 
-import { get_latest_fw_info, download_fw }
-    from './ZeroByteFirmwareUtils'
-import {ZeroByteErrorCodes} from "@zerobytellc/zerobyte-firmware-utils/ZeroByteErrorCodes";
-import {startDFU, setDFULoggers} from "./ZeroByteDFU";
+import { get_latest_fw_info, get_update_plan, list_fw_versions, get_fw_info, list_channels, download_fw,
+    get_fw_release_notes, is_fw_compatible, prefetch_fw, list_cached_fw, remove_cached_fw,
+    prune_fw_cache } from './ZeroByteFirmwareUtils'
+import {ZeroByteErrorCodes} from "./ZeroByteErrorCodes";
+import {startDFU, runDFU, getDeviceFirmwareInfo, setDFULoggers} from "./ZeroByteDFU";
+import {parse_gbl, parse_gbl_stream} from "./ZeroByteGBL";
+import {compare_fw_versions, fw_versions_match} from "./ZeroByteVersions";
+import {BlePlxTransport, MemoryTransport} from "./ZeroByteTransport";
+import {set_fw_backends} from "./ZeroByteBackends";
+import {validate_fw_index} from "./ZeroByteIndexSchema";
 
 export const ZeroByteFW = {
     get_latest_fw_info: get_latest_fw_info,
+    get_update_plan:    get_update_plan,
+    list_fw_versions:   list_fw_versions,
+    get_fw_info:        get_fw_info,
+    list_channels:      list_channels,
     download_fw:        download_fw,
+    prefetch_fw:        prefetch_fw,
+    list_cached_fw:     list_cached_fw,
+    remove_cached_fw:   remove_cached_fw,
+    prune_fw_cache:     prune_fw_cache,
+    get_fw_release_notes: get_fw_release_notes,
+    is_fw_compatible:   is_fw_compatible,
+    compare_fw_versions: compare_fw_versions,
+    fw_versions_match:  fw_versions_match,
+    set_fw_backends:    set_fw_backends,
+    validate_fw_index:  validate_fw_index,
 };
 
 export const ZeroByteDFU = {
     startDFU: startDFU,
+    runDFU: runDFU,
+    getDeviceFirmwareInfo: getDeviceFirmwareInfo,
     setDFULoggers: setDFULoggers
 };
 
+export const ZeroByteGBL = {
+    parse_gbl: parse_gbl,
+    parse_gbl_stream: parse_gbl_stream,
+};
+
+export const ZeroByteTransport = {
+    BlePlxTransport: BlePlxTransport,
+    MemoryTransport: MemoryTransport,
+};
+
 export {ZeroByteErrorCodes}
+export {OTA_SUCCESS, OTA_FAILURE, OTA_NOUPDATE, OTA_CANCELLED, OTA_VERSION_MISMATCH, OTA_DEVICE_NOT_RETURNED, DFU_STAGE, DFU_WRITE_MODE, DFU_TIMING_PROFILE} from "./ZeroByteDFU";
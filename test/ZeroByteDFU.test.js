@@ -0,0 +1,183 @@
+/*
+ * ZeroByteDFU.test.js
+ *
+ * Copyright (c) 2023 Zero Byte LLC, All Rights Reserved
+ * Licensed under CC BY-ND 4.0 (https://creativecommons.org/licenses/by-nd/4.0/)
+ *
+ * SPDX-License-Identifier: CC-BY-ND-4.0
+ * SPDX-FileCopyrightText: Copyright (c) 2023 Zero Byte LLC (hello@zerobytellc.com) All Rights Reserved
+ *
+ * @author Timothy C Sweeney-Fanelli, Zero Byte LLC (tim@zerobytellc.com)
+ */
+
+import {describe, it, before, after} from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import {ZeroByteErrorCodes} from '../ZeroByteErrorCodes';
+import {runDFU, OTA_SUCCESS, OTA_CANCELLED, OTA_VERSION_MISMATCH, OTA_DEVICE_NOT_RETURNED} from '../ZeroByteDFU';
+import {MemoryTransport} from '../ZeroByteTransport';
+import {NodeFileStore} from '../ZeroByteNodeBackends';
+import {application_image} from './fixtures';
+
+const APPLICATION_VERSION = '0D77CC11-4AC1-49F2-BFA9-CD96AC7A92F8';
+const OTA_CONTROL_ATTRIBUTE = 'F7BF3564-FB6D-4E53-88A4-5E37E0326063';
+const OTA_DATA_ATTRIBUTE = '984227F3-34FC-4045-A5D0-2C581F81A153';
+const CTL_START = 0x00;
+const CTL_DONE = 0x03;
+const CTL_CLOSE = 0x04;
+
+const no_delays = {connectDelayMs: 0, controlDelayMs: 0, dfuRebootDelayMs: 0, finishDelayMs: 0, rebootDelayMs: 0};
+
+/**
+ * A device in DFU mode, which reports `version` once the upload is done, if it is given.
+ */
+function device(version) {
+    let transport = new MemoryTransport({characteristics: {
+        '4F4A2368-8CCA-451E-BFFF-CF0E2EE23E9F': new Uint8Array(8),
+        '4CC07BCF-0868-4B32-9DAD-BA4CC41E5316': [3],
+        '25F05C0A-E917-46E9-B2A5-AA2BE1245AFE': new Uint8Array(4),
+    }});
+    transport.onWrite = (write) => {
+        if ( write.characteristic.toUpperCase() === OTA_CONTROL_ATTRIBUTE && write.value[0] === CTL_DONE && version !== undefined )
+            transport.characteristics[APPLICATION_VERSION] = Uint8Array.from(Buffer.from(version));
+    };
+    return transport;
+}
+
+let dir;
+let file;
+
+before(async () => {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'zerobyte-dfu-'));
+    file = path.join(dir, 'kraken.gbl');
+    await fs.promises.writeFile(file, application_image(20240601, 1000));
+});
+
+after(async () => {
+    await fs.promises.rm(dir, {recursive: true, force: true});
+});
+
+let flash = (transport, more = {}) => runDFU({
+    peripheralId: 'kraken-1',
+    transport: transport,
+    deviceName: 'kraken',
+    isInOTA: true,
+    firmwareFiles: [file],
+    targetVersion: '20240601.abc',
+    fileStore: new NodeFileStore(),
+    timingProfile: no_delays,
+    verifyTimeoutMs: 50,
+    verifyRetryDelayMs: 5,
+    ...more,
+});
+
+describe('verifying the update', () => {
+    it('succeeds when the device reports the new version', async () => {
+        let result = await flash(device('20240601.abc'));
+
+        assert.equal(result.status, OTA_SUCCESS);
+        assert.equal(result.deviceVersion, '20240601.abc');
+    });
+
+    it('reports a device running another version', async () => {
+        let result = await flash(device('20240501.old'));
+
+        assert.equal(result.status, OTA_VERSION_MISMATCH);
+        assert.equal(result.error, ZeroByteErrorCodes.DEVICE_FIRMWARE_VERSION_MISMATCH);
+        assert.equal(result.deviceVersion, '20240501.old');
+    });
+
+    it('reports a device which comes back without reporting its version', async () => {
+        let result = await flash(device(undefined));
+
+        assert.equal(result.status, OTA_VERSION_MISMATCH);
+        assert.equal(result.error, ZeroByteErrorCodes.DEVICE_FIRMWARE_VERSION_UNREADABLE);
+        assert.equal(result.deviceVersion, undefined);
+    });
+
+    it('reports a device which does not come back', async () => {
+        let transport = device(undefined);
+        let write = transport.onWrite;
+        transport.onWrite = (w) => {
+            write(w);
+            if ( w.characteristic.toUpperCase() === OTA_CONTROL_ATTRIBUTE && w.value[0] === CTL_DONE )
+                transport.connect = async () => { throw new Error('Device is gone'); };
+        };
+        let result = await flash(transport);
+
+        assert.equal(result.status, OTA_DEVICE_NOT_RETURNED);
+        assert.equal(result.error, ZeroByteErrorCodes.DEVICE_CONNECTION_FAILED);
+    });
+});
+
+describe('writing the image', () => {
+    /**
+     * A device on which the upload fails at the block given for it in failAt, every time the block is written, and
+     * succeeds for uploads without a block in failAt.
+     */
+    let failing_device = (failAt) => {
+        let transport = device('20240601.abc');
+        let uploads = 0;
+        let blocks = 0;
+        for (let method of ['write', 'writeWithoutResponse']) {
+            let write = transport[method].bind(transport);
+            transport[method] = async (deviceId, service, characteristic, value) => {
+                if ( characteristic.toUpperCase() === OTA_CONTROL_ATTRIBUTE && value[0] === CTL_START ) {
+                    ++uploads;
+                    blocks = 0;
+                }
+                if ( characteristic.toUpperCase() === OTA_DATA_ATTRIBUTE && blocks++ >= failAt[uploads - 1] )
+                    throw new Error(`Write of block ${blocks} failed`);
+                return write(deviceId, service, characteristic, value);
+            };
+        }
+        return transport;
+    };
+    let commands = (transport) => transport.writes
+        .filter((write) => write.characteristic.toUpperCase() === OTA_CONTROL_ATTRIBUTE)
+        .map((write) => write.value[0]);
+
+    it('abandons a failed upload with CTL_CLOSE, and reports the block of the last attempt', async () => {
+        let transport = failing_device([3, 2]);
+        let result = await flash(transport);
+        let blockSize = result.transferStats[0].blockSize;
+
+        assert.equal(result.error, ZeroByteErrorCodes.DEVICE_WRITE_FAILED);
+        assert.equal(result.stage, 'write');
+        assert.equal(result.failedOffset, 2 * blockSize);
+        assert.match(result.cause.message, /^Write of block/);
+        assert.deepEqual(commands(transport), [CTL_START, CTL_CLOSE, CTL_START, CTL_CLOSE]);
+        assert.deepEqual(result.transferStats.map((stats) => [stats.bytesWritten, stats.retries]), [[3 * blockSize, 3], [2 * blockSize, 3]]);
+    });
+
+    it('reports the partial upload before a retry which succeeds', async () => {
+        let transport = failing_device([3]);
+        let result = await flash(transport);
+        let stats = result.transferStats;
+
+        assert.equal(result.status, OTA_SUCCESS);
+        assert.equal(result.failedOffset, undefined);
+        assert.deepEqual(commands(transport), [CTL_START, CTL_CLOSE, CTL_START, CTL_DONE, CTL_CLOSE]);
+        assert.deepEqual(stats.map((upload) => upload.bytesWritten), [3 * stats[0].blockSize, stats[1].totalBytes]);
+    });
+
+    it('abandons a cancelled upload with CTL_CLOSE', async () => {
+        let transport = device('20240601.abc');
+        let controller = new AbortController();
+        let result = await flash(transport, {
+            signal: controller.signal,
+            onTransferStats: (stats) => {
+                if ( stats.bytesWritten >= 2 * stats.blockSize )
+                    controller.abort();
+            },
+        });
+
+        assert.equal(result.status, OTA_CANCELLED);
+        assert.deepEqual(commands(transport), [CTL_START, CTL_CLOSE]);
+        assert.equal(result.transferStats.length, 1);
+        assert.equal(result.transferStats[0].bytesWritten, 2 * result.transferStats[0].blockSize);
+    });
+});
@@ -0,0 +1,100 @@
+/*
+ * ZeroByteDependencies.test.js
+ *
+ * Copyright (c) 2023 Zero Byte LLC, All Rights Reserved
+ * Licensed under CC BY-ND 4.0 (https://creativecommons.org/licenses/by-nd/4.0/)
+ *
+ * SPDX-License-Identifier: CC-BY-ND-4.0
+ * SPDX-FileCopyrightText: Copyright (c) 2023 Zero Byte LLC (hello@zerobytellc.com) All Rights Reserved
+ *
+ * @author Timothy C Sweeney-Fanelli, Zero Byte LLC (tim@zerobytellc.com)
+ */
+
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {ZeroByteErrorCodes} from '../ZeroByteErrorCodes';
+import {resolve_install_plan} from '../ZeroByteDependencies';
+
+const model_infos = {
+    latest: '20240601.abc',
+    rollout: [{version: '20240601.abc', percent: 10}],
+    '20240601.abc': {
+        url: 'https://example.com/app.gbl',
+        requires: [
+            {entry: 'bootloader_2.4.0', component: 'bootloader', min_version: '2.4.0'},
+            {entry: 'apploader_1.2.0', min_version: '1.2.0.0'},
+        ],
+    },
+    '20240501.def': {url: 'https://example.com/old.gbl', apploader: 'apploader_1.2.0'},
+    'apploader_1.2.0': {url: 'https://example.com/apploader.gbl', component: 'apploader', version: '1.2.0.0'},
+    'bootloader_2.4.0': {url: 'https://example.com/bootloader.gbl', component: 'bootloader', version: '2.4.0'},
+};
+
+const steps = (plan) => plan.steps.map((step) => [step.step, step.component, step.entry, step.version]);
+
+describe('resolve_install_plan', () => {
+    it('installs the requirements first, in the order they are declared', () => {
+        let plan = resolve_install_plan(model_infos, '20240601.abc');
+
+        assert.equal(plan.version, '20240601.abc');
+        assert.equal(plan.entry, '20240601.abc');
+        assert.deepEqual(steps(plan), [
+            [1, 'bootloader', 'bootloader_2.4.0', '2.4.0'],
+            [2, 'apploader', 'apploader_1.2.0', '1.2.0.0'],
+            [3, 'application', '20240601.abc', '20240601.abc'],
+        ]);
+        assert.equal(plan.steps[0].url, 'https://example.com/bootloader.gbl');
+        assert.deepEqual(plan.skipped, []);
+    });
+
+    it('skips requirements the installed versions satisfy', () => {
+        let plan = resolve_install_plan(model_infos, '20240601.abc', {bootloader: '2.4.1', apploader: '1.1.0.0'});
+
+        assert.deepEqual(steps(plan).map((step) => step[2]), ['apploader_1.2.0', '20240601.abc']);
+        assert.deepEqual(plan.skipped, [
+            {component: 'bootloader', entry: 'bootloader_2.4.0', min_version: '2.4.0', installed: '2.4.1'},
+        ]);
+    });
+
+    it('always installs the legacy apploader', () => {
+        let plan = resolve_install_plan(model_infos, '20240501.def', {apploader: '9.9.9.9'});
+
+        assert.deepEqual(steps(plan).map((step) => step[2]), ['apploader_1.2.0', '20240501.def']);
+    });
+
+    it('installs an entry required twice once', () => {
+        let infos = {
+            app: {url: 'https://example.com/app.gbl', requires: [{entry: 'radio'}, {entry: 'apploader'}]},
+            radio: {url: 'https://example.com/radio.gbl', component: 'radio', requires: [{entry: 'apploader'}]},
+            apploader: {url: 'https://example.com/apploader.gbl', component: 'apploader'},
+        };
+
+        assert.deepEqual(steps(resolve_install_plan(infos, 'app')).map((step) => step[2]), ['apploader', 'radio', 'app']);
+    });
+
+    it('takes the version of entries keyed by hardware revision from the entry', () => {
+        let infos = {'20240601.abc_2m': {url: 'https://example.com/app.gbl', version: '20240601.abc', compatible: ['2M']}};
+        let plan = resolve_install_plan(infos, '20240601.abc_2m');
+
+        assert.equal(plan.version, '20240601.abc');
+        assert.equal(plan.entry, '20240601.abc_2m');
+    });
+
+    it('rejects requirements which are not listed', () => {
+        let infos = {app: {url: 'https://example.com/app.gbl', requires: [{entry: 'latest'}]}, latest: 'app'};
+
+        assert.throws(() => resolve_install_plan(infos, 'app'), (error) => error === ZeroByteErrorCodes.FIRMWARE_INDEX_DEPENDENCY_UNKNOWN);
+        assert.throws(() => resolve_install_plan({app: {url: 'https://example.com/app.gbl', apploader: 'gone'}}, 'app'),
+            (error) => error === ZeroByteErrorCodes.FIRMWARE_INDEX_DEPENDENCY_UNKNOWN);
+    });
+
+    it('rejects entries which require each other', () => {
+        let infos = {
+            a: {url: 'https://example.com/a.gbl', requires: [{entry: 'b'}]},
+            b: {url: 'https://example.com/b.gbl', requires: [{entry: 'a'}]},
+        };
+
+        assert.throws(() => resolve_install_plan(infos, 'a'), (error) => error === ZeroByteErrorCodes.FIRMWARE_INDEX_DEPENDENCY_CYCLE);
+    });
+});
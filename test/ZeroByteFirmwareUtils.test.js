@@ -0,0 +1,430 @@
+/*
+ * ZeroByteFirmwareUtils.test.js
+ *
+ * Copyright (c) 2023 Zero Byte LLC, All Rights Reserved
+ * Licensed under CC BY-ND 4.0 (https://creativecommons.org/licenses/by-nd/4.0/)
+ *
+ * SPDX-License-Identifier: CC-BY-ND-4.0
+ * SPDX-FileCopyrightText: Copyright (c) 2023 Zero Byte LLC (hello@zerobytellc.com) All Rights Reserved
+ *
+ * @author Timothy C Sweeney-Fanelli, Zero Byte LLC (tim@zerobytellc.com)
+ */
+
+import {describe, it, before, after} from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+
+import {ZeroByteErrorCodes} from '../ZeroByteErrorCodes';
+import {download_fw, get_update_plan, is_fw_compatible} from '../ZeroByteFirmwareUtils';
+import {MemoryIndexCache} from '../ZeroByteBackends';
+import {NodeHttpClient, NodeFileStore} from '../ZeroByteNodeBackends';
+import {application_image} from './fixtures';
+
+const url_base = 'https://firmware.example.com';
+
+/**
+ * An HttpClient serving the given bodies by URL, and 404 for anything else. Every request is recorded in requests. A
+ * body is JSON, a string, an Error to reject with, a response {status, headers, text}, or a function of the request
+ * options returning (a promise of) one of those.
+ */
+function http_client(bodies) {
+    let client = {
+        requests: [],
+        fetch: async (url, options = {}) => {
+            client.requests.push({url: url, headers: options.headers || {}});
+            let body = bodies[url];
+            if ( typeof body === 'function' )
+                body = await body(options);
+            if ( body === undefined )
+                return {status: 404, ok: false, headers: {get: () => null}, text: async () => ''};
+            if ( body instanceof Error )
+                throw body;
+            if ( typeof body === 'object' && body.status !== undefined )
+                return {...body, ok: body.status >= 200 && body.status < 300,
+                    headers: {get: (name) => (body.headers || {})[name] || null}, text: async () => body.text};
+
+            let text = typeof body === 'string' ? body : JSON.stringify(body);
+            return {status: 200, ok: true, headers: {get: () => null}, text: async () => text, json: async () => JSON.parse(text)};
+        },
+    };
+    return client;
+}
+
+const options = (client, more = {}) => ({httpClient: client, indexCache: false, firmwareCache: false, retries: 0, ...more});
+
+const index_url = (channel = 'prod') => `${url_base}/acme/${channel}/index.json`;
+
+/**
+ * A FirmwareCache holding the given entries in memory.
+ */
+function firmware_cache(entries = []) {
+    let same = (entry, key) => ['client', 'model', 'version', 'hash'].every((field) => entry[field] === key[field]);
+    return {
+        entries: entries,
+        get: async (key) => entries.find((entry) => same(entry, key)),
+        put: async (entry, path) => {
+            let stored = {...entry, path: path, size: 100};
+            entries.splice(0, entries.length, ...entries.filter((other) => !same(other, entry)), stored);
+            return stored;
+        },
+        list: async () => entries.slice(),
+        remove: async (key) => {
+            entries.splice(0, entries.length, ...entries.filter((entry) => !same(entry, key)));
+        },
+    };
+}
+
+/**
+ * A FileStore whose files all have the sha256 sum `hash`.
+ */
+const file_store = (hash) => ({hash: async () => hash, stat: async (path) => ({path: path, size: 100})});
+
+describe('fetching the index', () => {
+    let index = {kraken: {latest: '20240601.abc', '20240601.abc': {url: 'https://x/abc.gbl'}}};
+    let mirror = 'https://mirror.example.com';
+    let mirror_url = `${mirror}/acme/prod/index.json`;
+    let entry = async (client, more = {}) => (await get_update_plan('acme', 'kraken', undefined, 'prod', url_base,
+        options(client, {retryDelayMs: 0, ...more}))).entry;
+    let unavailable = (error) => error === ZeroByteErrorCodes.FIRMWARE_INDEX_UNAVAILABLE;
+
+    /**
+     * @returns A body which answers with each of the bodies in turn, then with the last one
+     */
+    let responses = (...bodies) => {
+        let count = 0;
+        return (request) => {
+            let body = bodies[Math.min(count++, bodies.length - 1)];
+            return typeof body === 'function' ? body(request) : body;
+        };
+    };
+
+    it('retries network errors and temporary HTTP errors', async () => {
+        let client = http_client({[index_url()]: responses(new Error('ECONNRESET'), {status: 503}, {status: 429}, index)});
+
+        assert.equal(await entry(client, {retries: 3}), '20240601.abc');
+        assert.equal(client.requests.length, 4);
+    });
+
+    it('gives up once the retries are spent', async () => {
+        let client = http_client({[index_url()]: {status: 500}});
+
+        await assert.rejects(entry(client, {retries: 2}), unavailable);
+        assert.equal(client.requests.length, 3);
+    });
+
+    it('does not retry other HTTP errors', async () => {
+        let client = http_client({});
+
+        await assert.rejects(entry(client, {retries: 2}), unavailable);
+        assert.equal(client.requests.length, 1);
+    });
+
+    it('retries a request which times out', async () => {
+        let hang = ({signal}) => new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(new Error('aborted'))));
+        let client = http_client({[index_url()]: responses(hang, index)});
+
+        assert.equal(await entry(client, {retries: 1, timeoutMs: 20}), '20240601.abc');
+        assert.equal(client.requests.length, 2);
+    });
+
+    it('requests the index from each mirror in turn while it is unavailable', async () => {
+        let client = http_client({[index_url()]: {status: 503}, [mirror_url]: index});
+
+        assert.equal(await entry(client, {mirrors: ['https://down.example.com', mirror]}), '20240601.abc');
+        assert.deepEqual(client.requests.map((request) => request.url),
+            [index_url(), 'https://down.example.com/acme/prod/index.json', mirror_url]);
+    });
+
+    it('does not try mirrors when the index is malformed', async () => {
+        let client = http_client({[index_url()]: '{', [mirror_url]: index});
+
+        await assert.rejects(entry(client, {mirrors: [mirror]}), (error) => error === ZeroByteErrorCodes.FIRMWARE_INDEX_MALFORMED);
+        assert.equal(client.requests.length, 1);
+    });
+
+    it('requests the index conditionally, and uses the cached copy if it has not been modified', async () => {
+        let cache = new MemoryIndexCache();
+        let headers = {'ETag': '"v1"', 'Last-Modified': 'Sat, 01 Jun 2024 00:00:00 GMT'};
+        let client = http_client({[index_url()]: (request) => (request.headers['If-None-Match'] === '"v1"'
+            ? {status: 304} : {status: 200, headers: headers, text: JSON.stringify(index)})});
+
+        assert.equal(await entry(client, {indexCache: cache}), '20240601.abc');
+        assert.equal(await entry(client, {indexCache: cache}), '20240601.abc');
+        assert.deepEqual(client.requests.map((request) => request.headers), [
+            {},
+            {'If-None-Match': '"v1"', 'If-Modified-Since': 'Sat, 01 Jun 2024 00:00:00 GMT'},
+        ]);
+    });
+
+    it('uses the cached copy while the index is unavailable, unless the offline fallback is disabled', async () => {
+        let cache = new MemoryIndexCache();
+        await entry(http_client({[index_url()]: index}), {indexCache: cache});
+        let client = http_client({[index_url()]: {status: 503}});
+
+        assert.equal(await entry(client, {indexCache: cache}), '20240601.abc');
+        await assert.rejects(entry(client, {indexCache: cache, offlineFallback: false}), unavailable);
+    });
+
+    it('does not cache indices which fail validation', async () => {
+        let cache = new MemoryIndexCache();
+        let client = http_client({[index_url()]: {kraken: {latest: 'gone'}}});
+
+        await assert.rejects(entry(client, {indexCache: cache}), (error) => error === ZeroByteErrorCodes.FIRMWARE_INDEX_MALFORMED);
+        assert.equal(await cache.get(index_url()), undefined);
+    });
+});
+
+describe('hardware revisions', () => {
+    let index = {kraken: {
+        latest: '20240601.abc_2m',
+        '20240601.abc_2m': {url: 'https://x/2m.gbl', version: '20240601.abc', compatible: ['2M']},
+        '20240601.abc_1m': {url: 'https://x/1m.gbl', version: '20240601.abc', compatible: ['1M']},
+        '20240501.def': {url: 'https://x/any.gbl'},
+    }};
+
+    it('resolves the newest entry compatible with the revision', async () => {
+        let client = http_client({[index_url()]: index});
+
+        assert.equal((await get_update_plan('acme', 'kraken', undefined, 'prod', url_base, options(client, {hwRevision: '2m'}))).entry, '20240601.abc_2m');
+        assert.equal((await get_update_plan('acme', 'kraken', undefined, 'prod', url_base, options(client, {hwRevision: '1M'}))).entry, '20240601.abc_1m');
+        assert.equal((await get_update_plan('acme', 'kraken', undefined, 'prod', url_base, options(client, {hwRevision: '4M'}))).entry, '20240501.def');
+    });
+
+    it('rejects an entry which declares its hardware when the revision is unknown, as runDFU would', async () => {
+        let client = http_client({[index_url()]: index});
+
+        assert.equal(is_fw_compatible(index.kraken['20240601.abc_2m'], undefined), false);
+        await assert.rejects(get_update_plan('acme', 'kraken', undefined, 'prod', url_base, options(client)),
+            (error) => error === ZeroByteErrorCodes.FIRMWARE_INDEX_HARDWARE_INCOMPATIBLE);
+        await assert.rejects(get_update_plan('acme', 'kraken', undefined, 'prod', url_base, options(client, {version: '20240601.abc'})),
+            (error) => error === ZeroByteErrorCodes.FIRMWARE_INDEX_HARDWARE_INCOMPATIBLE);
+    });
+
+    it('resolves entries which declare no hardware when the revision is unknown', async () => {
+        let client = http_client({[index_url()]: index});
+        let plan = await get_update_plan('acme', 'kraken', undefined, 'prod', url_base, options(client, {version: '20240501.def'}));
+
+        assert.equal(plan.entry, '20240501.def');
+        assert.equal(is_fw_compatible(plan.steps[0], undefined), true);
+    });
+});
+
+describe('rollouts', () => {
+    let index = {kraken: {
+        latest: '20240601.abc',
+        rollout: [
+            {version: '20240601.fix', allow: ['dog-1']},
+            {version: '20240601.abc', allow: ['dog-2']},
+            {version: '20240501.old', allow: ['dog-3']},
+            {version: '20240701.def', percent: 100},
+        ],
+        '20240701.def': {url: 'https://x/def.gbl'},
+        '20240601.fix': {url: 'https://x/fix.gbl'},
+        '20240601.abc': {url: 'https://x/abc.gbl'},
+        '20240501.old': {url: 'https://x/old.gbl'},
+    }};
+    let entry = async (deviceId) => (await get_update_plan('acme', 'kraken', undefined, 'prod', url_base,
+        options(http_client({[index_url()]: index}), {deviceId: deviceId}))).entry;
+
+    it('offers devices the version of the first stage they take part in', async () => {
+        assert.equal(await entry(' DOG-1 '), '20240601.fix');
+        assert.equal(await entry('someone'), '20240701.def');
+    });
+
+    it('offers the latest version to devices without an ID', async () => {
+        assert.equal(await entry(undefined), '20240601.abc');
+    });
+
+    it('ignores the stages of the latest version and older ones', async () => {
+        assert.equal(await entry('dog-2'), '20240701.def');
+        assert.equal(await entry('dog-3'), '20240701.def');
+    });
+});
+
+describe('offline fallback', () => {
+    let sha = (version) => version.replace(/\W/g, '').padEnd(64, '0');
+    let bundle = (version, releases = {}) => ({
+        client: 'acme', model: 'kraken', version: version, hash: sha(version), path: `/cache/${version}.gbl`, size: 100,
+        info: {entry: version, version: version, name: 'kraken', component: 'application', url: `https://x/${version}.gbl`, sha256: sha(version)},
+        channels: ['prod'], releases: releases, cachedAt: 1, lastUsed: 1,
+    });
+    let release = (more = {}) => ({prod: {
+        latest: '20240601.abc',
+        rollout: [{version: '20240701.def', allow: ['dog-1']}],
+        verified: false,
+        recordedAt: 2,
+        ...more,
+    }});
+    let plan = (cache, more = {}) => get_update_plan('acme', 'kraken', '20240401.aaa', 'prod', url_base,
+        options(http_client({}), {firmwareCache: cache, ...more}));
+    let unavailable = (error) => error === ZeroByteErrorCodes.FIRMWARE_INDEX_UNAVAILABLE;
+
+    it('offers the latest version and rollouts of the release recorded with the cached bundles', async () => {
+        let cache = firmware_cache([
+            bundle('20240701.def', release({latest: '20240501.old', recordedAt: 1})),
+            bundle('20240601.abc', release()),
+            bundle('20240501.old'),
+        ]);
+
+        let offered = await plan(cache);
+        assert.equal(offered.entry, '20240601.abc');
+        assert.deepEqual(offered.release, {latest: '20240601.abc', rollout: release().prod.rollout, verified: false});
+        assert.equal((await plan(cache, {deviceId: 'dog-1'})).entry, '20240701.def');
+    });
+
+    it('fails when the version offered to the device is not cached', async () => {
+        let cache = firmware_cache([bundle('20240601.abc', release())]);
+
+        assert.equal((await plan(cache)).entry, '20240601.abc');
+        await assert.rejects(plan(cache, {deviceId: 'dog-1'}), unavailable);
+    });
+
+    it('refuses bundles cached without their release', async () => {
+        await assert.rejects(plan(firmware_cache([bundle('20240601.abc')])), unavailable);
+    });
+
+    it('refuses releases from an unverified index when keys are trusted', async () => {
+        let trustedKeys = ['MCowBQYDK2VwAyEAvs7Yvn4ZHh6qMfCyHvxaXnmsJE4BOjSmYfH3qhhCyGU='];
+
+        await assert.rejects(plan(firmware_cache([bundle('20240601.abc', release())]), {trustedKeys: trustedKeys}), unavailable);
+        let offered = await plan(firmware_cache([bundle('20240601.abc', release({verified: true}))]), {trustedKeys: trustedKeys});
+        assert.equal(offered.entry, '20240601.abc');
+        assert.equal(offered.release.verified, true);
+    });
+
+    it('is not used when disabled', async () => {
+        await assert.rejects(plan(firmware_cache([bundle('20240601.abc', release())]), {offlineFallback: false}), unavailable);
+    });
+
+    it('uses the release download_fw records with a bundle', async () => {
+        let index = {kraken: {
+            latest: '20240601.abc',
+            rollout: [{version: '20240701.def', allow: ['dog-1']}],
+            '20240701.def': {url: 'https://x/20240701.def.gbl', sha256: sha('20240701.def')},
+            '20240601.abc': {url: 'https://x/20240601.abc.gbl', sha256: sha('20240601.abc')},
+        }};
+        let cache = firmware_cache([bundle('20240701.def'), bundle('20240601.abc')]);
+
+        for (let deviceId of ['dog-1', 'dog-2']) {
+            let online = await get_update_plan('acme', 'kraken', undefined, 'prod', url_base,
+                options(http_client({[index_url()]: index}), {deviceId: deviceId}));
+            await download_fw(online.steps[0], {firmwareCache: cache, fileStore: file_store(online.steps[0].sha256),
+                clientName: 'acme', modelName: 'kraken', channel: online.channel, release: online.release});
+        }
+
+        let recorded = (await cache.list()).map((entry) => entry.releases.prod);
+        assert.deepEqual(recorded.map((entry) => [entry.latest, entry.verified, typeof entry.recordedAt]),
+            [['20240601.abc', false, 'number'], ['20240601.abc', false, 'number']]);
+        assert.equal((await plan(cache, {deviceId: 'dog-1'})).entry, '20240701.def');
+        assert.equal((await plan(cache, {deviceId: 'dog-2'})).entry, '20240601.abc');
+    });
+});
+
+describe('resuming downloads', () => {
+    let image = application_image(20240601, 20000);
+    let sha256 = crypto.createHash('sha256').update(image).digest('hex');
+    let server;
+    let base;
+    let requests;
+    // Answers each request in turn, with (request, response)
+    let handlers;
+
+    let range_start = (request) => (request.headers.range ? Number(/^bytes=(\d+)-$/.exec(request.headers.range)[1]) : 0);
+
+    // Answers the requested range of `body` with the first `bytes` of it, then drops the connection once the client
+    // has had time to write them
+    let break_off = (bytes, body = image) => (request, response) => {
+        let start = range_start(request);
+        response.writeHead(start > 0 ? 206 : 200, {'Content-Length': body.length - start});
+        response.write(body.subarray(start, start + bytes), () => setTimeout(() => response.destroy(), 100));
+    };
+    let serve_range = (request, response, body = image) => {
+        let start = range_start(request);
+        response.writeHead(start > 0 ? 206 : 200, {'Content-Length': body.length - start});
+        response.end(body.subarray(start));
+    };
+    let serve_all = (request, response) => {
+        response.writeHead(200, {'Content-Length': image.length});
+        response.end(image);
+    };
+
+    before(async () => {
+        server = http.createServer((request, response) => {
+            requests.push(request.headers.range);
+            let handler = handlers.shift();
+            if ( handler === undefined ) {
+                response.writeHead(404);
+                response.end();
+            } else {
+                handler(request, response);
+            }
+        });
+        await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+        base = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+        server.closeAllConnections();
+        await new Promise((resolve) => server.close(resolve));
+    });
+
+    let temp_paths = [];
+    let file_store = new NodeFileStore();
+    let tracking_store = Object.assign(Object.create(file_store), {
+        tempPath: async (extension) => {
+            let path = await file_store.tempPath(extension);
+            temp_paths.push(path);
+            return path;
+        },
+    });
+
+    let download = async (...responses) => {
+        requests = [];
+        handlers = responses;
+        temp_paths = [];
+        let path = await download_fw({name: 'kraken', version: '20240601.abc', url: `${base}/kraken.gbl`, sha256: sha256},
+            {httpClient: new NodeHttpClient(), fileStore: tracking_store, firmwareCache: false, retries: 2, retryDelayMs: 0});
+        let contents = await fs.promises.readFile(path);
+        await fs.promises.unlink(path);
+        return contents;
+    };
+
+    it('resumes a download which breaks off where it stopped', async () => {
+        let contents = await download(break_off(5000), serve_range);
+
+        assert.ok(contents.equals(image));
+        assert.deepEqual(requests, [undefined, 'bytes=5000-']);
+    });
+
+    it('resumes several times', async () => {
+        let contents = await download(break_off(5000), break_off(7000), serve_range);
+
+        assert.ok(contents.equals(image));
+        assert.deepEqual(requests, [undefined, 'bytes=5000-', 'bytes=12000-']);
+    });
+
+    it('starts over when the server ignores the range', async () => {
+        let contents = await download(break_off(5000), serve_all, serve_all);
+
+        assert.ok(contents.equals(image));
+        assert.deepEqual(requests, [undefined, 'bytes=5000-', undefined]);
+    });
+
+    it('gives up on errors which are not temporary, and deletes the partial file', async () => {
+        await assert.rejects(download(break_off(5000)), (error) => error === ZeroByteErrorCodes.FIRMWARE_BUNDLE_UNAVAILABLE);
+
+        assert.deepEqual(requests, [undefined, 'bytes=5000-']);
+        assert.equal(await file_store.exists(temp_paths[0]), false);
+    });
+
+    it('deletes a download which does not match its checksum', async () => {
+        let corrupt = Buffer.from(image);
+        corrupt[15000] ^= 1;
+
+        await assert.rejects(download(break_off(5000), (request, response) => serve_range(request, response, corrupt)),
+            (error) => error === ZeroByteErrorCodes.FIRMWARE_BUNDLE_CHECKSUM_MISMATCH);
+        assert.equal(await file_store.exists(temp_paths[0]), false);
+    });
+});
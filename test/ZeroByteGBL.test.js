@@ -0,0 +1,105 @@
+/*
+ * ZeroByteGBL.test.js
+ *
+ * Copyright (c) 2023 Zero Byte LLC, All Rights Reserved
+ * Licensed under CC BY-ND 4.0 (https://creativecommons.org/licenses/by-nd/4.0/)
+ *
+ * SPDX-License-Identifier: CC-BY-ND-4.0
+ * SPDX-FileCopyrightText: Copyright (c) 2023 Zero Byte LLC (hello@zerobytellc.com) All Rights Reserved
+ *
+ * @author Timothy C Sweeney-Fanelli, Zero Byte LLC (tim@zerobytellc.com)
+ */
+
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {ZeroByteErrorCodes} from '../ZeroByteErrorCodes';
+import {parse_gbl, parse_gbl_stream} from '../ZeroByteGBL';
+import {TAG_HEADER, TAG_APPLICATION, TAG_BOOTLOADER, TAG_METADATA, TAG_SIGNATURE, tag, words, gbl, application, program} from './fixtures';
+
+const malformed = (error) => error === ZeroByteErrorCodes.FIRMWARE_BUNDLE_MALFORMED;
+
+async function* chunks(bytes, size) {
+    for (let i = 0; i < bytes.length; i += size)
+        yield bytes.subarray(i, i + size);
+}
+
+describe('parse_gbl', () => {
+    it('describes an application image', () => {
+        let image = gbl([application(20240601), program(100)]);
+        let info = parse_gbl(image);
+
+        assert.equal(info.gblVersion, 0x03000000);
+        assert.equal(info.imageType, 'application');
+        assert.deepEqual(info.components, ['application']);
+        assert.deepEqual(info.application, {type: 32, version: 20240601, capabilities: 0, productId: 'ab'.repeat(16)});
+        assert.equal(info.appVersion, 20240601);
+        assert.equal(info.signed, false);
+        assert.equal(info.encrypted, false);
+        assert.equal(info.crc32, image.readUInt32LE(image.length - 4));
+        assert.equal(info.size, image.length);
+        assert.deepEqual(info.tags.map((t) => [t.name, t.offset, t.length]), [
+            ['header', 0, 8],
+            ['application', 16, 28],
+            ['program_data', 52, 104],
+            ['end', 164, 4],
+        ]);
+    });
+
+    it('describes bootloader, combined and signed images', () => {
+        let bootloader = parse_gbl(gbl([tag(TAG_BOOTLOADER, words(0x02040000, 0x0FE10000))]));
+        assert.equal(bootloader.imageType, 'bootloader');
+        assert.equal(bootloader.bootloaderVersion, 0x02040000);
+
+        let combined = parse_gbl(gbl([tag(TAG_BOOTLOADER, words(1, 0)), application(1), program(10), tag(TAG_METADATA, Buffer.from('x'))]));
+        assert.equal(combined.imageType, 'combined');
+        assert.deepEqual(combined.components, ['bootloader', 'application']);
+
+        let signed = parse_gbl(gbl([application(1), program(10), tag(TAG_SIGNATURE, Buffer.alloc(64))], 0x00000100));
+        assert.equal(signed.signed, true);
+    });
+
+    it('ignores bytes after the end tag', () => {
+        let image = gbl([application(1), program(10)]);
+        let info = parse_gbl(Buffer.concat([image, Buffer.alloc(16, 0xFF)]));
+
+        assert.equal(info.crc32, image.readUInt32LE(image.length - 4));
+        assert.equal(info.size, image.length + 16);
+    });
+
+    it('rejects an image whose CRC32 does not match', () => {
+        let image = gbl([application(1), program(10)]);
+        image[30] ^= 1;
+
+        assert.throws(() => parse_gbl(image), (error) => error === ZeroByteErrorCodes.FIRMWARE_BUNDLE_CRC_MISMATCH);
+    });
+
+    it('rejects malformed images', () => {
+        let image = gbl([application(1), program(10)]);
+
+        assert.throws(() => parse_gbl(Buffer.alloc(0)), malformed);
+        assert.throws(() => parse_gbl(image.subarray(8)), malformed);
+        assert.throws(() => parse_gbl(image.subarray(0, 60)), malformed);
+        assert.throws(() => parse_gbl(image.subarray(0, image.length - 12)), malformed);
+        assert.throws(() => parse_gbl(gbl([application(1)])), malformed);
+        assert.throws(() => parse_gbl(gbl([tag(TAG_APPLICATION, words(1))])), malformed);
+        assert.throws(() => parse_gbl(gbl([tag(TAG_HEADER, words(0, 0))])), malformed);
+        assert.throws(() => parse_gbl(gbl([application(1), program(10)], 0x00000100)), malformed);
+    });
+});
+
+describe('parse_gbl_stream', () => {
+    it('describes an image read in chunks of any size as parse_gbl does', async () => {
+        let image = gbl([tag(TAG_BOOTLOADER, words(1, 0)), application(20240601), program(1000)]);
+        let expected = parse_gbl(image);
+
+        for (let size of [1, 3, 8, 13, 4096])
+            assert.deepEqual(await parse_gbl_stream(chunks(image, size)), expected);
+    });
+
+    it('rejects malformed images read in chunks', async () => {
+        let image = gbl([application(1), program(100)]);
+
+        await assert.rejects(parse_gbl_stream(chunks(image.subarray(0, 100), 7)), malformed);
+    });
+});
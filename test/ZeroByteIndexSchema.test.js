@@ -0,0 +1,146 @@
+/*
+ * ZeroByteIndexSchema.test.js
+ *
+ * Copyright (c) 2023 Zero Byte LLC, All Rights Reserved
+ * Licensed under CC BY-ND 4.0 (https://creativecommons.org/licenses/by-nd/4.0/)
+ *
+ * SPDX-License-Identifier: CC-BY-ND-4.0
+ * SPDX-FileCopyrightText: Copyright (c) 2023 Zero Byte LLC (hello@zerobytellc.com) All Rights Reserved
+ *
+ * @author Timothy C Sweeney-Fanelli, Zero Byte LLC (tim@zerobytellc.com)
+ */
+
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {validate_fw_index, fw_index_devices, fw_entry_keys} from '../ZeroByteIndexSchema';
+
+const kraken = () => ({
+    latest: '20240601.abc',
+    rollout: [{version: '20240701.def', percent: 10, allow: ['dog-1']}],
+    '20240701.def': {url: 'https://example.com/new.gbl', apploader: 'apploader_1.2.0'},
+    '20240601.abc': {
+        url: 'https://example.com/app.gbl',
+        md5: '0123456789abcdef0123456789abcdef',
+        sha256: '0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef',
+        size: 1024,
+        released: '2024-06-01',
+        critical: false,
+        notes: {en: 'Fixes', de: 'Korrekturen'},
+        compatible: ['2M'],
+        requires: [{entry: 'apploader_1.2.0', component: 'apploader', min_version: '1.2.0.0'}],
+    },
+    'apploader_1.2.0': {url: 'https://example.com/apploader.gbl', component: 'apploader', version: '1.2.0.0'},
+});
+
+const paths = (problems) => problems.map((problem) => problem.path);
+
+describe('validate_fw_index', () => {
+    it('accepts valid indices of either format', () => {
+        assert.deepEqual(validate_fw_index({kraken: kraken()}), []);
+        assert.deepEqual(validate_fw_index({schema: 2, devices: {kraken: kraken()}}), []);
+    });
+
+    it('finds the latest version of models without one, if their versions can be ordered', () => {
+        let model = {'20240601.abc': {url: 'https://example.com/new.gbl'}, '20240501.def': {url: 'https://example.com/old.gbl'}};
+        assert.deepEqual(validate_fw_index({kraken: model}), []);
+
+        model = kraken();
+        delete model.latest;
+        assert.deepEqual(validate_fw_index({kraken: model}), [
+            {path: '$.kraken', message: 'has no "latest" version, and its versions can not be ordered to find it'},
+        ]);
+    });
+
+    it('rejects unsupported formats', () => {
+        assert.deepEqual(validate_fw_index([]), [{path: '$', message: 'must be an object listing device models, found an array'}]);
+        assert.deepEqual(paths(validate_fw_index({schema: 3, devices: {}})), ['$.schema']);
+        assert.deepEqual(paths(validate_fw_index({schema: 2})), ['$.devices']);
+    });
+
+    it('rejects models without firmware', () => {
+        assert.deepEqual(paths(validate_fw_index({kraken: 'nope', arcus: {}})), ['$.kraken', '$.arcus']);
+    });
+
+    it('rejects malformed entries', () => {
+        let model = kraken();
+        Object.assign(model['20240601.abc'], {
+            url: 'ftp://example.com/app.gbl',
+            md5: 'abc',
+            sha256: 42,
+            size: -1,
+            released: 'June',
+            critical: 'no',
+            notes: {en: 1},
+            compatible: [],
+        });
+        model['20240501.old'] = {};
+
+        assert.deepEqual(paths(validate_fw_index({schema: 2, devices: {kraken: model}})), [
+            '$.devices.kraken["20240601.abc"].url',
+            '$.devices.kraken["20240601.abc"].md5',
+            '$.devices.kraken["20240601.abc"].sha256',
+            '$.devices.kraken["20240601.abc"].size',
+            '$.devices.kraken["20240601.abc"].released',
+            '$.devices.kraken["20240601.abc"].critical',
+            '$.devices.kraken["20240601.abc"].notes.en',
+            '$.devices.kraken["20240601.abc"].compatible',
+            '$.devices.kraken["20240501.old"].url',
+        ]);
+    });
+
+    it('rejects references to entries which are not listed', () => {
+        let model = kraken();
+        model.latest = '20240801.zzz';
+        model['20240701.def'].apploader = 'gone';
+        model['20240601.abc'].requires.push({component: 'bootloader'}, 'bootloader');
+
+        assert.deepEqual(validate_fw_index({kraken: model}), [
+            {path: '$.kraken.latest', message: 'references firmware entry "20240801.zzz", which is not listed'},
+            {path: '$.kraken["20240701.def"].apploader', message: 'references firmware entry "gone", which is not listed'},
+            {path: '$.kraken["20240601.abc"].requires[1].entry', message: 'is required'},
+            {path: '$.kraken["20240601.abc"].requires[2]', message: 'must be a requirement object, found string "bootloader"'},
+        ]);
+    });
+
+    it('rejects malformed rollout stages', () => {
+        let model = kraken();
+        model.rollout = [{version: 'zz', percent: 101}, {version: '20240701.def'}, 3, {allow: ['', 2]}];
+
+        assert.deepEqual(validate_fw_index({kraken: model}), [
+            {path: '$.kraken.rollout[0].version', message: 'references firmware entry "zz", which is not listed'},
+            {path: '$.kraken.rollout[0].percent', message: 'must be a number from 0 to 100, found number 101'},
+            {path: '$.kraken.rollout[1]', message: 'must declare a percent or an allow list'},
+            {path: '$.kraken.rollout[2]', message: 'must be a rollout stage object, found number 3'},
+            {path: '$.kraken.rollout[3].version', message: 'is required'},
+            {path: '$.kraken.rollout[3].allow[0]', message: 'must be a device id, found string ""'},
+            {path: '$.kraken.rollout[3].allow[1]', message: 'must be a device id, found number 2'},
+        ]);
+
+        model.rollout = {};
+        assert.deepEqual(paths(validate_fw_index({kraken: model})), ['$.kraken.rollout']);
+    });
+
+    it('rejects entries which require themselves', () => {
+        let model = kraken();
+        model['apploader_1.2.0'].requires = [{entry: '20240601.abc'}];
+
+        assert.deepEqual(validate_fw_index({kraken: model}), [
+            {path: '$.kraken["apploader_1.2.0"]', message: 'requires itself: apploader_1.2.0 -> 20240601.abc -> apploader_1.2.0'},
+        ]);
+    });
+});
+
+describe('fw_index_devices', () => {
+    it('lists the models of either format', () => {
+        let devices = {kraken: kraken()};
+        assert.equal(fw_index_devices(devices), devices);
+        assert.equal(fw_index_devices({schema: 2, devices: devices}), devices);
+    });
+});
+
+describe('fw_entry_keys', () => {
+    it('lists the firmware entries of a model', () => {
+        assert.deepEqual(fw_entry_keys(kraken()), ['20240701.def', '20240601.abc', 'apploader_1.2.0']);
+    });
+});
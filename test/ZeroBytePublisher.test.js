@@ -0,0 +1,245 @@
+/*
+ * ZeroBytePublisher.test.js
+ *
+ * Copyright (c) 2023 Zero Byte LLC, All Rights Reserved
+ * Licensed under CC BY-ND 4.0 (https://creativecommons.org/licenses/by-nd/4.0/)
+ *
+ * SPDX-License-Identifier: CC-BY-ND-4.0
+ * SPDX-FileCopyrightText: Copyright (c) 2023 Zero Byte LLC (hello@zerobytellc.com) All Rights Reserved
+ *
+ * @author Timothy C Sweeney-Fanelli, Zero Byte LLC (tim@zerobytellc.com)
+ */
+
+import {describe, it, beforeEach, afterEach} from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import {publish_release, promote_fw_version, read_fw_index} from '../ZeroBytePublisher';
+import {generate_signing_keys, verify_fw_index_signature} from '../ZeroByteSignatures';
+import {application_image} from './fixtures';
+
+const url_base = 'https://firmware.example.com';
+
+let tmp;
+let root;
+
+beforeEach(async () => {
+    tmp = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'zerobyte-publisher-'));
+    root = path.join(tmp, 'site');
+});
+
+afterEach(async () => {
+    await fs.promises.rm(tmp, {recursive: true, force: true});
+});
+
+/**
+ * Writes a release directory holding the given GBL images, by file name.
+ */
+async function release(files) {
+    let dir = await fs.promises.mkdtemp(path.join(tmp, 'release-'));
+    for (let name of Object.keys(files))
+        await fs.promises.writeFile(path.join(dir, name), files[name]);
+    return dir;
+}
+
+async function publish(files, options = {}) {
+    return publish_release({dir: await release(files), root: root, url_base: url_base, client_name: 'acme',
+        model_name: 'kraken', ...options});
+}
+
+async function promote(version, options = {}) {
+    return promote_fw_version({root: root, url_base: url_base, client_name: 'acme', model_name: 'kraken', version: version,
+        from: 'beta', to: 'prod', ...options});
+}
+
+describe('publish_release', () => {
+    it('lists the images of a release and links the application to its dependencies', async () => {
+        let result = await publish({
+            'kraken_appfw_20240601.abc.gbl': application_image(1, 100),
+            'kraken_apploader_1.2.0.0.gbl': application_image(2, 10),
+            'kraken_bootloader_2.4.0.gbl': application_image(3, 10),
+        });
+
+        assert.equal(result.version, '20240601.abc');
+        assert.deepEqual(result.entries.sort(), ['20240601.abc', 'apploader_1.2.0.0', 'bootloader_2.4.0']);
+        assert.equal(result.path, path.join(root, 'acme', 'prod', 'index.json'));
+
+        let kraken = (await read_fw_index(root, 'acme', 'prod')).kraken;
+        assert.equal(kraken.latest, '20240601.abc');
+        assert.equal(kraken['20240601.abc'].url, `${url_base}/acme/prod/kraken/kraken_appfw_20240601.abc.gbl`);
+        assert.equal(kraken['20240601.abc'].apploader, 'apploader_1.2.0.0');
+        assert.deepEqual(kraken['20240601.abc'].requires, [{entry: 'bootloader_2.4.0', component: 'bootloader'}]);
+        assert.equal(kraken['apploader_1.2.0.0'].component, 'apploader');
+        assert.equal(kraken['apploader_1.2.0.0'].version, '1.2.0.0');
+        assert.ok(fs.existsSync(path.join(root, 'acme', 'prod', 'kraken', 'kraken_bootloader_2.4.0.gbl')));
+        assert.deepEqual(JSON.parse(await fs.promises.readFile(path.join(root, 'acme', 'channels.json'), 'utf8')), {channels: ['prod']});
+    });
+
+    it('applies the release version to the application image only', async () => {
+        let result = await publish({
+            'kraken_appfw.gbl': application_image(),
+            'kraken_apploader_1.2.0.0.gbl': application_image(),
+        }, {version: '20240601.abc'});
+
+        assert.deepEqual(result.entries.sort(), ['20240601.abc', 'apploader_1.2.0.0']);
+        assert.equal(result.index.kraken['apploader_1.2.0.0'].version, '1.2.0.0');
+    });
+
+    it('keeps the apploader of the previous release, and moves latest to the newest version', async () => {
+        await publish({'kraken_appfw_20240601.abc.gbl': application_image(), 'kraken_apploader_1.2.0.0.gbl': application_image()});
+        await publish({'kraken_appfw_20240701.def.gbl': application_image()});
+        let result = await publish({'kraken_appfw_20240501.old.gbl': application_image()});
+
+        assert.equal(result.index.kraken.latest, '20240701.def');
+        assert.equal(result.index.kraken['20240701.def'].apploader, 'apploader_1.2.0.0');
+    });
+
+    it('writes version 2 indices with release metadata', async () => {
+        let result = await publish({'kraken_appfw_20240601.abc.gbl': application_image()},
+            {schema: 2, released: '2024-06-01', metadata: {notes: {en: 'Fixes'}, critical: true}});
+
+        let entry = result.index.devices.kraken['20240601.abc'];
+        assert.equal(result.index.schema, 2);
+        assert.equal(entry.released, '2024-06-01');
+        assert.equal(entry.sha256.length, 64);
+        assert.deepEqual(entry.notes, {en: 'Fixes'});
+        assert.equal(entry.critical, true);
+    });
+
+    it('refuses releases without exactly one application image', async () => {
+        await assert.rejects(publish({'kraken_apploader_1.2.0.0.gbl': application_image()}), /Expected one application image/);
+        await assert.rejects(publish({'kraken_appfw_20240601.abc.gbl': Buffer.from('nope')}), /is not a valid GBL image/);
+    });
+});
+
+describe('promote_fw_version', () => {
+    it('copies a version, its dependencies and their images into the target channel', async () => {
+        await publish({'kraken_appfw_20240601.abc.gbl': application_image(), 'kraken_apploader_1.2.0.0.gbl': application_image()},
+            {channel: 'beta', schema: 2});
+        let result = await promote('20240601.abc');
+
+        assert.deepEqual(result.entries, ['20240601.abc', 'apploader_1.2.0.0']);
+        assert.equal(result.index.schema, 2);
+
+        let kraken = result.index.devices.kraken;
+        assert.equal(kraken.latest, '20240601.abc');
+        assert.equal(kraken['20240601.abc'].url, `${url_base}/acme/prod/kraken/kraken_appfw_20240601.abc.gbl`);
+        assert.ok(fs.existsSync(path.join(root, 'acme', 'prod', 'kraken', 'kraken_apploader_1.2.0.0.gbl')));
+        assert.deepEqual(JSON.parse(await fs.promises.readFile(path.join(root, 'acme', 'channels.json'), 'utf8')), {channels: ['beta', 'prod']});
+    });
+
+    it('keeps a newer latest version of the target channel', async () => {
+        await publish({'kraken_appfw_20240701.def.gbl': application_image()}, {channel: 'prod'});
+        await publish({'kraken_appfw_20240601.abc.gbl': application_image()}, {channel: 'beta'});
+        let result = await promote('20240601.abc');
+
+        assert.equal(result.index.kraken.latest, '20240701.def');
+        assert.ok(result.index.kraken['20240601.abc'] !== undefined);
+    });
+
+    it('refuses versions which are not listed in the source channel', async () => {
+        await publish({'kraken_appfw_20240601.abc.gbl': application_image()}, {channel: 'beta'});
+
+        await assert.rejects(promote('20240701.def'), /20240701.def is not listed in the beta channel of acme/);
+    });
+});
+
+describe('signed indices', () => {
+    let keys = generate_signing_keys();
+    let index_file = (channel) => path.join(root, 'acme', channel, 'index.json');
+
+    it('signs the index with every key', async () => {
+        let other = generate_signing_keys();
+        await publish({'kraken_appfw_20240601.abc.gbl': application_image()}, {signingKeys: [keys.secretKey, other.secretKey]});
+
+        let text = await fs.promises.readFile(index_file('prod'), 'utf8');
+        let signatures = await fs.promises.readFile(index_file('prod') + '.sig', 'utf8');
+        assert.equal(signatures.trim().split('\n').length, 2);
+        assert.equal(verify_fw_index_signature(text, signatures, [keys.publicKey]), true);
+        assert.equal(verify_fw_index_signature(text, signatures, [other.publicKey]), true);
+        assert.equal(fs.existsSync(index_file('prod') + '.sig.tmp'), false);
+    });
+
+    it('refuses to change a signed index without signing keys', async () => {
+        await publish({'kraken_appfw_20240601.abc.gbl': application_image()}, {signingKeys: [keys.secretKey]});
+        let signed = await fs.promises.readFile(index_file('prod'), 'utf8');
+
+        await assert.rejects(publish({'kraken_appfw_20240701.def.gbl': application_image()}), /prod index of acme is signed/);
+        assert.equal(await fs.promises.readFile(index_file('prod'), 'utf8'), signed);
+    });
+
+    it('signs the target index of a promotion, and refuses to promote into a signed channel without keys', async () => {
+        await publish({'kraken_appfw_20240601.abc.gbl': application_image()}, {channel: 'beta'});
+        await publish({'kraken_appfw_20240501.old.gbl': application_image()}, {channel: 'prod', signingKeys: [keys.secretKey]});
+
+        await assert.rejects(promote('20240601.abc'), /prod index of acme is signed/);
+
+        await promote('20240601.abc', {signingKeys: [keys.secretKey]});
+        let text = await fs.promises.readFile(index_file('prod'), 'utf8');
+        assert.equal(JSON.parse(text).kraken.latest, '20240601.abc');
+        assert.equal(verify_fw_index_signature(text, await fs.promises.readFile(index_file('prod') + '.sig', 'utf8'), [keys.publicKey]), true);
+    });
+});
+
+describe('rollouts', () => {
+    it('stages a version instead of making it the latest, and updates its stage', async () => {
+        await publish({'kraken_appfw_20240601.abc.gbl': application_image()});
+        await publish({'kraken_appfw_20240701.def.gbl': application_image()}, {rollout: {percent: 10, allow: ['dog-1']}});
+        let result = await publish({'kraken_appfw_20240701.def.gbl': application_image()}, {rollout: {percent: 50, allow: ['dog-2']}});
+
+        assert.equal(result.index.kraken.latest, '20240601.abc');
+        assert.deepEqual(result.index.kraken.rollout, [{version: '20240701.def', percent: 50, allow: ['dog-1', 'dog-2']}]);
+    });
+
+    it('makes the first version of a model the latest', async () => {
+        let result = await publish({'kraken_appfw_20240601.abc.gbl': application_image()}, {rollout: {percent: 10}});
+
+        assert.equal(result.index.kraken.latest, '20240601.abc');
+        assert.equal(result.index.kraken.rollout, undefined);
+    });
+
+    it('stages a different build from the day of the latest version, but not the latest or older versions', async () => {
+        await publish({'kraken_appfw_20240601.abc.gbl': application_image()});
+        let result = await publish({'kraken_appfw_20240601.fix.gbl': application_image()}, {rollout: {allow: ['dog-1']}});
+
+        assert.equal(result.index.kraken.latest, '20240601.abc');
+        assert.deepEqual(result.index.kraken.rollout, [{version: '20240601.fix', allow: ['dog-1']}]);
+
+        await assert.rejects(publish({'kraken_appfw_20240601.abc.gbl': application_image()}, {rollout: {percent: 5}}), /nothing to roll out/);
+        await assert.rejects(publish({'kraken_appfw_20240501.old.gbl': application_image()}, {rollout: {percent: 5}}), /nothing to roll out/);
+        await assert.rejects(publish({'kraken_appfw_20240701.def.gbl': application_image()}, {rollout: {}}), /needs a percent or device IDs/);
+        await assert.rejects(publish({'kraken_appfw_20240701.def.gbl': application_image()}, {rollout: {percent: 101}}), /from 0 to 100/);
+    });
+
+    it('finishes the stages of the new latest version and older ones, and keeps those of other builds from its day', async () => {
+        await publish({'kraken_appfw_20240601.abc.gbl': application_image()}, {channel: 'beta'});
+        await publish({'kraken_appfw_20240501.old.gbl': application_image()});
+        await publish({'kraken_appfw_20240601.fix.gbl': application_image()}, {rollout: {percent: 10}});
+        await publish({'kraken_appfw_20240701.def.gbl': application_image()}, {rollout: {percent: 10}});
+
+        let result = await promote('20240601.abc');
+        assert.equal(result.index.kraken.latest, '20240601.abc');
+        assert.deepEqual(result.index.kraken.rollout.map((stage) => stage.version), ['20240601.fix', '20240701.def']);
+
+        result = await publish({'kraken_appfw_20240801.ghi.gbl': application_image()});
+        assert.equal(result.index.kraken.latest, '20240801.ghi');
+        assert.equal(result.index.kraken.rollout, undefined);
+    });
+
+    it('rolls a promoted version out in the target channel, and finishes its stage when it is promoted again', async () => {
+        await publish({'kraken_appfw_20240601.abc.gbl': application_image()}, {channel: 'prod'});
+        await publish({'kraken_appfw_20240601.fix.gbl': application_image()}, {channel: 'beta'});
+        await publish({'kraken_appfw_20240701.def.gbl': application_image()}, {channel: 'beta'});
+
+        await promote('20240601.fix', {rollout: {allow: ['dog-1']}});
+        let result = await promote('20240701.def', {rollout: {percent: 20}});
+        assert.equal(result.index.kraken.latest, '20240601.abc');
+        assert.deepEqual(result.index.kraken.rollout.map((stage) => stage.version), ['20240601.fix', '20240701.def']);
+
+        result = await promote('20240701.def');
+        assert.equal(result.index.kraken.latest, '20240701.def');
+        assert.equal(result.index.kraken.rollout, undefined);
+    });
+});
@@ -0,0 +1,80 @@
+/*
+ * ZeroByteRollout.test.js
+ *
+ * Copyright (c) 2023 Zero Byte LLC, All Rights Reserved
+ * Licensed under CC BY-ND 4.0 (https://creativecommons.org/licenses/by-nd/4.0/)
+ *
+ * SPDX-License-Identifier: CC-BY-ND-4.0
+ * SPDX-FileCopyrightText: Copyright (c) 2023 Zero Byte LLC (hello@zerobytellc.com) All Rights Reserved
+ *
+ * @author Timothy C Sweeney-Fanelli, Zero Byte LLC (tim@zerobytellc.com)
+ */
+
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {rollout_bucket, select_rollout_stage} from '../ZeroByteRollout';
+
+describe('rollout_bucket', () => {
+    it('is the FNV-1a hash of the salted device ID', () => {
+        // FNV-1a of ':' is 0x3F0CB86D = 1057798253
+        assert.equal(rollout_bucket(''), 82.53);
+        assert.equal(rollout_bucket('abc', 'v'), 48.07);
+    });
+
+    it('places a device in the same bucket, whatever its case and surrounding whitespace', () => {
+        assert.equal(rollout_bucket(' ABC ', 'v'), rollout_bucket('abc', 'v'));
+    });
+
+    it('places devices in buckets from 0 to 100, in steps of 0.01', () => {
+        for (let i = 0; i < 1000; ++i) {
+            let bucket = rollout_bucket('device-' + i, '20240601.abc');
+            assert.ok(bucket >= 0 && bucket < 100);
+            assert.equal(bucket, Math.round(bucket * 100) / 100);
+        }
+    });
+
+    it('spreads devices evenly', () => {
+        let below = 0;
+        for (let i = 0; i < 10000; ++i)
+            if ( rollout_bucket('device-' + i, '20240601.abc') < 10 )
+                ++below;
+
+        assert.ok(below > 900 && below < 1100, `${below} of 10000 devices are below 10`);
+    });
+
+    it('places a device in a different bucket for each salt', () => {
+        assert.notEqual(rollout_bucket('device-1', '20240601.abc'), rollout_bucket('device-1', '20240701.def'));
+    });
+});
+
+describe('select_rollout_stage', () => {
+    let rollout = [
+        {version: '20240701.def', allow: ['Dog-1']},
+        {version: '20240601.abc', percent: 50},
+    ];
+
+    it('selects the first stage a device is allowed into', () => {
+        assert.equal(select_rollout_stage(rollout, ' dog-1 '), rollout[0]);
+    });
+
+    it('selects a stage whose percent exceeds the bucket of the device', () => {
+        let ids = Array.from({length: 100}, (_, i) => 'device-' + i);
+        let inside = ids.find((id) => rollout_bucket(id, '20240601.abc') < 50);
+        let outside = ids.find((id) => rollout_bucket(id, '20240601.abc') >= 50);
+
+        assert.equal(select_rollout_stage(rollout, inside), rollout[1]);
+        assert.equal(select_rollout_stage(rollout, outside), undefined);
+    });
+
+    it('selects no stage for devices without an ID, or without stages', () => {
+        assert.equal(select_rollout_stage(rollout, undefined), undefined);
+        assert.equal(select_rollout_stage(rollout, '  '), undefined);
+        assert.equal(select_rollout_stage(undefined, 'dog-1'), undefined);
+    });
+
+    it('selects no stage at 0 percent, and every stage at 100 percent', () => {
+        assert.equal(select_rollout_stage([{version: 'a', percent: 0}], 'device-1'), undefined);
+        assert.equal(select_rollout_stage([{version: 'a', percent: 100}], 'device-1').version, 'a');
+    });
+});
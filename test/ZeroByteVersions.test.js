@@ -0,0 +1,102 @@
+/*
+ * ZeroByteVersions.test.js
+ *
+ * Copyright (c) 2023 Zero Byte LLC, All Rights Reserved
+ * Licensed under CC BY-ND 4.0 (https://creativecommons.org/licenses/by-nd/4.0/)
+ *
+ * SPDX-License-Identifier: CC-BY-ND-4.0
+ * SPDX-FileCopyrightText: Copyright (c) 2023 Zero Byte LLC (hello@zerobytellc.com) All Rights Reserved
+ *
+ * @author Timothy C Sweeney-Fanelli, Zero Byte LLC (tim@zerobytellc.com)
+ */
+
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {compare_fw_versions, fw_versions_match, newest_fw_version, compare_hw_revisions} from '../ZeroByteVersions';
+
+describe('compare_fw_versions', () => {
+    it('orders date versions by date', () => {
+        assert.equal(compare_fw_versions('20220101.abc123f', '20220615.def4567'), -1);
+        assert.equal(compare_fw_versions('20220615.def4567', '20220101.abc123f'), 1);
+        assert.equal(compare_fw_versions('20220101', '20220102.abc'), -1);
+    });
+
+    it('considers builds from the same day equal', () => {
+        assert.equal(compare_fw_versions('20240601.abc', '20240601.def'), 0);
+        assert.equal(compare_fw_versions('20240601', '20240601.abc'), 0);
+    });
+
+    it('orders semver and dotted numeric versions by precedence', () => {
+        assert.equal(compare_fw_versions('1.2.3', '1.10.0'), -1);
+        assert.equal(compare_fw_versions('v2.0.0', '1.9.9'), 1);
+        assert.equal(compare_fw_versions('1.2', '1.2.0.0'), 0);
+        assert.equal(compare_fw_versions('2.4.0.1', '2.4.0'), 1);
+        assert.equal(compare_fw_versions('1.0.0+build.5', '1.0.0'), 0);
+    });
+
+    it('orders pre-releases before their release', () => {
+        assert.equal(compare_fw_versions('1.0.0-beta', '1.0.0'), -1);
+        assert.equal(compare_fw_versions('1.0.0-alpha', '1.0.0-beta'), -1);
+        assert.equal(compare_fw_versions('1.0.0-beta.2', '1.0.0-beta.11'), -1);
+        assert.equal(compare_fw_versions('1.0.0-1', '1.0.0-alpha'), -1);
+        assert.equal(compare_fw_versions('1.0.0-beta', '1.0.0-beta.1'), -1);
+    });
+
+    it('accepts numbers', () => {
+        assert.equal(compare_fw_versions(20240601, '20240501.abc'), 1);
+    });
+
+    it('can not order unknown or mixed version schemes', () => {
+        assert.equal(compare_fw_versions('20240601.abc', '1.2.3'), undefined);
+        assert.equal(compare_fw_versions('nightly', '1.2.3'), undefined);
+        assert.equal(compare_fw_versions(undefined, '1.2.3'), undefined);
+        assert.equal(compare_fw_versions('nightly', 'nightly'), 0);
+    });
+});
+
+describe('fw_versions_match', () => {
+    it('matches date versions with the same git sha, ignoring case', () => {
+        assert.equal(fw_versions_match('20240601.ABC', '20240601.abc'), true);
+        assert.equal(fw_versions_match('20240601.abc', '20240601.def'), false);
+        assert.equal(fw_versions_match('20240601.abc', '20240501.abc'), false);
+    });
+
+    it('matches a date version without a git sha to every build of that day', () => {
+        assert.equal(fw_versions_match('20240601', '20240601.abc'), true);
+        assert.equal(fw_versions_match('20240601.abc', '20240601'), true);
+        assert.equal(fw_versions_match('20240601', '20240602.abc'), false);
+    });
+
+    it('matches versions which can not be ordered only if they are the same string', () => {
+        assert.equal(fw_versions_match('Nightly', 'nightly'), true);
+        assert.equal(fw_versions_match('nightly', 'weekly'), false);
+        assert.equal(fw_versions_match(undefined, '20240601'), false);
+        assert.equal(fw_versions_match(undefined, undefined), true);
+    });
+});
+
+describe('newest_fw_version', () => {
+    it('finds the newest version', () => {
+        assert.equal(newest_fw_version(['20240101.a', '20240601.b', '20240301.c']), '20240601.b');
+        assert.equal(newest_fw_version(['1.0.0', '1.0.1-rc.1', '1.0.1']), '1.0.1');
+    });
+
+    it('gives up on empty lists and versions which can not be ordered', () => {
+        assert.equal(newest_fw_version([]), undefined);
+        assert.equal(newest_fw_version(['20240101.a', '1.0.0']), undefined);
+    });
+});
+
+describe('compare_hw_revisions', () => {
+    it('orders letter revisions alphabetically, shorter first', () => {
+        assert.equal(compare_hw_revisions('A', 'b'), -1);
+        assert.equal(compare_hw_revisions('Z', 'AA'), -1);
+        assert.equal(compare_hw_revisions(' c ', 'C'), 0);
+    });
+
+    it('orders numeric revisions like firmware versions', () => {
+        assert.equal(compare_hw_revisions('2', '1.1'), 1);
+        assert.equal(compare_hw_revisions('B', '2'), undefined);
+    });
+});
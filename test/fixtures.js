@@ -0,0 +1,63 @@
+/*
+ * fixtures.js
+ *
+ * Copyright (c) 2023 Zero Byte LLC, All Rights Reserved
+ * Licensed under CC BY-ND 4.0 (https://creativecommons.org/licenses/by-nd/4.0/)
+ *
+ * Builders for the GBL images the tests work with.
+ *
+ * SPDX-License-Identifier: CC-BY-ND-4.0
+ * SPDX-FileCopyrightText: Copyright (c) 2023 Zero Byte LLC (hello@zerobytellc.com) All Rights Reserved
+ *
+ * @author Timothy C Sweeney-Fanelli, Zero Byte LLC (tim@zerobytellc.com)
+ */
+
+export const TAG_HEADER = 0x03A617EB;
+export const TAG_APPLICATION = 0xF40A0AF4;
+export const TAG_BOOTLOADER = 0xF50909F5;
+export const TAG_PROG = 0xFE0101FE;
+export const TAG_METADATA = 0xF60808F6;
+export const TAG_SIGNATURE = 0xF70A0AF7;
+export const TAG_END = 0xFC0404FC;
+
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let byte of bytes) {
+        crc ^= byte;
+        for (let k = 0; k < 8; ++k)
+            crc = (crc & 1) ? (crc >>> 1) ^ 0xEDB88320 : crc >>> 1;
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+export function tag(id, data) {
+    let bytes = Buffer.alloc(8 + data.length);
+    bytes.writeUInt32LE(id, 0);
+    bytes.writeUInt32LE(data.length, 4);
+    Buffer.from(data).copy(bytes, 8);
+    return bytes;
+}
+
+export function words(...values) {
+    let bytes = Buffer.alloc(4 * values.length);
+    values.forEach((value, i) => bytes.writeUInt32LE(value, 4 * i));
+    return bytes;
+}
+
+/**
+ * Builds a GBL image from the given tags, between a header tag and an end tag with a valid CRC32.
+ */
+export function gbl(tags, headerType = 0) {
+    let body = Buffer.concat([tag(TAG_HEADER, words(0x03000000, headerType)), ...tags, words(TAG_END, 4)]);
+    return Buffer.concat([body, words(crc32(body))]);
+}
+
+export const application = (version) => tag(TAG_APPLICATION, Buffer.concat([words(32, version, 0), Buffer.alloc(16, 0xAB)]));
+export const program = (size) => tag(TAG_PROG, Buffer.concat([words(0), Buffer.alloc(size, 7)]));
+
+/**
+ * Builds a valid application image of the given application version, with size bytes of program data.
+ */
+export function application_image(version = 1, size = 100) {
+    return gbl([application(version), program(size)]);
+}
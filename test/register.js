@@ -0,0 +1,27 @@
+/*
+ * register.js
+ *
+ * Copyright (c) 2023 Zero Byte LLC, All Rights Reserved
+ * Licensed under CC BY-ND 4.0 (https://creativecommons.org/licenses/by-nd/4.0/)
+ *
+ * Compiles the library and its tests on the fly for Node's test runner, like bin/zerobyte-fw.js does for the
+ * command-line tool. Loaded with `node --require`, see the test script in package.json.
+ *
+ * SPDX-License-Identifier: CC-BY-ND-4.0
+ * SPDX-FileCopyrightText: Copyright (c) 2023 Zero Byte LLC (hello@zerobytellc.com) All Rights Reserved
+ *
+ * @author Timothy C Sweeney-Fanelli, Zero Byte LLC (tim@zerobytellc.com)
+ */
+
+const path = require('path');
+
+const root = path.resolve(__dirname, '..');
+const dependencies = path.join(root, 'node_modules');
+
+require('@babel/register')({
+    babelrc: false,
+    configFile: false,
+    presets: [require.resolve('@babel/preset-flow')],
+    plugins: [require.resolve('@babel/plugin-transform-modules-commonjs')],
+    only: [(file) => file.startsWith(root) && !file.startsWith(dependencies)],
+});